@@ -5,23 +5,76 @@
  * Command: quantum
  */
 
-import { readFileSync, writeFileSync } from 'node:fs';
-import { resolve } from 'node:path';
+import {
+  readFileSync,
+  writeFileSync,
+  readdirSync,
+  statSync,
+  mkdirSync,
+} from 'node:fs';
+import { basename, join, resolve } from 'node:path';
 import {
   generateKeyPair,
   encrypt,
   decrypt,
+  reencrypt,
+  encryptWithPassword,
+  decryptWithPassword,
+  isValidEncryptedMessage,
+  splitPrivateKey,
+  combineShares,
   exportKeyPair,
+  importKeyPair,
+  armorKey,
+  dearmorKey,
+  armorMessage,
+  dearmorMessage,
+  isArmored,
+  ARMOR_TYPES,
+  isBinaryEnvelope,
+  parseEnvelope,
+  Keyring,
+  Contacts,
+  fingerprint,
+  formatFingerprint,
+  computeSafetyNumber,
+  generateMnemonic,
+  validateMnemonic,
+  keyPairFromMnemonic,
 } from '../src/index.js';
+import { writeFileAtomic, writeJsonFile } from '../src/storage.js';
 
 const COMMANDS = {
   GENERATE: 'generate',
+  RESTORE: 'restore',
+  KEY: 'key',
   ENCRYPT: 'encrypt',
   DECRYPT: 'decrypt',
+  KEYRING: 'keyring',
+  CONTACTS: 'contacts',
+  FINGERPRINT: 'fingerprint',
+  VERIFY_CONTACT: 'verify-contact',
+  REKEY: 'rekey',
   HELP: 'help',
   VERSION: 'version',
 };
 
+// Options that take no value
+const BOOLEAN_OPTIONS = [
+  'armor',
+  'passphrase',
+  'default',
+  'replace',
+  'key-id',
+  'confirm',
+  'reset',
+  'mnemonic',
+  'upgrade',
+  'drop-signature',
+  'password',
+  'allow-uncommitted',
+];
+
 /**
  * Display help information
  */
@@ -30,25 +83,124 @@ function showHelp() {
 Post-Quantum Encryption Helper (quantum)
 
 Usage:
-  quantum generate [--algorithm <alg>] [--output <file>]
+  quantum generate [--algorithm <alg>] [--output <file>] [--armor]
     Generate a new key pair
     Options:
-      --algorithm, -a   Algorithm to use (ML-KEM-1024 or ML-KEM-768, default: ML-KEM-1024)
+      --algorithm, -a   Algorithm to use (ML-KEM-1024, ML-KEM-768 or X-Wing, default: ML-KEM-1024)
+      --output, -o      Output file for key pair (default: stdout)
+      --armor           Output an ASCII-armored key instead of JSON
+      --passphrase      Prompt for a passphrase and encrypt the private key
+      --mnemonic        Derive the key pair from a new 24-word recovery phrase
+                        and show the phrase
+      --expires         Expiry date (2027-01-31) or lifetime in days (365d);
+                        expired keys are refused for encryption
+      --label, -l       Label stored with the key
+      --owner           Owner stored with the key, e.g. an email address
+      --usage           Permitted usages: encrypt,decrypt (default) or decrypt
+
+  quantum restore [--algorithm <alg>] [--output <file>] [--armor]
+    Restore a key pair from its recovery phrase (prompted, or read from stdin)
+    Options:
+      --algorithm, -a   Algorithm the key pair was generated for (default: ML-KEM-1024)
+      --output, -o      Output file for key pair (default: stdout)
+      --armor           Output an ASCII-armored key instead of JSON
+      --passphrase      Prompt for a passphrase and encrypt the private key
+
+  quantum key split --key <file> --threshold <k> --shares <n> [--output <dir>]
+    Split a private key into n backup shares; any k of them restore it
+    Options:
+      --key, -k         Private key file, JSON or armored (required)
+      --threshold, -t   Number of shares needed to restore the key (at least 2)
+      --shares, -n      Number of shares to create (up to 255)
+      --output, -o      Directory for the share files (default: stdout)
+
+  quantum key combine <share-file>... [--output <file>] [--armor]
+    Restore a private key from backup shares (files may hold several shares)
+    Options:
       --output, -o      Output file for key pair (default: stdout)
+      --armor           Output an ASCII-armored key instead of JSON
+      --passphrase      Prompt for a passphrase and encrypt the private key
 
-  quantum encrypt --message <msg> --key <file>
+  quantum encrypt --message <msg> (--key <file> | --to <name> | --password) [--armor]
     Encrypt a message
     Options:
       --message, -m     Message to encrypt (required)
-      --key, -k         Public key file (required)
+      --key, -k         Public key file, JSON or armored
+      --to, -t          Contact name from the address book (instead of --key)
+      --password        Prompt for a password and encrypt with it instead of a key
+                        (scrypt + ChaCha20-Poly1305; set QUANTUM_PASSPHRASE in scripts)
+      --cipher          Payload cipher: ChaCha20-Poly1305 (default),
+                        XChaCha20-Poly1305, AES-256-GCM or AES-256-GCM-SIV
       --output, -o      Output file (default: stdout)
+      --armor           Output an ASCII-armored message instead of JSON
+      --key-id          Include the recipient key ID so a keyring finds the key
+                        directly (reveals which key the message is for)
 
-  quantum decrypt --input <file> --key <file>
-    Decrypt a message
+  quantum decrypt --input <file> [--key <file>]
+    Decrypt a message (JSON, armored or binary); prompts for the password of
+    password-encrypted messages
     Options:
       --input, -i       Encrypted message file (required)
-      --key, -k         Private key file (required)
+      --key, -k         Private key file, JSON or armored (default: search the keyring)
+                        Prompts for the passphrase if the private key is protected
       --output, -o      Output file (default: stdout)
+      --allow-uncommitted
+                        Accept messages without a key commitment (from earlier
+                        releases); they can decrypt differently for each key
+
+  quantum keyring <list|generate|import|rotate|remove|default> [options]
+    Manage your own key pairs in the keyring ($QUANTUM_HOME or ~/.quantum)
+      list                          List stored keys (* marks the default)
+      generate [--algorithm <alg>]  Generate and store a new key pair
+      import --key <file>           Store a key pair from a key file
+      rotate [id|label]             Replace a key (default: the default key) with
+                                    a new one; the old key stays, decrypt-only
+      remove <id|label>             Delete a stored key pair
+      default <id|label>            Make a stored key the default
+    Options:
+      --label, -l       Label for generated or imported keys
+      --passphrase      Prompt for a passphrase and encrypt the stored private key
+      --default         Make the generated or imported key the default
+      --expires         Expiry of generated or rotated keys (date or days, e.g. 365d)
+      --owner           Owner of generated keys
+      --usage           Permitted usages of generated keys (encrypt,decrypt or decrypt)
+
+  quantum rekey <file|directory>... [--key <file>] [--new-key <file>]
+    Re-encrypt existing messages to a new key, e.g. after quantum keyring rotate.
+    Directories are searched recursively; files that are not encrypted
+    messages are skipped. Files are rewritten in place unless --output is given
+    Options:
+      --key, -k         Old private key file (default: the keys in the keyring)
+      --new-key, -n     New public key file (default: the keyring's default key)
+      --upgrade         Allow re-encrypting ML-KEM-768 messages to an ML-KEM-1024 key
+      --drop-signature  Re-encrypt signed messages without their sender signature
+      --allow-uncommitted
+                        Re-encrypt messages without a key commitment (from
+                        earlier releases); the new messages commit to their key
+      --output, -o      Directory for the re-encrypted files (default: in place)
+      --report, -r      Write a JSON report of successes and failures to a file
+
+  quantum contacts <list|add|show|remove> [options]
+    Manage other people's public keys ($QUANTUM_HOME or ~/.quantum)
+      list                          List contacts with short fingerprints
+      add <name> --key <file>       Add a contact from a public key file (JSON or armored)
+      show <name>                   Show a contact's full fingerprint
+      remove <name>                 Delete a contact
+    Options:
+      --replace         Replace an existing contact with the same name
+
+  quantum verify-contact <name> [--key <file>] [--confirm | --reset]
+    Show the safety number for you and a contact; if it matches what they
+    see, mark the contact as verified
+    Options:
+      --key, -k         Your public key file (default: the keyring's default key)
+      --confirm         Mark the contact as verified without asking
+      --reset           Mark the contact as unverified
+
+  quantum fingerprint --key <file>
+    Show the key ID, fingerprint and fingerprint words of a public key
+    Options:
+      --key, -k         Key file, JSON or armored (required)
 
   quantum help
     Show this help message
@@ -56,15 +208,53 @@ Usage:
   quantum version
     Show version information
 
+Environment:
+  QUANTUM_PASSPHRASE    Private key passphrase, used instead of prompting
+  QUANTUM_HOME          Keyring directory (default: ~/.quantum)
+
 Examples:
   # Generate a key pair
   quantum generate --output keys.json
 
+  # Generate a passphrase-protected key pair
+  quantum generate --passphrase --output keys.json
+
+  # Generate a key pair with a recovery phrase, and restore it later
+  quantum generate --mnemonic --output keys.json
+  quantum restore --output keys.json
+
+  # Back up a private key as 5 shares, any 3 of which restore it
+  quantum key split --key keys.json --threshold 3 --shares 5 --output shares
+  quantum key combine alice.asc bob.asc carol.asc --output keys.json
+
   # Encrypt a message
   quantum encrypt --message "Hello, World!" --key public.key --output encrypted.txt
 
+  # Encrypt a message to a contact
+  quantum contacts add alice --key alice.pub
+  quantum encrypt --message "Hello, Alice!" --to alice
+
+  # Share a message with a colleague using a password instead of keys
+  quantum encrypt --message "Hello, World!" --password --armor
+
+  # Encrypt a message for pasting into an email
+  quantum encrypt --message "Hello, World!" --key public.key --armor
+
+  # Encrypt with AES-256-GCM instead of ChaCha20-Poly1305
+  quantum encrypt --message "Hello, World!" --key public.key --cipher AES-256-GCM
+
   # Decrypt a message
   quantum decrypt --input encrypted.txt --key private.key
+
+  # Keep keys in the keyring and decrypt without naming a key file
+  quantum keyring generate --label work --expires 365d
+  quantum decrypt --input encrypted.txt
+
+  # Replace the work key; old messages still decrypt with the old key
+  quantum keyring rotate work --expires 365d
+
+  # Then move old messages to the new default key
+  quantum rekey ./messages --report rekey-report.json
 `);
 }
 
@@ -74,6 +264,7 @@ Examples:
 function parseArgs(args) {
   const parsed = {
     command: args[0],
+    args: [],
     options: {},
   };
 
@@ -81,15 +272,283 @@ function parseArgs(args) {
     const arg = args[i];
     if (arg.startsWith('--') || arg.startsWith('-')) {
       const key = arg.replace(/^-+/, '');
+      if (BOOLEAN_OPTIONS.includes(key)) {
+        parsed.options[key] = true;
+        continue;
+      }
       const value = args[i + 1];
       parsed.options[key] = value;
       i++; // Skip next arg as it's the value
+    } else {
+      parsed.args.push(arg);
     }
   }
 
   return parsed;
 }
 
+/**
+ * Read an encrypted message file
+ * Binary envelopes (PQHB magic) are returned as bytes, anything else as text
+ * (JSON or ASCII armor).
+ * @param {string} path - Path to the message file
+ * @returns {string|Uint8Array} Message
+ */
+function readMessageFile(path) {
+  const bytes = readFileSync(path);
+  return isBinaryEnvelope(bytes)
+    ? new Uint8Array(bytes)
+    : bytes.toString('utf8');
+}
+
+/**
+ * Read a key file in JSON or ASCII-armored form
+ * @param {string} keyFile - Path to the key file
+ * @returns {Object} Key data
+ */
+function readKeyFile(keyFile) {
+  const content = readFileSync(resolve(keyFile), 'utf8');
+  return isArmored(content) ? dearmorKey(content) : JSON.parse(content);
+}
+
+/**
+ * Parse an --expires value
+ * @param {string} [value] - Date (e.g. 2027-01-31) or lifetime in days (e.g. 365d)
+ * @returns {number|undefined} Expiry time in milliseconds
+ */
+function parseExpiry(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  const days = /^(\d+)d$/.exec(value);
+  const expiresAt = days
+    ? Date.now() + Number(days[1]) * 24 * 60 * 60 * 1000
+    : Date.parse(value);
+
+  if (Number.isNaN(expiresAt)) {
+    throw new Error(
+      `Invalid --expires value: ${value}. Use a date (2027-01-31) or a number of days (365d)`
+    );
+  }
+
+  return expiresAt;
+}
+
+/**
+ * Get the key metadata given on the command line
+ * @param {Object} options - Command options (expires, label, owner, usage)
+ * @returns {{expiresAt?: number, label?: string, owner?: string, usage?: string[]}} Key metadata
+ */
+function getKeyMetadata(options) {
+  return {
+    expiresAt: parseExpiry(options.expires),
+    label: options.label || options.l,
+    owner: options.owner,
+    usage: options.usage ? options.usage.split(',') : undefined,
+  };
+}
+
+/**
+ * Describe the expiry and usage status of a key
+ * @param {{status: string, expiresAt: number|null}} key - Key or contact description
+ * @returns {string} e.g. 'expires 2027-01-31', 'expired 2026-01-31', 'decrypt-only' or ''
+ */
+function formatKeyStatus(key) {
+  const date = key.expiresAt
+    ? new Date(key.expiresAt).toISOString().slice(0, 10)
+    : '';
+
+  if (key.status === 'expired') {
+    return `expired ${date}`;
+  }
+  if (key.status === 'decrypt-only') {
+    return 'decrypt-only';
+  }
+  return date ? `expires ${date}` : '';
+}
+
+/**
+ * Load the interactive prompt module
+ * @param {string} alternative - How to proceed without prompts, for the error message
+ * @returns {Promise<Function>} Inquirer prompt function
+ */
+async function createPrompt(alternative) {
+  let inquirer;
+  try {
+    ({ default: inquirer } = await import('inquirer'));
+  } catch {
+    throw new Error(
+      `Interactive prompts need the optional 'inquirer' package; ${alternative}`
+    );
+  }
+
+  // Prompt on stderr so stdout stays clean for key and message output
+  return inquirer.createPromptModule({ output: process.stderr });
+}
+
+/**
+ * Export a key pair and write it to --output or stdout
+ * @param {Object} keyPair - Key pair
+ * @param {Object} options - Command options (output, armor)
+ * @param {string} [passphrase] - Passphrase protecting the private key
+ */
+async function writeKeyPair(keyPair, options, passphrase) {
+  const exported = await exportKeyPair(keyPair, { passphrase });
+
+  const output = options.armor
+    ? armorKey(exported)
+    : JSON.stringify(exported, null, 2);
+
+  if (options.output || options.o) {
+    const outputPath = resolve(options.output || options.o);
+    // Owner-only, like the keyring: the file may hold a plaintext private key
+    await writeFileAtomic(outputPath, output);
+    console.error(`Key pair saved to: ${outputPath}`);
+  } else {
+    console.log(output);
+  }
+}
+
+/**
+ * Show a new recovery phrase on stderr
+ * @param {string} mnemonic - Recovery phrase
+ * @param {string} algorithm - Algorithm of the key pair
+ */
+function showRecoveryPhrase(mnemonic, algorithm) {
+  const words = mnemonic.split(' ');
+
+  console.error('');
+  console.error('Recovery phrase (write it down and keep it offline;');
+  console.error('anyone who has it can restore your private key):');
+  for (let i = 0; i < words.length; i += 4) {
+    console.error(
+      words
+        .slice(i, i + 4)
+        .map((word, j) => `${String(i + j + 1).padStart(4)}. ${word.padEnd(9)}`)
+        .join('')
+        .trimEnd()
+    );
+  }
+  console.error('');
+  console.error(`Restore with: quantum restore --algorithm ${algorithm}`);
+  console.error('');
+}
+
+/**
+ * Read a recovery phrase from stdin or an interactive prompt
+ * @returns {Promise<string>} Recovery phrase
+ */
+async function readRecoveryPhrase() {
+  if (!process.stdin.isTTY) {
+    return readFileSync(process.stdin.fd, 'utf8');
+  }
+
+  const prompt = await createPrompt('pipe the phrase into stdin instead');
+  const { mnemonic } = await prompt([
+    {
+      type: 'password',
+      name: 'mnemonic',
+      message: 'Recovery phrase (24 words):',
+      mask: '*',
+    },
+  ]);
+
+  return mnemonic;
+}
+
+/**
+ * Read a passphrase from QUANTUM_PASSPHRASE or an interactive prompt
+ * @param {string} message - Prompt message
+ * @param {boolean} [confirm=false] - Ask twice and require both entries to match
+ * @returns {Promise<string>} Passphrase
+ */
+async function promptPassphrase(message, confirm = false) {
+  if (process.env.QUANTUM_PASSPHRASE) {
+    return process.env.QUANTUM_PASSPHRASE;
+  }
+
+  if (!process.stdin.isTTY) {
+    throw new Error(
+      'A passphrase is required; set QUANTUM_PASSPHRASE when not running interactively'
+    );
+  }
+
+  const prompt = await createPrompt('set QUANTUM_PASSPHRASE instead');
+  const questions = [
+    {
+      type: 'password',
+      name: 'passphrase',
+      message,
+      mask: '*',
+      validate: (value) => value.length > 0 || 'Passphrase must not be empty',
+    },
+  ];
+  if (confirm) {
+    questions.push({
+      type: 'password',
+      name: 'confirmation',
+      message: 'Repeat passphrase:',
+      mask: '*',
+    });
+  }
+
+  const answers = await prompt(questions);
+  if (confirm && answers.passphrase !== answers.confirmation) {
+    throw new Error('Passphrases do not match');
+  }
+
+  return answers.passphrase;
+}
+
+/**
+ * Get the private key from key data, prompting for its passphrase if protected
+ * @param {Object} keyData - Exported key pair data
+ * @returns {Promise<string>} Private key (Base64)
+ */
+async function loadPrivateKey(keyData) {
+  if (!keyData.encryptedPrivateKey) {
+    return keyData.privateKey;
+  }
+
+  const passphrase = await promptPassphrase('Passphrase for private key:');
+  const keyPair = await importKeyPair(keyData, { passphrase });
+  return keyPair.privateKey;
+}
+
+/**
+ * Get the key pair from key data, prompting for its passphrase if protected
+ * @param {Object} keyData - Exported key pair data
+ * @returns {Promise<Object>} Key pair
+ */
+async function loadKeyPair(keyData) {
+  const passphrase = keyData.encryptedPrivateKey
+    ? await promptPassphrase('Passphrase for private key:')
+    : undefined;
+
+  return importKeyPair(keyData, { passphrase });
+}
+
+/**
+ * Read the key shares in the given files
+ * @param {string[]} files - Share files, each holding one or more armored shares
+ * @returns {string[]} Armored key shares
+ */
+function readKeyShares(files) {
+  const pattern = new RegExp(
+    `-----BEGIN ${ARMOR_TYPES.KEY_SHARE}-----[\\s\\S]*?-----END ${ARMOR_TYPES.KEY_SHARE}-----`,
+    'g'
+  );
+
+  return files.flatMap((file) => {
+    const shares = readFileSync(resolve(file), 'utf8').match(pattern);
+    if (!shares) {
+      throw new Error(`No key share found in ${file}`);
+    }
+    return shares;
+  });
+}
+
 /**
  * Generate key pair command
  */
@@ -98,19 +557,25 @@ async function cmdGenerate(options) {
     const algorithm = options.algorithm || options.a || 'ML-KEM-1024';
     console.error(`Generating ${algorithm} key pair...`);
 
-    const keyPair = await generateKeyPair(algorithm);
-    const exported = exportKeyPair(keyPair);
+    const passphrase = options.passphrase
+      ? await promptPassphrase('Passphrase to protect the private key:', true)
+      : undefined;
 
-    const output = JSON.stringify(exported, null, 2);
+    const metadata = getKeyMetadata(options);
 
-    if (options.output || options.o) {
-      const outputPath = resolve(options.output || options.o);
-      writeFileSync(outputPath, output, 'utf8');
-      console.error(`Key pair saved to: ${outputPath}`);
+    let keyPair;
+    if (options.mnemonic) {
+      const mnemonic = generateMnemonic();
+      keyPair = {
+        ...(await keyPairFromMnemonic(mnemonic, algorithm)),
+        ...metadata,
+      };
+      showRecoveryPhrase(mnemonic, algorithm);
     } else {
-      console.log(output);
+      keyPair = await generateKeyPair(algorithm, metadata);
     }
 
+    await writeKeyPair(keyPair, options, passphrase);
     console.error('✓ Key pair generated successfully');
   } catch (error) {
     console.error(`Error: ${error.message}`);
@@ -118,6 +583,127 @@ async function cmdGenerate(options) {
   }
 }
 
+/**
+ * Restore command
+ */
+async function cmdRestore(options) {
+  try {
+    const algorithm = options.algorithm || options.a || 'ML-KEM-1024';
+    const mnemonic = await readRecoveryPhrase();
+
+    if (!validateMnemonic(mnemonic)) {
+      throw new Error(
+        'Invalid recovery phrase: check the words and their order'
+      );
+    }
+
+    const passphrase = options.passphrase
+      ? await promptPassphrase('Passphrase to protect the private key:', true)
+      : undefined;
+
+    console.error(`Restoring ${algorithm} key pair...`);
+    const keyPair = await keyPairFromMnemonic(mnemonic, algorithm);
+
+    await writeKeyPair(keyPair, options, passphrase);
+    console.error(`Key ID: ${fingerprint(keyPair).keyId}`);
+    console.error('✓ Key pair restored successfully');
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Key command (split, combine)
+ */
+async function cmdKey(args, options) {
+  try {
+    const [subcommand, ...files] = args;
+
+    switch (subcommand) {
+      case 'split': {
+        const keyFile = options.key || options.k;
+        if (!keyFile) {
+          throw new Error('Private key file is required (--key or -k)');
+        }
+
+        const threshold = Number(options.threshold || options.t);
+        const shareCount = Number(options.shares || options.n);
+        const keyPair = await loadKeyPair(readKeyFile(keyFile));
+        const shares = await splitPrivateKey(keyPair, threshold, shareCount);
+        const { keyId } = fingerprint(keyPair);
+
+        const outputDirectory = options.output || options.o;
+        if (outputDirectory) {
+          mkdirSync(resolve(outputDirectory), { recursive: true, mode: 0o700 });
+          shares.forEach((share, i) => {
+            const sharePath = join(
+              resolve(outputDirectory),
+              `${keyId}-share-${i + 1}-of-${shareCount}.asc`
+            );
+            writeFileSync(sharePath, share, { encoding: 'utf8', mode: 0o600 });
+            console.error(`Share ${i + 1} saved to: ${sharePath}`);
+          });
+        } else {
+          console.log(shares.join('\n'));
+        }
+
+        console.error(
+          `✓ Split ${keyId} into ${shareCount} shares; any ${threshold} restore it`
+        );
+        console.error(
+          'Give each share to a different person. Anyone holding enough shares can restore the key.'
+        );
+        break;
+      }
+
+      case 'combine': {
+        if (!files.length) {
+          throw new Error('At least one key share file is required');
+        }
+
+        const keyPair = await combineShares(readKeyShares(files));
+        const passphrase = options.passphrase
+          ? await promptPassphrase(
+              'Passphrase to protect the private key:',
+              true
+            )
+          : undefined;
+
+        await writeKeyPair(keyPair, options, passphrase);
+        console.error(`Key ID: ${fingerprint(keyPair).keyId}`);
+        console.error('✓ Key pair restored from shares');
+        break;
+      }
+
+      default:
+        throw new Error('Unknown key command. Use: split or combine');
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Write an encrypted message to --output or stdout
+ * @param {string} json - Encrypted message JSON
+ * @param {Object} options - Command options (output, armor)
+ */
+async function writeEncrypted(json, options) {
+  const encrypted = options.armor ? armorMessage(json) : json;
+
+  if (options.output || options.o) {
+    const outputPath = resolve(options.output || options.o);
+    writeFileSync(outputPath, encrypted, 'utf8');
+    console.error(`Encrypted message saved to: ${outputPath}`);
+  } else {
+    console.log(encrypted);
+  }
+
+  console.error('✓ Message encrypted successfully');
+}
+
 /**
  * Encrypt command
  */
@@ -125,32 +711,54 @@ async function cmdEncrypt(options) {
   try {
     const message = options.message || options.m;
     const keyFile = options.key || options.k;
+    const contactName = options.to || options.t;
 
     if (!message) {
       throw new Error('Message is required (--message or -m)');
     }
 
-    if (!keyFile) {
-      throw new Error('Public key file is required (--key or -k)');
+    if (!keyFile && !contactName && !options.password) {
+      throw new Error(
+        'Public key file (--key or -k), contact name (--to or -t) or --password is required'
+      );
     }
 
-    // Read public key
-    const keyPath = resolve(keyFile);
-    const keyData = JSON.parse(readFileSync(keyPath, 'utf8'));
-    const publicKey = keyData.publicKey;
-
-    console.error('Encrypting message...');
-    const encrypted = await encrypt(message, publicKey);
+    if (options.password) {
+      const password = await promptPassphrase('Password:', true);
+      console.error('Encrypting message with a password...');
+      await writeEncrypted(
+        await encryptWithPassword(message, password, {
+          cipher: options.cipher,
+        }),
+        options
+      );
+      return;
+    }
 
-    if (options.output || options.o) {
-      const outputPath = resolve(options.output || options.o);
-      writeFileSync(outputPath, encrypted, 'utf8');
-      console.error(`Encrypted message saved to: ${outputPath}`);
+    // Read public key from the key file or the address book
+    let keyData;
+    if (keyFile) {
+      keyData = readKeyFile(keyFile);
     } else {
-      console.log(encrypted);
+      keyData = await new Contacts().get(contactName);
+      if (!keyData) {
+        throw new Error(`Unknown contact: ${contactName}`);
+      }
+      console.error(`Recipient: ${contactName} (${keyData.fingerprint})`);
+      if (!keyData.verified) {
+        console.error(
+          `Warning: ${contactName} is not verified; compare safety numbers with quantum verify-contact`
+        );
+      }
     }
 
-    console.error('✓ Message encrypted successfully');
+    // Passing the key data lets encrypt() refuse expired or decrypt-only keys
+    console.error('Encrypting message...');
+    const json = await encrypt(message, keyData, {
+      includeKeyId: options['key-id'],
+      cipher: options.cipher,
+    });
+    await writeEncrypted(json, options);
   } catch (error) {
     console.error(`Error: ${error.message}`);
     process.exit(1);
@@ -169,21 +777,34 @@ async function cmdDecrypt(options) {
       throw new Error('Input file is required (--input or -i)');
     }
 
-    if (!keyFile) {
-      throw new Error('Private key file is required (--key or -k)');
-    }
-
     // Read encrypted message
     const inputPath = resolve(inputFile);
-    const encrypted = readFileSync(inputPath, 'utf8');
+    const encrypted = readMessageFile(inputPath);
+    const decryptOptions = {
+      requireKeyCommitment: !options['allow-uncommitted'],
+    };
 
-    // Read private key
-    const keyPath = resolve(keyFile);
-    const keyData = JSON.parse(readFileSync(keyPath, 'utf8'));
-    const privateKey = keyData.privateKey;
+    let decrypted;
+    if (isPasswordMessage(encrypted)) {
+      const password = await promptPassphrase('Password:');
 
-    console.error('Decrypting message...');
-    const decrypted = await decrypt(encrypted, privateKey);
+      console.error('Decrypting message with the password...');
+      decrypted = await decryptWithPassword(
+        encrypted,
+        password,
+        decryptOptions
+      );
+    } else if (keyFile) {
+      // Read private key
+      const keyData = readKeyFile(keyFile);
+      const privateKey = await loadPrivateKey(keyData);
+
+      console.error('Decrypting message...');
+      decrypted = await decrypt(encrypted, privateKey, decryptOptions);
+    } else {
+      console.error('Decrypting message with the keyring...');
+      decrypted = await decryptWithKeyring(encrypted, decryptOptions);
+    }
 
     if (options.output || options.o) {
       const outputPath = resolve(options.output || options.o);
@@ -200,6 +821,581 @@ async function cmdDecrypt(options) {
   }
 }
 
+/**
+ * Decrypt with the keyring, prompting for a passphrase if protected keys exist
+ * @param {string|Uint8Array} encrypted - Encrypted message
+ * @param {Object} [decryptOptions] - Further decrypt() options
+ * @returns {Promise<string|Uint8Array>} Decrypted message
+ */
+async function decryptWithKeyring(encrypted, decryptOptions = {}) {
+  const keyring = new Keyring();
+  const keys = await keyring.list();
+
+  if (!keys.length) {
+    throw new Error(
+      'Private key file is required (--key or -k) when the keyring is empty'
+    );
+  }
+
+  try {
+    return await decrypt(encrypted, keyring, decryptOptions);
+  } catch (error) {
+    if (!keys.some((key) => key.protected)) {
+      throw error;
+    }
+  }
+
+  const passphrase = await promptPassphrase('Passphrase for keyring keys:');
+  return decrypt(encrypted, keyring, { ...decryptOptions, passphrase });
+}
+
+/**
+ * Format a keyring entry for display
+ * @param {Object} key - Key description from the keyring
+ * @returns {string} One-line summary
+ */
+function formatKeyringEntry(key) {
+  return [
+    key.isDefault ? '*' : ' ',
+    key.id,
+    key.algorithm.padEnd(11),
+    new Date(key.createdAt).toISOString(),
+    key.protected ? 'protected' : 'plain    ',
+    formatKeyStatus(key).padEnd(18),
+    key.label || '',
+  ]
+    .join('  ')
+    .trimEnd();
+}
+
+/**
+ * Keyring command
+ */
+async function cmdKeyring(args, options) {
+  try {
+    const [subcommand, target] = args;
+    const keyring = new Keyring();
+    const label = options.label || options.l;
+
+    switch (subcommand) {
+      case 'list': {
+        const keys = await keyring.list();
+        if (!keys.length) {
+          console.error(`Keyring is empty (${keyring.directory})`);
+        }
+        for (const key of keys) {
+          console.log(formatKeyringEntry(key));
+        }
+        break;
+      }
+
+      case 'generate': {
+        const algorithm = options.algorithm || options.a || 'ML-KEM-1024';
+        const passphrase = options.passphrase
+          ? await promptPassphrase(
+              'Passphrase to protect the private key:',
+              true
+            )
+          : undefined;
+
+        console.error(`Generating ${algorithm} key pair...`);
+        const key = await keyring.generate({
+          ...getKeyMetadata(options),
+          algorithm,
+          passphrase,
+          setDefault: options.default,
+        });
+        console.log(formatKeyringEntry(key));
+        console.error('✓ Key pair added to keyring');
+        break;
+      }
+
+      case 'import': {
+        const keyFile = options.key || options.k;
+        if (!keyFile) {
+          throw new Error('Key file is required (--key or -k)');
+        }
+
+        const passphrase = options.passphrase
+          ? await promptPassphrase(
+              'Passphrase to protect the private key:',
+              true
+            )
+          : undefined;
+
+        const key = await keyring.add(readKeyFile(keyFile), {
+          label,
+          passphrase,
+          setDefault: options.default,
+        });
+        console.log(formatKeyringEntry(key));
+        console.error('✓ Key pair added to keyring');
+        break;
+      }
+
+      case 'rotate': {
+        const current = target
+          ? await keyring.get(target)
+          : await keyring.getDefault();
+        if (!current) {
+          throw new Error(`Key not found: ${target || '(default)'}`);
+        }
+
+        const passphrase =
+          current.protected || options.passphrase
+            ? await promptPassphrase(
+                'Passphrase for the key (also protects the new key):',
+                !current.protected
+              )
+            : undefined;
+
+        console.error(`Rotating ${current.id}...`);
+        const key = await keyring.rotate(current.id, {
+          passphrase,
+          algorithm: options.algorithm || options.a,
+          expiresAt: parseExpiry(options.expires),
+        });
+        console.log(formatKeyringEntry(key));
+        console.error(
+          `✓ Key rotated. ${current.id} is now decrypt-only; share the new public key.`
+        );
+        break;
+      }
+
+      case 'remove': {
+        if (!target) {
+          throw new Error('Key ID or label is required');
+        }
+        if (!(await keyring.remove(target))) {
+          throw new Error(`Key not found: ${target}`);
+        }
+        console.error(`✓ Removed ${target} from keyring`);
+        break;
+      }
+
+      case 'default': {
+        if (!target) {
+          throw new Error('Key ID or label is required');
+        }
+        const key = await keyring.setDefault(target);
+        console.log(formatKeyringEntry(key));
+        console.error('✓ Default key updated');
+        break;
+      }
+
+      default:
+        throw new Error(
+          'Unknown keyring command. Use: list, generate, import, rotate, remove or default'
+        );
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Contacts command
+ */
+async function cmdContacts(args, options) {
+  try {
+    const [subcommand, name] = args;
+    const contacts = new Contacts();
+
+    if (subcommand !== 'list' && !name) {
+      throw new Error('Contact name is required');
+    }
+
+    switch (subcommand) {
+      case 'list': {
+        const entries = await contacts.list();
+        if (!entries.length) {
+          console.error(`Address book is empty (${contacts.directory})`);
+        }
+        for (const contact of entries) {
+          console.log(
+            `${contact.verified ? '✓' : ' '}  ${contact.name.padEnd(20)}  ${contact.algorithm.padEnd(11)}  ${contact.fingerprint.slice(0, 19)}  ${formatKeyStatus(contact)}`.trimEnd()
+          );
+        }
+        break;
+      }
+
+      case 'add': {
+        const keyFile = options.key || options.k;
+        if (!keyFile) {
+          throw new Error('Public key file is required (--key or -k)');
+        }
+
+        const contact = await contacts.add(name, readKeyFile(keyFile), {
+          replace: options.replace,
+        });
+        console.log(`${contact.name} (${contact.algorithm})`);
+        console.log(`Fingerprint: ${contact.fingerprint}`);
+        console.error(
+          '✓ Contact added. Compare the fingerprint with the owner before relying on it.'
+        );
+        break;
+      }
+
+      case 'show': {
+        const contact = await contacts.get(name);
+        if (!contact) {
+          throw new Error(`Unknown contact: ${name}`);
+        }
+        console.log(`Name:        ${contact.name}`);
+        console.log(`Algorithm:   ${contact.algorithm}`);
+        console.log(`Key ID:      ${contact.keyId}`);
+        console.log(`Added:       ${new Date(contact.addedAt).toISOString()}`);
+        console.log(`Fingerprint: ${contact.fingerprint}`);
+        console.log(
+          `Verified:    ${contact.verified ? new Date(contact.verifiedAt).toISOString() : 'no'}`
+        );
+        if (contact.status !== 'active' || contact.expiresAt) {
+          console.log(`Status:      ${formatKeyStatus(contact)}`);
+        }
+        break;
+      }
+
+      case 'remove': {
+        if (!(await contacts.remove(name))) {
+          throw new Error(`Unknown contact: ${name}`);
+        }
+        console.error(`✓ Removed ${name} from contacts`);
+        break;
+      }
+
+      default:
+        throw new Error(
+          'Unknown contacts command. Use: list, add, show or remove'
+        );
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Verify-contact command
+ */
+async function cmdVerifyContact(args, options) {
+  try {
+    const [name] = args;
+    if (!name) {
+      throw new Error('Contact name is required');
+    }
+
+    const contacts = new Contacts();
+    const contact = await contacts.get(name);
+    if (!contact) {
+      throw new Error(`Unknown contact: ${name}`);
+    }
+
+    if (options.reset) {
+      await contacts.setVerified(name, false);
+      console.error(`✓ ${name} marked as unverified`);
+      return;
+    }
+
+    // Our own public key: from --key or the keyring's default key
+    const keyFile = options.key || options.k;
+    const myKey = keyFile
+      ? readKeyFile(keyFile)
+      : await new Keyring().getDefault();
+    if (!myKey) {
+      throw new Error(
+        'No key of your own found; use --key or add one with quantum keyring'
+      );
+    }
+
+    const { formatted } = computeSafetyNumber(myKey, contact);
+    const groups = formatted.split(' ');
+
+    console.log(`Contact:     ${name} (${contact.fingerprint})`);
+    console.log(`Your key:    ${formatFingerprint(fingerprint(myKey).hex)}`);
+    console.log('');
+    console.log('Safety number:');
+    for (let i = 0; i < groups.length; i += 4) {
+      console.log(`  ${groups.slice(i, i + 4).join(' ')}`);
+    }
+    console.log('');
+
+    let confirmed = options.confirm;
+    if (!confirmed && process.stdin.isTTY) {
+      const prompt = await createPrompt('use --confirm instead');
+      ({ confirmed } = await prompt([
+        {
+          type: 'confirm',
+          name: 'confirmed',
+          message: `Does ${name} see the same safety number?`,
+          default: false,
+        },
+      ]));
+    }
+
+    if (confirmed) {
+      await contacts.setVerified(name, true);
+      console.error(`✓ ${name} marked as verified`);
+    } else {
+      console.error(
+        `${name} is ${contact.verified ? 'still verified' : 'not verified'}. Compare the number in person or over a trusted channel, then run again with --confirm`
+      );
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * List the files under the given paths, searching directories recursively
+ * @param {string[]} paths - Files or directories
+ * @returns {{path: string, relativePath: string}[]} Files, with their path relative to the directory argument they were found in
+ */
+function collectFiles(paths) {
+  const files = [];
+
+  const walk = (path, relativePath) => {
+    if (!statSync(path).isDirectory()) {
+      files.push({ path, relativePath });
+      return;
+    }
+
+    for (const name of readdirSync(path).sort()) {
+      walk(join(path, name), join(relativePath, name));
+    }
+  };
+
+  for (const path of paths.map((candidate) => resolve(candidate))) {
+    walk(path, statSync(path).isDirectory() ? '' : basename(path));
+  }
+
+  return files;
+}
+
+/**
+ * Get the KEM algorithm of an encrypted message
+ * @param {string|Uint8Array} content - JSON, armored or binary message
+ * @returns {string} Algorithm name
+ */
+function getMessageAlgorithm(content) {
+  if (typeof content !== 'string') {
+    return JSON.parse(parseEnvelope(content)).alg;
+  }
+
+  if (isArmored(content)) {
+    return JSON.parse(parseEnvelope(dearmorMessage(content))).alg;
+  }
+
+  return JSON.parse(content).alg;
+}
+
+/**
+ * Check whether a message was encrypted with a password
+ * @param {string|Uint8Array} content - JSON, armored or binary message
+ * @returns {boolean} True for password-encrypted messages
+ */
+function isPasswordMessage(content) {
+  try {
+    return getMessageAlgorithm(content) === 'password';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Re-encrypt one message file
+ * @param {{path: string, relativePath: string}} file - File to re-encrypt
+ * @param {Object} rekey - Old key, new key and command options
+ * @returns {Promise<Object>} Report entry
+ */
+async function rekeyFile(file, rekey) {
+  const content = readMessageFile(file.path);
+
+  if (!isValidEncryptedMessage(content)) {
+    return {
+      path: file.path,
+      status: 'skipped',
+      reason: 'not an encrypted message',
+    };
+  }
+
+  const from = getMessageAlgorithm(content);
+
+  // Password envelopes have no KEM slot to re-encrypt to another key
+  if (from === 'password') {
+    return {
+      path: file.path,
+      status: 'skipped',
+      reason: 'password-encrypted messages cannot be rekeyed',
+    };
+  }
+
+  const to = rekey.newKey.algorithm || 'ML-KEM-1024';
+  const upgrade = from === 'ML-KEM-768' && to === 'ML-KEM-1024';
+
+  if (from !== to && !(upgrade && rekey.upgrade)) {
+    throw new Error(
+      upgrade
+        ? `${from} message; pass --upgrade to re-encrypt it with ${to}`
+        : `${from} message cannot be re-encrypted to an ${to} key`
+    );
+  }
+
+  const reencrypted = await reencrypt(content, rekey.oldKey, rekey.newKey, {
+    passphrase: rekey.passphrase,
+    dropSignature: rekey.dropSignature,
+    requireKeyCommitment: !rekey.allowUncommitted,
+  });
+
+  const output = rekey.outputDirectory
+    ? join(rekey.outputDirectory, file.relativePath)
+    : file.path;
+  await writeFileAtomic(output, reencrypted);
+
+  return { path: file.path, status: 'reencrypted', from, to, output };
+}
+
+/**
+ * Rekey command
+ */
+async function cmdRekey(args, options) {
+  try {
+    if (!args.length) {
+      throw new Error('At least one file or directory is required');
+    }
+
+    const keyring = new Keyring();
+
+    // Old key: a private key file, or every key in the keyring
+    const keyFile = options.key || options.k;
+    let oldKey;
+    let passphrase;
+    if (keyFile) {
+      oldKey = await loadPrivateKey(readKeyFile(keyFile));
+    } else {
+      const keys = await keyring.list();
+      if (!keys.length) {
+        throw new Error(
+          'Private key file is required (--key or -k) when the keyring is empty'
+        );
+      }
+      if (keys.some((key) => key.protected)) {
+        passphrase = await promptPassphrase('Passphrase for keyring keys:');
+      }
+      oldKey = keyring;
+    }
+
+    // New key: a public key file, or the keyring's default key
+    const newKeyFile = options['new-key'] || options.n;
+    const newKey = newKeyFile
+      ? readKeyFile(newKeyFile)
+      : await keyring.getDefault();
+    if (!newKey) {
+      throw new Error('New public key file is required (--new-key or -n)');
+    }
+
+    const outputDirectory = options.output || options.o;
+    const rekey = {
+      oldKey,
+      newKey,
+      passphrase,
+      upgrade: options.upgrade,
+      dropSignature: options['drop-signature'],
+      allowUncommitted: options['allow-uncommitted'],
+      outputDirectory: outputDirectory && resolve(outputDirectory),
+    };
+
+    const newKeyId = fingerprint(newKey).keyId;
+    console.error(`Re-encrypting messages to ${newKeyId}...`);
+
+    const results = [];
+    for (const file of collectFiles(args)) {
+      try {
+        results.push(await rekeyFile(file, rekey));
+      } catch (error) {
+        results.push({
+          path: file.path,
+          status: 'failed',
+          error: error.message,
+        });
+        console.error(`✗ ${file.path}: ${error.message}`);
+      }
+    }
+
+    const count = (status) =>
+      results.filter((result) => result.status === status).length;
+    const summary = {
+      reencrypted: count('reencrypted'),
+      skipped: count('skipped'),
+      failed: count('failed'),
+    };
+
+    const reportFile = options.report || options.r;
+    if (reportFile) {
+      await writeJsonFile(resolve(reportFile), {
+        createdAt: new Date().toISOString(),
+        newKeyId,
+        summary,
+        files: results,
+      });
+      console.error(`Report saved to: ${resolve(reportFile)}`);
+    }
+
+    console.error(
+      `${summary.failed ? '✗' : '✓'} ${summary.reencrypted} re-encrypted, ${summary.skipped} skipped, ${summary.failed} failed`
+    );
+    if (summary.failed) {
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Fingerprint command
+ */
+async function cmdFingerprint(options) {
+  try {
+    const keyFile = options.key || options.k;
+    if (!keyFile) {
+      throw new Error('Key file is required (--key or -k)');
+    }
+
+    const keyData = readKeyFile(keyFile);
+    const { algorithm, hex, keyId, words } = fingerprint(keyData);
+    console.log(`Algorithm:   ${algorithm}`);
+    console.log(`Key ID:      ${keyId}`);
+    console.log(`Fingerprint: ${formatFingerprint(hex)}`);
+    console.log(`Words:       ${words}`);
+
+    // Metadata stored with the key
+    if (keyData.label) {
+      console.log(`Label:       ${keyData.label}`);
+    }
+    if (keyData.owner) {
+      console.log(`Owner:       ${keyData.owner}`);
+    }
+    if (keyData.usage) {
+      console.log(`Usage:       ${keyData.usage.join(', ')}`);
+    }
+    if (keyData.expiresAt) {
+      console.log(`Expires:     ${new Date(keyData.expiresAt).toISOString()}`);
+    }
+    if (keyData.replaces) {
+      console.log(`Replaces:    ${keyData.replaces}`);
+    }
+    if (keyData.supersededBy) {
+      console.log(`Replaced by: ${keyData.supersededBy}`);
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
 /**
  * Main CLI entry point
  */
@@ -211,13 +1407,17 @@ async function main() {
     process.exit(0);
   }
 
-  const { command, options } = parseArgs(args);
+  const { command, args: commandArgs, options } = parseArgs(args);
 
   switch (command) {
     case COMMANDS.GENERATE:
       await cmdGenerate(options);
       break;
 
+    case COMMANDS.RESTORE:
+      await cmdRestore(options);
+      break;
+
     case COMMANDS.ENCRYPT:
       await cmdEncrypt(options);
       break;
@@ -226,6 +1426,30 @@ async function main() {
       await cmdDecrypt(options);
       break;
 
+    case COMMANDS.KEY:
+      await cmdKey(commandArgs, options);
+      break;
+
+    case COMMANDS.KEYRING:
+      await cmdKeyring(commandArgs, options);
+      break;
+
+    case COMMANDS.CONTACTS:
+      await cmdContacts(commandArgs, options);
+      break;
+
+    case COMMANDS.VERIFY_CONTACT:
+      await cmdVerifyContact(commandArgs, options);
+      break;
+
+    case COMMANDS.FINGERPRINT:
+      await cmdFingerprint(options);
+      break;
+
+    case COMMANDS.REKEY:
+      await cmdRekey(commandArgs, options);
+      break;
+
     case COMMANDS.VERSION:
       console.log('post-quantum-helper v1.0.0');
       break;
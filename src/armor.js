@@ -0,0 +1,247 @@
+/**
+ * @fileoverview ASCII armor for encrypted messages and keys
+ * Wraps binary data in BEGIN/END lines with line-wrapped Base64 and a CRC-24
+ * checksum, so it survives email clients, tickets and chat
+ *
+ * Layout:
+ *   -----BEGIN POST-QUANTUM <TYPE>-----
+ *   Header: value
+ *   <blank line>
+ *   Base64 body, 64 characters per line
+ *   =<Base64 CRC-24>
+ *   -----END POST-QUANTUM <TYPE>-----
+ */
+
+import { Base64 } from './crypto-utils.js';
+import { serializeEnvelope } from './envelope.js';
+
+// Armor block types
+export const ARMOR_TYPES = {
+  MESSAGE: 'POST-QUANTUM MESSAGE',
+  PUBLIC_KEY: 'POST-QUANTUM PUBLIC KEY',
+  PRIVATE_KEY: 'POST-QUANTUM PRIVATE KEY',
+  KEY_SHARE: 'POST-QUANTUM KEY SHARE',
+};
+
+// Formatting constants
+const LINE_LENGTH = 64;
+const CRC24_INIT = 0xb704ce;
+const CRC24_POLY = 0x1864cfb;
+const BEGIN_PATTERN = /^-----BEGIN ([A-Z0-9 -]+)-----$/;
+const HEADER_PATTERN = /^([A-Za-z0-9-]+): ?(.*)$/;
+
+/**
+ * Compute the OpenPGP CRC-24 checksum (RFC 4880, section 6.1)
+ * @param {Uint8Array} bytes - Data to checksum
+ * @returns {number} 24-bit checksum
+ */
+function crc24(bytes) {
+  let crc = CRC24_INIT;
+  for (const byte of bytes) {
+    crc ^= byte << 16;
+    for (let i = 0; i < 8; i++) {
+      crc <<= 1;
+      if (crc & 0x1000000) {
+        crc ^= CRC24_POLY;
+      }
+    }
+  }
+  return crc & 0xffffff;
+}
+
+/**
+ * Encode a CRC-24 checksum as the armor footer value
+ * @param {number} crc - 24-bit checksum
+ * @returns {string} 4-character Base64 checksum
+ */
+function encodeChecksum(crc) {
+  return Base64.encode(
+    new Uint8Array([crc >> 16, (crc >> 8) & 0xff, crc & 0xff])
+  );
+}
+
+/**
+ * Check whether text contains an armored block
+ * @param {*} text - Candidate text
+ * @param {string} [type] - Expected armor type
+ * @returns {boolean} True if text contains a BEGIN line (of the given type)
+ */
+export function isArmored(text, type) {
+  if (typeof text !== 'string') {
+    return false;
+  }
+
+  const marker = type ? `-----BEGIN ${type}-----` : '-----BEGIN ';
+  return text.includes(marker);
+}
+
+/**
+ * Armor binary data
+ * @param {Uint8Array} data - Data to armor
+ * @param {string} type - Armor type (see ARMOR_TYPES)
+ * @param {Object<string, string>} [headers={}] - Armor headers
+ * @returns {string} Armored text
+ */
+export function armor(data, type, headers = {}) {
+  if (!(data instanceof Uint8Array)) {
+    throw new Error('Armor data must be a Uint8Array');
+  }
+
+  if (
+    !type ||
+    typeof type !== 'string' ||
+    !BEGIN_PATTERN.test(`-----BEGIN ${type}-----`)
+  ) {
+    throw new Error('Invalid armor type');
+  }
+
+  const lines = [`-----BEGIN ${type}-----`];
+
+  for (const [name, value] of Object.entries(headers)) {
+    if (value === undefined || value === null) {
+      continue;
+    }
+    if (!HEADER_PATTERN.test(`${name}: `) || /[\r\n]/.test(String(value))) {
+      throw new Error(`Invalid armor header: ${name}`);
+    }
+    lines.push(`${name}: ${value}`);
+  }
+  lines.push('');
+
+  const body = Base64.encode(data);
+  for (let i = 0; i < body.length; i += LINE_LENGTH) {
+    lines.push(body.slice(i, i + LINE_LENGTH));
+  }
+
+  lines.push(`=${encodeChecksum(crc24(data))}`);
+  lines.push(`-----END ${type}-----`);
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Decode an armored block
+ * Text before the BEGIN line and after the END line is ignored.
+ * @param {string} text - Armored text
+ * @param {string} [expectedType] - Required armor type
+ * @returns {{type: string, headers: Object<string, string>, data: Uint8Array}} Decoded block
+ */
+export function dearmor(text, expectedType) {
+  if (typeof text !== 'string') {
+    throw new Error('Armored text must be a string');
+  }
+
+  const lines = text.split(/\r?\n/).map((line) => line.trim());
+  const begin = lines.findIndex((line) => BEGIN_PATTERN.test(line));
+  if (begin === -1) {
+    throw new Error('Invalid armor: missing BEGIN line');
+  }
+
+  const type = lines[begin].match(BEGIN_PATTERN)[1];
+  if (expectedType && type !== expectedType) {
+    throw new Error(`Invalid armor: expected ${expectedType}, found ${type}`);
+  }
+
+  const end = lines.indexOf(`-----END ${type}-----`, begin + 1);
+  if (end === -1) {
+    throw new Error('Invalid armor: missing END line');
+  }
+
+  // Headers run until the first blank line
+  const headers = {};
+  let i = begin + 1;
+  for (; i < end && lines[i] !== ''; i++) {
+    const match = lines[i].match(HEADER_PATTERN);
+    if (!match) {
+      throw new Error('Invalid armor: malformed header');
+    }
+    headers[match[1]] = match[2];
+  }
+
+  const bodyLines = lines.slice(i + 1, end).filter((line) => line !== '');
+  const checksumLine = bodyLines.pop();
+  if (!checksumLine || !/^=[A-Za-z0-9+/]{4}$/.test(checksumLine)) {
+    throw new Error('Invalid armor: missing checksum');
+  }
+
+  const body = bodyLines.join('');
+  if (!/^[A-Za-z0-9+/]*={0,2}$/.test(body)) {
+    throw new Error('Invalid armor: malformed Base64 body');
+  }
+
+  const data = Base64.decode(body);
+  if (encodeChecksum(crc24(data)) !== checksumLine.slice(1)) {
+    throw new Error('Invalid armor: checksum mismatch');
+  }
+
+  return { type, headers, data };
+}
+
+/**
+ * Armor an encrypted message
+ * The envelope is stored in the compact binary format.
+ * @param {string|Object} encryptedContent - Encrypted message (JSON string or parsed object)
+ * @returns {string} Armored message
+ */
+export function armorMessage(encryptedContent) {
+  const messageData =
+    typeof encryptedContent === 'string'
+      ? JSON.parse(encryptedContent)
+      : encryptedContent;
+
+  return armor(serializeEnvelope(messageData), ARMOR_TYPES.MESSAGE, {
+    Algorithm: messageData.alg,
+    Version: messageData.v,
+  });
+}
+
+/**
+ * Decode an armored message into its binary envelope
+ * @param {string} text - Armored message
+ * @returns {Uint8Array} Binary envelope, accepted by decrypt()
+ */
+export function dearmorMessage(text) {
+  return dearmor(text, ARMOR_TYPES.MESSAGE).data;
+}
+
+/**
+ * Armor exported key data
+ * Data containing a private key (plain, passphrase-protected or as the seed it
+ * was derived from) is armored as a PRIVATE KEY block, data with only a public
+ * key as a PUBLIC KEY block.
+ * @param {Object} keyData - Output of exportKeyPair(), or an object with publicKey and algorithm
+ * @returns {string} Armored key
+ */
+export function armorKey(keyData) {
+  if (!keyData || typeof keyData !== 'object' || !keyData.publicKey) {
+    throw new Error('Invalid key data');
+  }
+
+  const type =
+    keyData.privateKey || keyData.encryptedPrivateKey || keyData.seed
+      ? ARMOR_TYPES.PRIVATE_KEY
+      : ARMOR_TYPES.PUBLIC_KEY;
+
+  return armor(new TextEncoder().encode(JSON.stringify(keyData)), type, {
+    Algorithm: keyData.algorithm,
+    Version: keyData.version,
+  });
+}
+
+/**
+ * Decode an armored key
+ * @param {string} text - Armored key
+ * @returns {Object} Key data, accepted by importKeyPair() for private keys
+ */
+export function dearmorKey(text) {
+  const { type, data } = dearmor(text);
+  if (type !== ARMOR_TYPES.PRIVATE_KEY && type !== ARMOR_TYPES.PUBLIC_KEY) {
+    throw new Error(`Invalid armor: expected a key, found ${type}`);
+  }
+
+  try {
+    return JSON.parse(new TextDecoder().decode(data));
+  } catch {
+    throw new Error('Invalid armor: malformed key data');
+  }
+}
@@ -0,0 +1,226 @@
+/**
+ * @fileoverview Address book of other people's public keys
+ * Persists contacts by name under ~/.quantum (or a configured directory) so
+ * messages can be encrypted to a name instead of a key file
+ */
+
+import { join } from 'node:path';
+import { validatePublicKey, getKeyStatus } from './key-manager.js';
+import { fingerprint, formatFingerprint } from './fingerprint.js';
+import {
+  getDefaultDirectory,
+  readJsonFile,
+  writeJsonFile,
+  withFileLock,
+} from './storage.js';
+
+// Contacts file format
+const CONTACTS_FILE = 'contacts.json';
+const CONTACTS_VERSION = 1;
+
+// Contact names: letters, digits and common handle/e-mail punctuation
+const NAME_PATTERN = /^[A-Za-z0-9._@+-]{1,64}$/;
+
+/**
+ * Build the public description of a stored contact
+ * @param {Object} entry - Stored contact
+ * @returns {{name: string, algorithm: string, publicKey: string, keyId: string, fingerprint: string, addedAt: number, verified: boolean, verifiedAt: number|null, expiresAt: number|null, usage: string[]|null, status: string}} Contact
+ */
+function describeContact(entry) {
+  const { hex, keyId } = fingerprint(entry.publicKey, entry.algorithm);
+  return {
+    name: entry.name,
+    algorithm: entry.algorithm,
+    publicKey: entry.publicKey,
+    keyId,
+    fingerprint: formatFingerprint(hex),
+    addedAt: entry.addedAt,
+    verified: !!entry.verifiedAt,
+    verifiedAt: entry.verifiedAt || null,
+    expiresAt: entry.expiresAt || null,
+    usage: entry.usage || null,
+    status: getKeyStatus(entry),
+  };
+}
+
+/**
+ * Validate a contact name
+ * @param {string} name - Contact name
+ */
+function validateName(name) {
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+    throw new Error(
+      'Invalid contact name: use 1-64 letters, digits or . _ @ + -'
+    );
+  }
+}
+
+/**
+ * Persistent store of other people's public keys
+ * Shares the storage guarantees of Keyring: atomic writes, a lock file for
+ * writers and owner-only permissions.
+ */
+export class Contacts {
+  /**
+   * @param {Object} [options] - Contacts options
+   * @param {string} [options.directory] - Storage directory (default: $QUANTUM_HOME or ~/.quantum)
+   * @param {number} [options.lockTimeout=5000] - Milliseconds to wait for the contacts lock
+   */
+  constructor(options = {}) {
+    this.directory = options.directory || getDefaultDirectory();
+    this.path = join(this.directory, CONTACTS_FILE);
+    this.lockTimeout = options.lockTimeout;
+  }
+
+  /**
+   * Read the contacts file
+   * @returns {Promise<{version: number, contacts: Object[]}>} Contacts data
+   */
+  async _load() {
+    const data = await readJsonFile(this.path, {
+      version: CONTACTS_VERSION,
+      contacts: [],
+    });
+
+    if (data.version !== CONTACTS_VERSION || !Array.isArray(data.contacts)) {
+      throw new Error(`Unsupported contacts format: ${this.path}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Modify the contacts under their lock and write them back atomically
+   * @param {Function} fn - Receives the contacts data; may mutate it
+   * @returns {Promise<*>} Result of fn
+   */
+  async _update(fn) {
+    return withFileLock(
+      this.path,
+      async () => {
+        const data = await this._load();
+        const result = await fn(data);
+        await writeJsonFile(this.path, data);
+        return result;
+      },
+      { timeout: this.lockTimeout }
+    );
+  }
+
+  /**
+   * Add a contact
+   * Only the public key is stored, even when given a full exported key pair,
+   * along with its expiresAt and usage metadata so encrypt() can enforce them.
+   * A replaced contact starts out unverified.
+   * @param {string} name - Contact name
+   * @param {string|{publicKey: string, algorithm?: string}} publicKeyData - Public key (Base64) or key data
+   * @param {Object} [options] - Options
+   * @param {string} [options.algorithm] - Algorithm when publicKeyData is a string (default: ML-KEM-1024)
+   * @param {boolean} [options.replace=false] - Replace an existing contact with the same name
+   * @returns {Promise<Object>} Stored contact
+   */
+  async add(name, publicKeyData, options = {}) {
+    validateName(name);
+
+    const publicKey =
+      typeof publicKeyData === 'string'
+        ? publicKeyData
+        : publicKeyData && publicKeyData.publicKey;
+    const algorithm =
+      (typeof publicKeyData === 'object' &&
+        publicKeyData &&
+        publicKeyData.algorithm) ||
+      options.algorithm ||
+      'ML-KEM-1024';
+
+    if (!validatePublicKey(publicKey, algorithm)) {
+      throw new Error(`Invalid ${algorithm} public key`);
+    }
+
+    const entry = { name, algorithm, publicKey, addedAt: Date.now() };
+
+    // Keep the expiry and usage the key's owner published
+    if (publicKeyData && typeof publicKeyData === 'object') {
+      for (const field of ['expiresAt', 'usage']) {
+        if (publicKeyData[field] !== undefined) {
+          entry[field] = publicKeyData[field];
+        }
+      }
+      getKeyStatus(entry); // throws on invalid metadata
+    }
+
+    return this._update((data) => {
+      const existing = data.contacts.findIndex(
+        (contact) => contact.name === name
+      );
+
+      if (existing !== -1) {
+        if (!options.replace) {
+          throw new Error(`Contact already exists: ${name}`);
+        }
+        data.contacts.splice(existing, 1);
+      }
+
+      data.contacts.push(entry);
+      return describeContact(entry);
+    });
+  }
+
+  /**
+   * List contacts sorted by name
+   * @returns {Promise<Object[]>} Contacts
+   */
+  async list() {
+    const data = await this._load();
+    return data.contacts
+      .map(describeContact)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Look up a contact
+   * @param {string} name - Contact name
+   * @returns {Promise<Object|null>} Contact, or null if not found
+   */
+  async get(name) {
+    const data = await this._load();
+    const entry = data.contacts.find((contact) => contact.name === name);
+    return entry ? describeContact(entry) : null;
+  }
+
+  /**
+   * Mark a contact's key as verified (or not) after comparing safety numbers
+   * @param {string} name - Contact name
+   * @param {boolean} [verified=true] - Whether the key has been verified
+   * @returns {Promise<Object>} Updated contact
+   */
+  async setVerified(name, verified = true) {
+    return this._update((data) => {
+      const entry = data.contacts.find((contact) => contact.name === name);
+      if (!entry) {
+        throw new Error(`Unknown contact: ${name}`);
+      }
+
+      if (verified) {
+        entry.verifiedAt = Date.now();
+      } else {
+        delete entry.verifiedAt;
+      }
+
+      return describeContact(entry);
+    });
+  }
+
+  /**
+   * Remove a contact
+   * @param {string} name - Contact name
+   * @returns {Promise<boolean>} True if a contact was removed
+   */
+  async remove(name) {
+    return this._update((data) => {
+      const count = data.contacts.length;
+      data.contacts = data.contacts.filter((contact) => contact.name !== name);
+      return data.contacts.length !== count;
+    });
+  }
+}
@@ -1,15 +1,32 @@
 /**
  * @fileoverview Core cryptographic utilities for post-quantum encryption
- * Provides Base64 encoding, HKDF, ChaCha20-Poly1305, and secure random generation
+ * Provides Base64 encoding, HKDF, scrypt, AEAD ciphers, and secure random generation
  * Node.js-only implementation (no browser dependencies)
  */
 
-import { randomBytes } from 'node:crypto';
+import { randomBytes, scrypt } from 'node:crypto';
 import { webcrypto } from 'node:crypto';
-import { chacha20poly1305 } from '@noble/ciphers/chacha';
+import { chacha20poly1305, xchacha20poly1305 } from '@noble/ciphers/chacha.js';
+import { gcm, gcmsiv } from '@noble/ciphers/aes.js';
 
 const { subtle } = webcrypto;
 
+// scrypt parameters come from untrusted files and envelopes; these limits keep
+// one derivation within 256 MiB of memory (128 * N * r bytes) and at most 8
+// times the default CPU cost
+const SCRYPT_MAX_MEMORY = 256 * 1024 * 1024;
+const SCRYPT_MAX_PARALLELISM = 4;
+
+// AEAD cipher registry: name -> @noble/ciphers-style constructor and nonce size
+// XChaCha20's 192-bit nonces can be chosen at random for any number of
+// messages; AES-256-GCM-SIV only leaks plaintext equality if a nonce repeats
+const AEAD_CIPHERS = new Map([
+  ['ChaCha20-Poly1305', { create: chacha20poly1305, nonceSize: 12 }],
+  ['XChaCha20-Poly1305', { create: xchacha20poly1305, nonceSize: 24 }],
+  ['AES-256-GCM', { create: gcm, nonceSize: 12 }],
+  ['AES-256-GCM-SIV', { create: gcmsiv, nonceSize: 12 }],
+]);
+
 /**
  * Base64 encoding and decoding utilities
  */
@@ -71,6 +88,203 @@ export class HKDF {
   }
 }
 
+/**
+ * scrypt memory-hard key derivation for passphrases
+ */
+export class Scrypt {
+  /**
+   * Default cost parameters (N = 2^17, r = 8, p = 1: 128 MiB of memory)
+   */
+  static DEFAULT_PARAMS = { N: 2 ** 17, r: 8, p: 1 };
+
+  /**
+   * Check cost parameters read from untrusted data
+   * Rejects values that are weak, or that would need more than 256 MiB of
+   * memory (128 * N * r bytes) or more than 4 parallel passes.
+   * @param {{N: number, r: number, p: number}} params - Cost parameters
+   */
+  static validateParams(params) {
+    const { N, r, p } = params || {};
+
+    if (
+      !Number.isInteger(N) ||
+      N < 2 ** 14 ||
+      N > 2 ** 20 ||
+      (N & (N - 1)) !== 0
+    ) {
+      throw new Error('scrypt N must be a power of two between 2^14 and 2^20');
+    }
+
+    if (!Number.isInteger(r) || r < 1 || r > 32) {
+      throw new Error('scrypt r must be an integer between 1 and 32');
+    }
+
+    if (!Number.isInteger(p) || p < 1 || p > SCRYPT_MAX_PARALLELISM) {
+      throw new Error(
+        `scrypt p must be an integer between 1 and ${SCRYPT_MAX_PARALLELISM}`
+      );
+    }
+
+    if (128 * N * r > SCRYPT_MAX_MEMORY) {
+      throw new Error('scrypt N and r exceed the 256 MiB memory limit');
+    }
+  }
+
+  /**
+   * Derive a key from a passphrase
+   * @param {string} passphrase - Passphrase
+   * @param {Uint8Array} salt - Salt value
+   * @param {{N: number, r: number, p: number}} [params] - Cost parameters
+   * @param {number} [length=32] - Desired output key length in bytes
+   * @returns {Promise<Uint8Array>} Derived key
+   */
+  static async derive(
+    passphrase,
+    salt,
+    params = Scrypt.DEFAULT_PARAMS,
+    length = 32
+  ) {
+    if (!passphrase || typeof passphrase !== 'string') {
+      throw new Error('Passphrase must be a non-empty string');
+    }
+
+    this.validateParams(params);
+
+    const { N, r, p } = params;
+    const key = await new Promise((resolve, reject) => {
+      scrypt(
+        passphrase.normalize('NFKC'),
+        salt,
+        length,
+        // Headroom over the 128 * N * r limit for scrypt's own buffers
+        { N, r, p, maxmem: 2 * SCRYPT_MAX_MEMORY },
+        (error, derivedKey) => (error ? reject(error) : resolve(derivedKey))
+      );
+    });
+
+    return new Uint8Array(key);
+  }
+}
+
+/**
+ * Registry of AEAD ciphers with 256-bit keys, selected by name
+ */
+export class AEAD {
+  /**
+   * Cipher used when none is specified
+   */
+  static DEFAULT = 'ChaCha20-Poly1305';
+
+  /**
+   * Register an additional cipher
+   * @param {string} name - Cipher name, as stored in envelopes
+   * @param {{create: Function, nonceSize: number}} cipher - create(key, nonce, aad) returning {encrypt, decrypt}, and the nonce size in bytes
+   */
+  static register(name, cipher) {
+    if (!name || typeof name !== 'string' || AEAD_CIPHERS.has(name)) {
+      throw new Error(`Invalid or already registered cipher name: ${name}`);
+    }
+
+    if (
+      !cipher ||
+      typeof cipher.create !== 'function' ||
+      !Number.isInteger(cipher.nonceSize) ||
+      cipher.nonceSize < 12
+    ) {
+      throw new Error(
+        'Cipher must provide create() and a nonce size of at least 12 bytes'
+      );
+    }
+
+    AEAD_CIPHERS.set(name, {
+      create: cipher.create,
+      nonceSize: cipher.nonceSize,
+    });
+  }
+
+  /**
+   * List the registered ciphers
+   * @returns {string[]} Cipher names
+   */
+  static list() {
+    return [...AEAD_CIPHERS.keys()];
+  }
+
+  /**
+   * Look up a registered cipher
+   * @param {string} name - Cipher name
+   * @returns {{create: Function, nonceSize: number}} Cipher
+   */
+  static get(name) {
+    const cipher = AEAD_CIPHERS.get(name);
+    if (!cipher) {
+      throw new Error(
+        `Unsupported cipher: ${name}. Supported: ${this.list().join(', ')}`
+      );
+    }
+    return cipher;
+  }
+
+  /**
+   * Generate a random nonce for a cipher
+   * @param {string} name - Cipher name
+   * @returns {Uint8Array} Nonce of the cipher's size
+   */
+  static generateNonce(name) {
+    return SecureRandom.getRandomBytes(this.get(name).nonceSize);
+  }
+
+  /**
+   * Encrypt data
+   * @param {string} name - Cipher name
+   * @param {Uint8Array} key - 256-bit encryption key
+   * @param {Uint8Array} nonce - Nonce of the cipher's size
+   * @param {Uint8Array} plaintext - Data to encrypt
+   * @param {Uint8Array} [additionalData] - Optional additional authenticated data
+   * @returns {Promise<Uint8Array>} Ciphertext with authentication tag
+   */
+  static async encrypt(
+    name,
+    key,
+    nonce,
+    plaintext,
+    additionalData = new Uint8Array(0)
+  ) {
+    const { create } = this.get(name);
+
+    try {
+      return create(key, nonce, additionalData).encrypt(plaintext);
+    } catch (error) {
+      throw new Error(`${name} encryption failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Decrypt data
+   * @param {string} name - Cipher name
+   * @param {Uint8Array} key - 256-bit encryption key
+   * @param {Uint8Array} nonce - Nonce of the cipher's size
+   * @param {Uint8Array} ciphertext - Data to decrypt (includes auth tag)
+   * @param {Uint8Array} [additionalData] - Optional additional authenticated data
+   * @returns {Promise<Uint8Array>} Decrypted plaintext
+   */
+  static async decrypt(
+    name,
+    key,
+    nonce,
+    ciphertext,
+    additionalData = new Uint8Array(0)
+  ) {
+    const { create } = this.get(name);
+
+    try {
+      return create(key, nonce, additionalData).decrypt(ciphertext);
+    } catch (error) {
+      throw new Error(`${name} decryption failed: ${error.message}`);
+    }
+  }
+}
+
 /**
  * ChaCha20-Poly1305 AEAD encryption using Noble crypto library
  */
@@ -184,4 +398,22 @@ export class CryptoUtils {
 
     return result === 0;
   }
+
+  /**
+   * Concatenate multiple byte arrays
+   * @param {...Uint8Array} arrays - Arrays to concatenate
+   * @returns {Uint8Array} Concatenated bytes
+   */
+  static concatenate(...arrays) {
+    const totalLength = arrays.reduce((sum, arr) => sum + arr.length, 0);
+    const result = new Uint8Array(totalLength);
+
+    let offset = 0;
+    for (const arr of arrays) {
+      result.set(arr, offset);
+      offset += arr.length;
+    }
+
+    return result;
+  }
 }
@@ -1,92 +1,675 @@
 /**
  * @fileoverview Post-quantum encryption and decryption
- * Uses ML-KEM for key encapsulation and ChaCha20-Poly1305 for message encryption
+ * Uses ML-KEM (or hybrid X-Wing) for key encapsulation and an AEAD cipher
+ * (ChaCha20-Poly1305 by default) for message encryption. New envelopes commit
+ * to their payload key, so a ciphertext only decrypts under one key.
  */
 
-import { MlKem1024, MlKem768 } from 'mlkem';
+import { createHash } from 'node:crypto';
 import {
   Base64,
   HKDF,
-  ChaCha20Poly1305,
+  AEAD,
+  Scrypt,
   SecureRandom,
   CryptoUtils,
 } from './crypto-utils.js';
+import {
+  encodePayload,
+  decodePayload,
+  resolveOptions,
+  encodeAssociatedData,
+} from './message-utils.js';
+import {
+  getKeyInfo,
+  decodePublicKey,
+  encapsulateKey,
+  decapsulateKey,
+} from './kem.js';
+import { signDetached, verifyDetached, getSignatureSizes } from './signer.js';
+import {
+  isBinaryEnvelope,
+  decodeEnvelope,
+  serializeEnvelope,
+} from './envelope.js';
+import {
+  isArmored,
+  dearmorMessage,
+  armorMessage,
+  ARMOR_TYPES,
+} from './armor.js';
+import { getKeyId } from './fingerprint.js';
+import { getKeyStatus } from './key-manager.js';
+import { splitSecret, combineSecret } from './shamir.js';
+
+// HKDF labels are the cipher name; these suffixes mark keys that wrap a
+// multi-recipient content key or a custodian's share of a threshold content key
+const KEY_WRAP_SUFFIX = '-KeyWrap';
+const SHARE_WRAP_SUFFIX = '-ShareWrap';
+
+// Content key size for envelopes with recipient slots
+const CONTENT_KEY_SIZE = 32;
+
+// HKDF salt separating key commitments from other uses of a payload key
+const KEY_COMMITMENT_SALT = new TextEncoder().encode(
+  'post-quantum-helper/key-commitment'
+);
+const KEY_COMMITMENT_SIZE = 32;
 
-// Algorithm instances
-const mlKem1024 = new MlKem1024();
-const mlKem768 = new MlKem768();
+// Partial decryption format version and message ID length in bytes
+const PARTIAL_VERSION = 1;
+const MESSAGE_ID_SIZE = 16;
+
+// Algorithm name of password-encrypted envelopes, and their KDF parameter format
+const PASSWORD_ALGORITHM = 'password';
+const SCRYPT_PARAMS_PATTERN = /^\$scrypt\$ln=(\d+),r=(\d+),p=(\d+)$/;
+
+// Envelope versions: v3 messages carry no associated data, v4 binds the header
+const LEGACY_VERSION = 3;
+const ENVELOPE_VERSION = 4;
+
+// Envelope header fields authenticated as associated data (v4+), in canonical order
+const HEADER_FIELDS = [
+  'v',
+  'alg',
+  'ct',
+  't',
+  's',
+  'sg',
+  'kid',
+  'k',
+  'kdf',
+  'aead',
+  'kc',
+];
+
+// ML-DSA context string separating sender signatures from other signatures
+const SIGNCRYPTION_CONTEXT = 'post-quantum-helper/signcryption';
 
 /**
- * Encrypt a message for a recipient using post-quantum cryptography
- * @param {string} message - Plain text message to encrypt
- * @param {string} recipientPublicKey - Recipient's public key (Base64)
- * @param {string} [algorithm='ML-KEM-1024'] - Algorithm to use
- * @returns {Promise<string>} Encrypted message as JSON string
+ * Build the canonical serialization of the envelope header
+ * Fields are emitted as [name, value] pairs in HEADER_FIELDS order so the
+ * result does not depend on JSON key ordering; absent fields are skipped.
+ * @param {Object} messageData - Envelope object
+ * @returns {Uint8Array} Header bytes used as AEAD associated data
  */
-export async function encrypt(
-  message,
-  recipientPublicKey,
-  algorithm = 'ML-KEM-1024'
+function encodeHeader(messageData) {
+  const header = HEADER_FIELDS.filter(
+    (field) => messageData[field] !== undefined
+  ).map((field) => [field, messageData[field]]);
+
+  return new TextEncoder().encode(JSON.stringify(header));
+}
+
+/**
+ * Get the AEAD cipher of an envelope
+ * Envelopes without an `aead` field use ChaCha20-Poly1305.
+ * @param {Object} messageData - Envelope object
+ * @returns {string} Cipher name (throws for unknown ciphers)
+ */
+function getCipher(messageData) {
+  const cipher = messageData.aead || AEAD.DEFAULT;
+  AEAD.get(cipher);
+  return cipher;
+}
+
+/**
+ * Start an envelope header, recording the cipher unless it is the default
+ * @param {string} algorithm - KEM algorithm, or 'password'
+ * @param {string} contentType - Payload content type
+ * @param {string} [cipher] - AEAD cipher name
+ * @returns {Object} Envelope with v, alg, ct and, for other ciphers, aead
+ */
+function createEnvelope(algorithm, contentType, cipher = AEAD.DEFAULT) {
+  // Fail early on unknown ciphers
+  AEAD.get(cipher);
+
+  const envelope = { v: ENVELOPE_VERSION, alg: algorithm, ct: contentType };
+  if (cipher !== AEAD.DEFAULT) {
+    envelope.aead = cipher;
+  }
+  return envelope;
+}
+
+/**
+ * Compute the commitment to a payload key
+ * AEAD ciphers do not bind their key: a crafted ciphertext can authenticate
+ * under two keys and decrypt to a different message for each. The HKDF
+ * output is collision resistant, so a ciphertext carrying it only opens
+ * under the key it was derived from.
+ * @param {Object} messageData - Envelope with its cipher set
+ * @param {Uint8Array} key - Payload key
+ * @returns {Promise<Uint8Array>} Key commitment
+ */
+function computeKeyCommitment(messageData, key) {
+  return HKDF.derive(
+    key,
+    KEY_COMMITMENT_SALT,
+    getCipher(messageData),
+    KEY_COMMITMENT_SIZE
+  );
+}
+
+/**
+ * Store the commitment to a payload key in an envelope (`kc` field)
+ * @param {Object} messageData - Envelope with its cipher set
+ * @param {Uint8Array} key - Payload key
+ */
+async function addKeyCommitment(messageData, key) {
+  messageData.kc = Base64.encode(await computeKeyCommitment(messageData, key));
+}
+
+/**
+ * Check a payload key against the envelope's key commitment, if it has one
+ * Runs before the payload is decrypted, so a key the sender did not commit
+ * to is never used.
+ * @param {Object} messageData - Parsed envelope
+ * @param {Uint8Array} key - Recovered payload key
+ */
+async function checkKeyCommitment(messageData, key) {
+  if (messageData.kc === undefined) {
+    return;
+  }
+
+  if (
+    !CryptoUtils.constantTimeEqual(
+      await computeKeyCommitment(messageData, key),
+      Base64.decode(messageData.kc)
+    )
+  ) {
+    throw new Error('Key commitment mismatch');
+  }
+}
+
+/**
+ * Refuse envelopes without a key commitment unless the caller accepts them
+ * A malicious sender can leave the commitment out, so only envelopes from
+ * before key commitment (v3, or v4 with keyCommitment: false) should be
+ * accepted without one.
+ * @param {Object} messageData - Parsed envelope
+ * @param {boolean} [requireKeyCommitment=true] - Whether a commitment is required
+ */
+function assertKeyCommitment(messageData, requireKeyCommitment = true) {
+  if (requireKeyCommitment !== false && messageData.kc === undefined) {
+    throw new Error(
+      'Message does not commit to its key; set requireKeyCommitment to false to accept messages without key commitment'
+    );
+  }
+}
+
+/**
+ * Get the associated data an envelope was encrypted with
+ * The canonical header is self-delimiting JSON, so caller-supplied data is
+ * appended directly after it.
+ * @param {Object} messageData - Parsed envelope
+ * @param {string|Uint8Array} [aad] - Caller-supplied associated data
+ * @returns {Uint8Array} Associated data
+ */
+function getAssociatedData(messageData, aad) {
+  const callerData = encodeAssociatedData(aad);
+
+  if (messageData.v === LEGACY_VERSION) {
+    return callerData;
+  }
+
+  if (messageData.v === ENVELOPE_VERSION) {
+    return CryptoUtils.concatenate(encodeHeader(messageData), callerData);
+  }
+
+  throw new Error(`Unsupported message version: ${messageData.v}`);
+}
+
+/**
+ * Parse an encrypted message from its JSON, armored or binary form
+ * @param {string|Uint8Array} encryptedContent - JSON string, armored text or binary envelope
+ * @returns {Object} Parsed envelope
+ */
+function parseEncryptedMessage(encryptedContent) {
+  if (isBinaryEnvelope(encryptedContent)) {
+    return decodeEnvelope(encryptedContent);
+  }
+
+  if (isArmored(encryptedContent, ARMOR_TYPES.MESSAGE)) {
+    return decodeEnvelope(dearmorMessage(encryptedContent));
+  }
+
+  if (typeof encryptedContent !== 'string') {
+    throw new Error('Invalid encrypted message format');
+  }
+
+  return JSON.parse(encryptedContent);
+}
+
+/**
+ * Check that a parsed envelope has every field its layout requires
+ * Single-recipient envelopes carry `kem` and `s`; multi-recipient envelopes
+ * carry a non-empty `r` array of recipient slots instead.
+ * @param {Object} messageData - Parsed envelope
+ * @returns {boolean} True if all required fields are present
+ */
+function hasRequiredFields(messageData) {
+  if (
+    !messageData ||
+    !messageData.v ||
+    !messageData.alg ||
+    !messageData.n ||
+    !messageData.c
+  ) {
+    return false;
+  }
+
+  if (messageData.alg === PASSWORD_ALGORITHM) {
+    return !!(messageData.kdf && messageData.s);
+  }
+
+  if (Array.isArray(messageData.r)) {
+    return (
+      messageData.r.length > 0 &&
+      (messageData.k === undefined ||
+        (Number.isInteger(messageData.k) &&
+          messageData.k >= 2 &&
+          messageData.k <= messageData.r.length)) &&
+      messageData.r.every((slot) => slot && slot.kem && slot.s && slot.w)
+    );
+  }
+
+  return !!(messageData.kem && messageData.s);
+}
+
+/**
+ * Unwrap the recipient slot matching a private key
+ * ML-KEM decapsulation never fails outright, so each slot is tried until its
+ * wrapped key authenticates.
+ * @param {Object} messageData - Parsed envelope with recipient slots
+ * @param {Uint8Array} privateKeyBytes - Recipient private key
+ * @param {string} algorithm - KEM algorithm
+ * @param {string} [context] - Context label given to the encryptor
+ * @param {string} suffix - HKDF label suffix the slot keys were derived with
+ * @returns {Promise<{index: number, secret: Uint8Array}>} Slot position and unwrapped secret
+ */
+async function unwrapSlot(
+  messageData,
+  privateKeyBytes,
+  algorithm,
+  context,
+  suffix
 ) {
+  const header = encodeHeader(messageData);
+  const cipher = getCipher(messageData);
+
+  for (const [index, slot] of messageData.r.entries()) {
+    const wrapKey = await decapsulateKey(
+      algorithm,
+      slot.kem,
+      slot.s,
+      privateKeyBytes,
+      getKeyInfo(context, cipher + suffix)
+    );
+
+    try {
+      const secret = await AEAD.decrypt(
+        cipher,
+        wrapKey,
+        Base64.decode(slot.n),
+        Base64.decode(slot.w),
+        header
+      );
+      return { index, secret };
+    } catch {
+      // Not our slot, try the next one
+    } finally {
+      CryptoUtils.secureClear(wrapKey);
+    }
+  }
+
+  throw new Error('No recipient slot matches the private key');
+}
+
+/**
+ * Wrap a secret for one recipient slot using ML-KEM + HKDF + the envelope cipher
+ * @param {Object} messageData - Envelope with its header fields set
+ * @param {Uint8Array} publicKeyBytes - Recipient public key
+ * @param {Uint8Array} secret - Secret to wrap
+ * @param {string} [context] - Context label mixed into the HKDF info
+ * @param {string} suffix - HKDF label suffix for the wrapping key
+ * @returns {Promise<{kem: string, s: string, n: string, w: string}>} Recipient slot
+ */
+async function wrapSlot(messageData, publicKeyBytes, secret, context, suffix) {
+  const cipher = getCipher(messageData);
+  const {
+    kemCiphertext,
+    salt,
+    key: wrapKey,
+  } = await encapsulateKey(
+    messageData.alg,
+    publicKeyBytes,
+    getKeyInfo(context, cipher + suffix)
+  );
+  const wrapNonce = AEAD.generateNonce(cipher);
+
   try {
-    // Validate inputs
-    if (!message && message !== '') {
-      throw new Error('Message is required');
+    const wrapped = await AEAD.encrypt(
+      cipher,
+      wrapKey,
+      wrapNonce,
+      secret,
+      encodeHeader(messageData)
+    );
+
+    return {
+      kem: Base64.encode(kemCiphertext),
+      s: Base64.encode(salt),
+      n: Base64.encode(wrapNonce),
+      w: Base64.encode(wrapped),
+    };
+  } finally {
+    CryptoUtils.secureClear(wrapKey);
+  }
+}
+
+/**
+ * Get the recipient key IDs an envelope announces
+ * @param {Object} messageData - Parsed envelope
+ * @returns {string[]|null} Key IDs, or null unless every recipient is identified
+ */
+function getRecipientKeyIds(messageData) {
+  const keyIds = messageData.r
+    ? messageData.r.map((slot) => slot.kid)
+    : [messageData.kid];
+
+  return keyIds.every(Boolean) ? keyIds : null;
+}
+
+/**
+ * Check whether a decryption key argument is a key source such as a Keyring
+ * @param {*} privateKey - Private key argument
+ * @returns {boolean} True if it provides candidate decryption keys
+ */
+function isKeySource(privateKey) {
+  return (
+    !!privateKey &&
+    typeof privateKey === 'object' &&
+    typeof privateKey.getDecryptionKeys === 'function'
+  );
+}
+
+/**
+ * Recover and decrypt the payload of an envelope with one private key
+ * @param {Object} messageData - Parsed envelope
+ * @param {string} privateKey - Private key (Base64)
+ * @param {string} algorithm - KEM algorithm
+ * @param {Uint8Array} associatedData - Envelope associated data
+ * @param {string} [context] - Context label given to the encryptor
+ * @returns {Promise<Uint8Array>} Decrypted payload
+ */
+async function openEnvelope(
+  messageData,
+  privateKey,
+  algorithm,
+  associatedData,
+  context
+) {
+  const privateKeyBytes = Base64.decode(privateKey);
+  const cipher = getCipher(messageData);
+
+  // Recover the message key from the KEM ciphertext or recipient slots
+  const messageKey = messageData.r
+    ? (
+        await unwrapSlot(
+          messageData,
+          privateKeyBytes,
+          algorithm,
+          context,
+          KEY_WRAP_SUFFIX
+        )
+      ).secret
+    : await decapsulateKey(
+        algorithm,
+        messageData.kem,
+        messageData.s,
+        privateKeyBytes,
+        getKeyInfo(context, cipher)
+      );
+
+  try {
+    await checkKeyCommitment(messageData, messageKey);
+
+    return await AEAD.decrypt(
+      cipher,
+      messageKey,
+      Base64.decode(messageData.n),
+      Base64.decode(messageData.c),
+      associatedData
+    );
+  } finally {
+    // Clear sensitive data
+    CryptoUtils.secureClear(messageKey);
+  }
+}
+
+/**
+ * Normalize the sender signing key option
+ * @param {string|{privateKey: string, algorithm?: string}} signingKey - ML-DSA private key or key pair
+ * @returns {{privateKey: string, algorithm: string}} Signing key
+ */
+function resolveSigningKey(signingKey) {
+  if (typeof signingKey === 'string') {
+    return { privateKey: signingKey, algorithm: 'ML-DSA-87' };
+  }
+
+  if (!signingKey || typeof signingKey.privateKey !== 'string') {
+    throw new Error('Invalid signing key');
+  }
+
+  return {
+    privateKey: signingKey.privateKey,
+    algorithm: signingKey.algorithm || 'ML-DSA-87',
+  };
+}
+
+/**
+ * Build the data a sender signature binds the plaintext to
+ * Covers the authenticated header and every KEM ciphertext, so a signed
+ * payload cannot be re-encrypted to a different recipient.
+ * @param {Object} messageData - Envelope with header and KEM fields set
+ * @returns {Uint8Array} Binding bytes
+ */
+function getSenderBinding(messageData) {
+  const kemCiphertexts = messageData.r
+    ? messageData.r.map((slot) => slot.kem)
+    : [messageData.kem];
+
+  return CryptoUtils.concatenate(
+    encodeHeader(messageData),
+    new TextEncoder().encode(JSON.stringify(kemCiphertexts))
+  );
+}
+
+/**
+ * Sign the plaintext and prepend the signature (sign-then-encrypt)
+ * @param {Object} messageData - Envelope with header and KEM fields set
+ * @param {Uint8Array} plaintext - Message bytes
+ * @param {{privateKey: string, algorithm: string}} signingKey - Sender signing key
+ * @returns {Promise<Uint8Array>} Signature followed by plaintext
+ */
+async function signPayload(messageData, plaintext, signingKey) {
+  const signature = await signDetached(
+    CryptoUtils.concatenate(getSenderBinding(messageData), plaintext),
+    signingKey.privateKey,
+    { algorithm: signingKey.algorithm, context: SIGNCRYPTION_CONTEXT }
+  );
+
+  return CryptoUtils.concatenate(Base64.decode(signature), plaintext);
+}
+
+/**
+ * Strip and optionally verify the sender signature of a decrypted payload
+ * @param {Object} messageData - Parsed envelope
+ * @param {Uint8Array} payload - Decrypted bytes
+ * @param {string} [senderPublicKey] - Expected sender ML-DSA public key (Base64)
+ * @returns {Promise<Uint8Array>} Message bytes
+ */
+async function openSignedPayload(messageData, payload, senderPublicKey) {
+  if (!messageData.sg) {
+    if (senderPublicKey) {
+      throw new Error('Message is not signed by a sender');
     }
+    return payload;
+  }
+
+  const { signatureSize } = getSignatureSizes(messageData.sg);
+  if (payload.length < signatureSize) {
+    throw new Error('Signed payload is truncated');
+  }
 
-    if (!recipientPublicKey || typeof recipientPublicKey !== 'string') {
-      throw new Error('Invalid recipient public key');
+  const signature = payload.subarray(0, signatureSize);
+  const plaintext = payload.subarray(signatureSize);
+
+  if (senderPublicKey) {
+    const valid = await verifyDetached(
+      CryptoUtils.concatenate(getSenderBinding(messageData), plaintext),
+      Base64.encode(signature),
+      senderPublicKey,
+      { algorithm: messageData.sg, context: SIGNCRYPTION_CONTEXT }
+    );
+
+    if (!valid) {
+      throw new Error('Sender signature verification failed');
     }
+  }
+
+  return plaintext;
+}
 
-    // Validate Base64 format
-    if (!/^[A-Za-z0-9+/]+=*$/.test(recipientPublicKey)) {
-      throw new Error('Public key must be valid Base64');
+/**
+ * Get the public key of a recipient, refusing keys that may not be encrypted to
+ * @param {string|Object} recipient - Public key (Base64), or a key object (export, key pair or contact) with optional metadata
+ * @param {string} algorithm - Encryption algorithm
+ * @returns {string} Public key (Base64)
+ */
+function resolveRecipientKey(recipient, algorithm) {
+  if (!recipient || typeof recipient !== 'object') {
+    return recipient;
+  }
+
+  if (recipient.algorithm && recipient.algorithm !== algorithm) {
+    throw new Error(
+      `Recipient key is an ${recipient.algorithm} key, not ${algorithm}`
+    );
+  }
+
+  const status = getKeyStatus(recipient);
+  if (status === 'expired') {
+    throw new Error(
+      `Recipient key expired on ${new Date(recipient.expiresAt).toISOString()}`
+    );
+  }
+  if (status === 'decrypt-only') {
+    throw new Error('Recipient key is decrypt-only');
+  }
+
+  return recipient.publicKey;
+}
+
+/**
+ * Get the algorithm of a recipient key object
+ * @param {string|Object} recipient - Public key or key object
+ * @returns {string} Algorithm of the key object, or ML-KEM-1024
+ */
+function getRecipientAlgorithm(recipient) {
+  return (recipient && recipient.algorithm) || 'ML-KEM-1024';
+}
+
+/**
+ * Encrypt a message for a recipient using post-quantum cryptography
+ * The recipient may be given as a key object (e.g. an export or contact), in
+ * which case its expiresAt and usage metadata are enforced: expired and
+ * decrypt-only keys are refused.
+ * @param {string|Uint8Array} message - Text or binary message to encrypt
+ * @param {string|Object} recipientPublicKey - Recipient's public key (Base64) or key object
+ * @param {string|Object} [algorithmOrOptions] - Algorithm name or options object
+ * @param {string} [algorithmOrOptions.algorithm] - Algorithm to use (default: the key object's, or ML-KEM-1024)
+ * @param {string|Uint8Array} [algorithmOrOptions.aad] - Associated data bound to the ciphertext (not stored)
+ * @param {string} [algorithmOrOptions.context] - Context label mixed into the HKDF info
+ * @param {string|Object} [algorithmOrOptions.signingKey] - Sender ML-DSA private key (or signing key pair) used to sign the message
+ * @param {boolean} [algorithmOrOptions.includeKeyId=false] - Store the recipient key ID so a keyring can select the key directly (reveals who the message is for)
+ * @param {string} [algorithmOrOptions.cipher='ChaCha20-Poly1305'] - AEAD cipher for the payload (see AEAD.list())
+ * @param {boolean} [algorithmOrOptions.keyCommitment=true] - Commit to the payload key (`kc` field); false gives envelopes that releases without key commitment can read, and that recipients must decrypt with requireKeyCommitment: false
+ * @returns {Promise<string>} Encrypted message as JSON string
+ */
+export async function encrypt(message, recipientPublicKey, algorithmOrOptions) {
+  try {
+    const {
+      algorithm,
+      aad,
+      context,
+      signingKey,
+      includeKeyId,
+      cipher,
+      keyCommitment,
+    } = resolveOptions(
+      algorithmOrOptions,
+      getRecipientAlgorithm(recipientPublicKey)
+    );
+    const sender = signingKey ? resolveSigningKey(signingKey) : null;
+
+    // Validate inputs
+    if (!message && message !== '') {
+      throw new Error('Message is required');
     }
 
     // Decode recipient's public key
-    const recipientPubKeyBytes = Base64.decode(recipientPublicKey);
-
-    // Select KEM algorithm
-    const kemInstance = algorithm === 'ML-KEM-768' ? mlKem768 : mlKem1024;
+    const publicKey = resolveRecipientKey(recipientPublicKey, algorithm);
+    const recipientPubKeyBytes = decodePublicKey(publicKey);
 
-    // Encapsulate to get shared secret and KEM ciphertext
-    const [kemCiphertext, sharedSecret] =
-      await kemInstance.encap(recipientPubKeyBytes);
+    // Create encrypted message header
+    const { plaintext, contentType } = encodePayload(message);
+    const encryptedMessage = createEnvelope(algorithm, contentType, cipher);
+    const payloadCipher = getCipher(encryptedMessage);
 
-    // Derive encryption key using HKDF
-    const salt = SecureRandom.generateSalt();
-    const chachaKey = await HKDF.derive(
-      sharedSecret,
+    // Encapsulate and derive encryption key using HKDF
+    const {
+      kemCiphertext,
       salt,
-      'ChaCha20-Poly1305',
-      32
+      key: messageKey,
+    } = await encapsulateKey(
+      algorithm,
+      recipientPubKeyBytes,
+      getKeyInfo(context, payloadCipher)
     );
 
     // Generate nonce
-    const nonce = SecureRandom.generateNonce();
+    const nonce = AEAD.generateNonce(payloadCipher);
 
-    // Encrypt message
-    const plaintext = new TextEncoder().encode(message);
-    const messageCiphertext = await ChaCha20Poly1305.encrypt(
-      chachaKey,
+    encryptedMessage.kem = Base64.encode(kemCiphertext);
+    encryptedMessage.s = Base64.encode(salt);
+    encryptedMessage.t = Date.now();
+    if (sender) {
+      encryptedMessage.sg = sender.algorithm;
+    }
+    if (includeKeyId) {
+      encryptedMessage.kid = getKeyId(publicKey, algorithm);
+    }
+    if (keyCommitment !== false) {
+      await addKeyCommitment(encryptedMessage, messageKey);
+    }
+
+    // Encrypt message, authenticating the header as associated data
+    const messageCiphertext = await AEAD.encrypt(
+      payloadCipher,
+      messageKey,
       nonce,
-      plaintext
+      sender
+        ? await signPayload(encryptedMessage, plaintext, sender)
+        : plaintext,
+      getAssociatedData(encryptedMessage, aad)
     );
 
-    // Create encrypted message structure
-    const encryptedMessage = {
-      v: 3, // Version 3 for post-quantum
-      alg: algorithm,
-      kem: Base64.encode(kemCiphertext),
-      s: Base64.encode(salt),
-      n: Base64.encode(nonce),
-      c: Base64.encode(messageCiphertext),
-      t: Date.now(),
-    };
+    encryptedMessage.n = Base64.encode(nonce);
+    encryptedMessage.c = Base64.encode(messageCiphertext);
 
     // Clear sensitive data
-    CryptoUtils.secureClear(chachaKey);
-    CryptoUtils.secureClear(sharedSecret);
+    CryptoUtils.secureClear(messageKey);
 
     return JSON.stringify(encryptedMessage);
   } catch (error) {
@@ -94,114 +677,760 @@ export async function encrypt(
   }
 }
 
+/**
+ * Encrypt a message once under a random content key held in recipient slots
+ * Without a threshold every slot wraps the content key; with one, the content
+ * key is split into Shamir shares and every slot wraps one share together
+ * with its share index.
+ * @param {string|Uint8Array} message - Text or binary message to encrypt
+ * @param {Array<string|Object>} recipientPublicKeys - Recipients' public keys (Base64) or key objects
+ * @param {string|Object} [algorithmOrOptions] - Algorithm name or options object (see encrypt())
+ * @param {number} [threshold] - Number of recipients needed to decrypt
+ * @returns {Promise<string>} Encrypted message as JSON string
+ */
+async function encryptWithSlots(
+  message,
+  recipientPublicKeys,
+  algorithmOrOptions,
+  threshold
+) {
+  const {
+    algorithm,
+    aad,
+    context,
+    signingKey,
+    includeKeyId,
+    cipher,
+    keyCommitment,
+  } = resolveOptions(
+    algorithmOrOptions,
+    getRecipientAlgorithm(
+      Array.isArray(recipientPublicKeys) && recipientPublicKeys[0]
+    )
+  );
+  const sender = signingKey ? resolveSigningKey(signingKey) : null;
+
+  // Validate inputs
+  if (!message && message !== '') {
+    throw new Error('Message is required');
+  }
+
+  if (!Array.isArray(recipientPublicKeys) || !recipientPublicKeys.length) {
+    throw new Error('At least one recipient public key is required');
+  }
+
+  const publicKeys = recipientPublicKeys.map((recipient) =>
+    resolveRecipientKey(recipient, algorithm)
+  );
+  const publicKeyBytes = publicKeys.map(decodePublicKey);
+
+  // Create encrypted message header
+  const { plaintext, contentType } = encodePayload(message);
+  const encryptedMessage = createEnvelope(algorithm, contentType, cipher);
+  encryptedMessage.t = Date.now();
+  if (sender) {
+    encryptedMessage.sg = sender.algorithm;
+  }
+  if (threshold !== undefined) {
+    encryptedMessage.k = threshold;
+  }
+  const payloadCipher = getCipher(encryptedMessage);
+
+  // Wrap the fresh content key, or one share of it, for every recipient
+  const contentKey = SecureRandom.getRandomBytes(CONTENT_KEY_SIZE);
+  const secrets =
+    threshold === undefined
+      ? publicKeys.map(() => contentKey)
+      : splitSecret(contentKey, threshold, publicKeys.length).map(
+          ({ index, data }) =>
+            CryptoUtils.concatenate(new Uint8Array([index]), data)
+        );
+
+  try {
+    // The commitment is part of the header that every slot authenticates
+    if (keyCommitment !== false) {
+      await addKeyCommitment(encryptedMessage, contentKey);
+    }
+
+    const slots = [];
+    for (const [index, recipientPubKeyBytes] of publicKeyBytes.entries()) {
+      const slot = await wrapSlot(
+        encryptedMessage,
+        recipientPubKeyBytes,
+        secrets[index],
+        context,
+        threshold === undefined ? KEY_WRAP_SUFFIX : SHARE_WRAP_SUFFIX
+      );
+      if (includeKeyId) {
+        slot.kid = getKeyId(publicKeys[index], algorithm);
+      }
+      slots.push(slot);
+    }
+
+    encryptedMessage.r = slots;
+
+    // Encrypt the payload once under the content key
+    const nonce = AEAD.generateNonce(payloadCipher);
+    const messageCiphertext = await AEAD.encrypt(
+      payloadCipher,
+      contentKey,
+      nonce,
+      sender
+        ? await signPayload(encryptedMessage, plaintext, sender)
+        : plaintext,
+      getAssociatedData(encryptedMessage, aad)
+    );
+
+    encryptedMessage.n = Base64.encode(nonce);
+    encryptedMessage.c = Base64.encode(messageCiphertext);
+  } finally {
+    CryptoUtils.secureClear(contentKey);
+    secrets.forEach((secret) => CryptoUtils.secureClear(secret));
+  }
+
+  return JSON.stringify(encryptedMessage);
+}
+
+/**
+ * Encrypt a message once for several recipients
+ * The payload is encrypted under a random content key, which is wrapped
+ * separately for each recipient using ML-KEM + HKDF + the payload cipher.
+ * @param {string|Uint8Array} message - Text or binary message to encrypt
+ * @param {Array<string|Object>} recipientPublicKeys - Recipients' public keys (Base64) or key objects (see encrypt())
+ * @param {string|Object} [algorithmOrOptions] - Algorithm name or options object (see encrypt()); includeKeyId stores a key ID in every recipient slot
+ * @returns {Promise<string>} Encrypted message as JSON string
+ */
+export async function encryptForRecipients(
+  message,
+  recipientPublicKeys,
+  algorithmOrOptions
+) {
+  try {
+    return await encryptWithSlots(
+      message,
+      recipientPublicKeys,
+      algorithmOrOptions
+    );
+  } catch (error) {
+    throw new Error(`Encryption failed: ${error.message}`);
+  }
+}
+
+/**
+ * Encrypt a message so that any threshold of the custodians can decrypt it
+ * The content key is split into Shamir shares and each share is wrapped for
+ * one custodian with ML-KEM + HKDF + ChaCha20-Poly1305. No single custodian
+ * can decrypt: each produces a partial decryption with partialDecrypt(), and
+ * any threshold of those are combined with combinePartialDecryptions().
+ * @param {string|Uint8Array} message - Text or binary message to encrypt
+ * @param {Array<string|Object>} custodianPublicKeys - Custodians' public keys (Base64) or key objects (see encrypt())
+ * @param {number} threshold - Number of custodians needed to decrypt (2 to the number of custodians)
+ * @param {string|Object} [algorithmOrOptions] - Algorithm name or options object (see encrypt())
+ * @returns {Promise<string>} Encrypted message as JSON string
+ */
+export async function encryptThreshold(
+  message,
+  custodianPublicKeys,
+  threshold,
+  algorithmOrOptions
+) {
+  try {
+    if (
+      !Number.isInteger(threshold) ||
+      threshold < 2 ||
+      !Array.isArray(custodianPublicKeys) ||
+      threshold > custodianPublicKeys.length
+    ) {
+      throw new Error(
+        'Threshold must be an integer from 2 to the number of custodians'
+      );
+    }
+
+    return await encryptWithSlots(
+      message,
+      custodianPublicKeys,
+      algorithmOrOptions,
+      threshold
+    );
+  } catch (error) {
+    throw new Error(`Encryption failed: ${error.message}`);
+  }
+}
+
 /**
  * Decrypt a message using private key
- * @param {string} encryptedContent - Encrypted message (JSON string)
- * @param {string} privateKey - Private key (Base64)
- * @param {string} [algorithm='ML-KEM-1024'] - Algorithm to use (optional, auto-detected)
- * @returns {Promise<string>} Decrypted message
+ * Handles both single-recipient envelopes and envelopes produced by
+ * encryptForRecipients(), in JSON, armored or binary envelope form.
+ * @param {string|Uint8Array} encryptedContent - Encrypted message (JSON string, armored text or binary envelope)
+ * @param {string|Keyring} privateKey - Private key (Base64), or a Keyring whose keys are tried in turn
+ * @param {string|Object} [algorithmOrOptions] - Algorithm name or options object (algorithm is auto-detected)
+ * @param {string} [algorithmOrOptions.algorithm] - Algorithm override
+ * @param {string|Uint8Array} [algorithmOrOptions.aad] - Associated data given to encrypt()
+ * @param {string} [algorithmOrOptions.context] - Context label given to encrypt()
+ * @param {string} [algorithmOrOptions.senderPublicKey] - Expected sender ML-DSA public key; decryption fails unless the message carries a valid signature from it
+ * @param {string} [algorithmOrOptions.passphrase] - Passphrase unlocking protected keyring keys
+ * @param {boolean} [algorithmOrOptions.requireKeyCommitment=true] - Refuse envelopes without a key commitment; false accepts v3 envelopes and envelopes from keyCommitment: false
+ * @returns {Promise<string|Uint8Array>} Decrypted message (Uint8Array for binary payloads)
  */
-export async function decrypt(encryptedContent, privateKey, algorithm = null) {
+export async function decrypt(
+  encryptedContent,
+  privateKey,
+  algorithmOrOptions = null
+) {
   try {
+    const {
+      algorithm,
+      aad,
+      context,
+      senderPublicKey,
+      passphrase,
+      requireKeyCommitment,
+    } = resolveOptions(algorithmOrOptions, null);
+
     // Validate inputs
-    if (!encryptedContent || typeof encryptedContent !== 'string') {
+    if (
+      !encryptedContent ||
+      (typeof encryptedContent !== 'string' &&
+        !(encryptedContent instanceof Uint8Array))
+    ) {
       throw new Error('Invalid encrypted content');
     }
 
-    if (!privateKey || typeof privateKey !== 'string') {
+    const fromKeyring = isKeySource(privateKey);
+    if (!fromKeyring && (!privateKey || typeof privateKey !== 'string')) {
       throw new Error('Invalid private key');
     }
 
-    // Parse encrypted message
+    // Parse encrypted message (JSON or binary envelope)
     let messageData;
     try {
-      messageData = JSON.parse(encryptedContent);
+      messageData = parseEncryptedMessage(encryptedContent);
     } catch {
       throw new Error('Invalid encrypted message format');
     }
 
     // Validate message structure
-    if (
-      !messageData.v ||
-      !messageData.alg ||
-      !messageData.kem ||
-      !messageData.s ||
-      !messageData.n ||
-      !messageData.c
-    ) {
+    if (!hasRequiredFields(messageData)) {
       throw new Error('Missing required fields in encrypted message');
     }
 
+    if (messageData.alg === PASSWORD_ALGORITHM) {
+      throw new Error(
+        'Message is password-encrypted; use decryptWithPassword()'
+      );
+    }
+
+    if (messageData.k !== undefined) {
+      throw new Error(
+        `Message needs ${messageData.k} of ${messageData.r.length} custodians; use partialDecrypt() and combinePartialDecryptions()`
+      );
+    }
+
+    // Reject unknown versions before doing any key work
+    const associatedData = getAssociatedData(messageData, aad);
+    assertKeyCommitment(messageData, requireKeyCommitment);
+
     // Determine algorithm from message or parameter
     const detectedAlgorithm = algorithm || messageData.alg;
 
-    // Select KEM algorithm
-    const kemInstance =
-      detectedAlgorithm === 'ML-KEM-768' ? mlKem768 : mlKem1024;
+    let payload;
+    if (fromKeyring) {
+      // Try each candidate key; a wrong key fails payload authentication.
+      // Envelopes that name their recipients narrow this to the named keys.
+      const candidates = await privateKey.getDecryptionKeys(
+        {
+          algorithm: detectedAlgorithm,
+          keyIds: getRecipientKeyIds(messageData),
+        },
+        { passphrase }
+      );
 
-    // Decode private key and KEM ciphertext
-    const privateKeyBytes = Base64.decode(privateKey);
-    const kemCiphertext = Base64.decode(messageData.kem);
+      for (const candidate of candidates) {
+        try {
+          payload = await openEnvelope(
+            messageData,
+            candidate,
+            detectedAlgorithm,
+            associatedData,
+            context
+          );
+          break;
+        } catch {
+          // Not this key, try the next one
+        }
+      }
 
-    // Decapsulate to recover shared secret
-    const sharedSecret = await kemInstance.decap(
-      kemCiphertext,
-      privateKeyBytes
-    );
+      if (!payload) {
+        throw new Error('No key in the keyring can decrypt this message');
+      }
+    } else {
+      payload = await openEnvelope(
+        messageData,
+        privateKey,
+        detectedAlgorithm,
+        associatedData,
+        context
+      );
+    }
 
-    // Derive decryption key using HKDF
-    const salt = Base64.decode(messageData.s);
-    const chachaKey = await HKDF.derive(
-      sharedSecret,
-      salt,
-      'ChaCha20-Poly1305',
-      32
+    // Check the sender signature when one is expected
+    const plaintext = await openSignedPayload(
+      messageData,
+      payload,
+      senderPublicKey
     );
 
-    // Decrypt message
-    const nonce = Base64.decode(messageData.n);
-    const messageCiphertext = Base64.decode(messageData.c);
+    // Decode message according to its content type
+    return decodePayload(plaintext, messageData.ct);
+  } catch (error) {
+    throw new Error(`Decryption failed: ${error.message}`);
+  }
+}
 
-    const plaintext = await ChaCha20Poly1305.decrypt(
-      chachaKey,
-      nonce,
-      messageCiphertext
+/**
+ * Parse a threshold-encrypted message
+ * @param {string|Uint8Array} encryptedContent - Encrypted message (JSON string, armored text or binary envelope)
+ * @returns {Object} Parsed envelope
+ */
+function parseThresholdMessage(encryptedContent) {
+  let messageData;
+  try {
+    messageData = parseEncryptedMessage(encryptedContent);
+  } catch {
+    throw new Error('Invalid encrypted message format');
+  }
+
+  if (!hasRequiredFields(messageData)) {
+    throw new Error('Missing required fields in encrypted message');
+  }
+
+  if (messageData.k === undefined) {
+    throw new Error('Message is not threshold-encrypted');
+  }
+
+  return messageData;
+}
+
+/**
+ * Identify a message so partial decryptions cannot be mixed across messages
+ * @param {Object} messageData - Parsed envelope
+ * @returns {string} Hex digest of the header and KEM ciphertexts
+ */
+function getMessageId(messageData) {
+  return createHash('sha256')
+    .update(getSenderBinding(messageData))
+    .digest('hex')
+    .slice(0, MESSAGE_ID_SIZE * 2);
+}
+
+/**
+ * Produce a custodian's partial decryption of a threshold-encrypted message
+ * The partial decryption is the custodian's share of the content key: it
+ * reveals nothing on its own, but should only be handed to whoever combines
+ * the shares, since threshold partial decryptions recover the message.
+ * @param {string|Uint8Array} encryptedContent - Message from encryptThreshold() (JSON string, armored text or binary envelope)
+ * @param {string} privateKey - Custodian's private key (Base64)
+ * @param {Object} [options] - Options
+ * @param {string} [options.context] - Context label given to encryptThreshold()
+ * @returns {Promise<string>} Partial decryption as JSON string
+ */
+export async function partialDecrypt(
+  encryptedContent,
+  privateKey,
+  options = {}
+) {
+  try {
+    if (!privateKey || typeof privateKey !== 'string') {
+      throw new Error('Invalid private key');
+    }
+
+    const messageData = parseThresholdMessage(encryptedContent);
+
+    // Reject unknown versions before doing any key work
+    getAssociatedData(messageData);
+
+    const { index, secret } = await unwrapSlot(
+      messageData,
+      Base64.decode(privateKey),
+      messageData.alg,
+      options.context,
+      SHARE_WRAP_SUFFIX
     );
 
-    // Clear sensitive data
-    CryptoUtils.secureClear(chachaKey);
-    CryptoUtils.secureClear(sharedSecret);
+    try {
+      // Slots hold their share index followed by the share
+      if (secret.length !== CONTENT_KEY_SIZE + 1 || secret[0] !== index + 1) {
+        throw new Error('Malformed key share');
+      }
+
+      return JSON.stringify({
+        v: PARTIAL_VERSION,
+        m: getMessageId(messageData),
+        i: secret[0],
+        d: Base64.encode(secret.subarray(1)),
+      });
+    } finally {
+      CryptoUtils.secureClear(secret);
+    }
+  } catch (error) {
+    throw new Error(`Partial decryption failed: ${error.message}`);
+  }
+}
+
+/**
+ * Combine partial decryptions into the plaintext of a threshold-encrypted message
+ * A tampered partial decryption yields a wrong content key, which fails the
+ * key commitment check (or, without one, payload authentication).
+ * @param {string|Uint8Array} encryptedContent - Message from encryptThreshold() (JSON string, armored text or binary envelope)
+ * @param {string[]} partials - At least threshold partial decryptions from partialDecrypt()
+ * @param {Object} [options] - Options
+ * @param {string|Uint8Array} [options.aad] - Associated data given to encryptThreshold()
+ * @param {string} [options.senderPublicKey] - Expected sender ML-DSA public key
+ * @param {boolean} [options.requireKeyCommitment=true] - Refuse envelopes without a key commitment
+ * @returns {Promise<string|Uint8Array>} Decrypted message (Uint8Array for binary payloads)
+ */
+export async function combinePartialDecryptions(
+  encryptedContent,
+  partials,
+  options = {}
+) {
+  try {
+    const messageData = parseThresholdMessage(encryptedContent);
+    const associatedData = getAssociatedData(messageData, options.aad);
+    assertKeyCommitment(messageData, options.requireKeyCommitment);
+    const messageId = getMessageId(messageData);
+
+    if (!Array.isArray(partials)) {
+      throw new Error('Partial decryptions must be an array');
+    }
+
+    const shares = partials.map((partial) => {
+      let parsed;
+      try {
+        parsed = JSON.parse(partial);
+      } catch {
+        throw new Error('Invalid partial decryption format');
+      }
+
+      if (!parsed || parsed.v !== PARTIAL_VERSION) {
+        throw new Error('Unsupported partial decryption version');
+      }
+      if (parsed.m !== messageId) {
+        throw new Error('Partial decryption belongs to a different message');
+      }
+      if (
+        !Number.isInteger(parsed.i) ||
+        parsed.i < 1 ||
+        parsed.i > messageData.r.length
+      ) {
+        throw new Error('Invalid partial decryption index');
+      }
+
+      return { index: parsed.i, data: Base64.decode(parsed.d) };
+    });
 
-    // Decode message
-    const messageText = new TextDecoder().decode(plaintext);
+    if (new Set(shares.map(({ index }) => index)).size !== shares.length) {
+      throw new Error('Partial decryptions contain the same custodian twice');
+    }
+
+    if (shares.length < messageData.k) {
+      throw new Error(
+        `${messageData.k} partial decryptions are required, got ${shares.length}`
+      );
+    }
+
+    const contentKey = combineSecret(shares);
+    let payload;
+    try {
+      await checkKeyCommitment(messageData, contentKey);
+
+      payload = await AEAD.decrypt(
+        getCipher(messageData),
+        contentKey,
+        Base64.decode(messageData.n),
+        Base64.decode(messageData.c),
+        associatedData
+      );
+    } finally {
+      CryptoUtils.secureClear(contentKey);
+    }
+
+    const plaintext = await openSignedPayload(
+      messageData,
+      payload,
+      options.senderPublicKey
+    );
 
-    return messageText;
+    return decodePayload(plaintext, messageData.ct);
   } catch (error) {
     throw new Error(`Decryption failed: ${error.message}`);
   }
 }
 
 /**
- * Verify if encrypted content is valid
- * @param {string} encryptedContent - Encrypted message to verify
- * @returns {boolean} True if valid
+ * Encode scrypt cost parameters in PHC string format
+ * @param {{N: number, r: number, p: number}} params - Cost parameters
+ * @returns {string} e.g. $scrypt$ln=17,r=8,p=1
  */
-export function isValidEncryptedMessage(encryptedContent) {
+function encodeScryptParams({ N, r, p }) {
+  return `$scrypt$ln=${Math.log2(N)},r=${r},p=${p}`;
+}
+
+/**
+ * Decode and check scrypt cost parameters from an envelope
+ * @param {string} kdf - PHC string from the envelope `kdf` field
+ * @returns {{N: number, r: number, p: number}} Cost parameters
+ */
+function decodeScryptParams(kdf) {
+  const match = SCRYPT_PARAMS_PATTERN.exec(kdf);
+  if (!match) {
+    throw new Error(`Unsupported key derivation: ${kdf}`);
+  }
+
+  const params = {
+    N: 2 ** Number(match[1]),
+    r: Number(match[2]),
+    p: Number(match[3]),
+  };
+  Scrypt.validateParams(params);
+
+  return params;
+}
+
+/**
+ * Encrypt a message with a password instead of a key pair
+ * The key is derived with scrypt; its cost parameters and salt are stored in
+ * the (authenticated) envelope header, so decryptWithPassword() needs only
+ * the password. The envelope has the same JSON, armored and binary forms as
+ * other messages, with `alg` set to 'password'.
+ * @param {string|Uint8Array} message - Text or binary message to encrypt
+ * @param {string} password - Password
+ * @param {Object} [options] - Options
+ * @param {{N: number, r: number, p: number}} [options.cost] - scrypt cost parameters (default: N = 2^17, r = 8, p = 1)
+ * @param {string|Uint8Array} [options.aad] - Associated data bound to the ciphertext (not stored)
+ * @param {string} [options.cipher='ChaCha20-Poly1305'] - AEAD cipher for the payload (see AEAD.list())
+ * @param {boolean} [options.keyCommitment=true] - Commit to the derived key (`kc` field)
+ * @returns {Promise<string>} Encrypted message as JSON string
+ */
+export async function encryptWithPassword(message, password, options = {}) {
   try {
-    if (!encryptedContent || typeof encryptedContent !== 'string') {
-      return false;
+    if (!message && message !== '') {
+      throw new Error('Message is required');
     }
 
-    const messageData = JSON.parse(encryptedContent);
+    if (!password || typeof password !== 'string') {
+      throw new Error('Password must be a non-empty string');
+    }
+
+    const params = options.cost || Scrypt.DEFAULT_PARAMS;
+    Scrypt.validateParams(params);
 
-    return !!(
-      messageData.v &&
-      messageData.alg &&
-      messageData.kem &&
-      messageData.s &&
-      messageData.n &&
-      messageData.c
+    const { plaintext, contentType } = encodePayload(message);
+    const encryptedMessage = createEnvelope(
+      PASSWORD_ALGORITHM,
+      contentType,
+      options.cipher
     );
+    const payloadCipher = getCipher(encryptedMessage);
+    const salt = SecureRandom.generateSalt();
+    const nonce = AEAD.generateNonce(payloadCipher);
+    encryptedMessage.kdf = encodeScryptParams(params);
+    encryptedMessage.s = Base64.encode(salt);
+    encryptedMessage.t = Date.now();
+
+    const key = await Scrypt.derive(password, salt, params);
+    try {
+      if (options.keyCommitment !== false) {
+        await addKeyCommitment(encryptedMessage, key);
+      }
+
+      const ciphertext = await AEAD.encrypt(
+        payloadCipher,
+        key,
+        nonce,
+        plaintext,
+        getAssociatedData(encryptedMessage, options.aad)
+      );
+
+      encryptedMessage.n = Base64.encode(nonce);
+      encryptedMessage.c = Base64.encode(ciphertext);
+    } finally {
+      CryptoUtils.secureClear(key);
+    }
+
+    return JSON.stringify(encryptedMessage);
+  } catch (error) {
+    throw new Error(`Encryption failed: ${error.message}`);
+  }
+}
+
+/**
+ * Decrypt a message from encryptWithPassword()
+ * @param {string|Uint8Array} encryptedContent - Encrypted message (JSON string, armored text or binary envelope)
+ * @param {string} password - Password
+ * @param {Object} [options] - Options
+ * @param {string|Uint8Array} [options.aad] - Associated data given to encryptWithPassword()
+ * @param {boolean} [options.requireKeyCommitment=true] - Refuse envelopes without a key commitment
+ * @returns {Promise<string|Uint8Array>} Decrypted message (Uint8Array for binary payloads)
+ */
+export async function decryptWithPassword(
+  encryptedContent,
+  password,
+  options = {}
+) {
+  try {
+    let messageData;
+    try {
+      messageData = parseEncryptedMessage(encryptedContent);
+    } catch {
+      throw new Error('Invalid encrypted message format');
+    }
+
+    if (!hasRequiredFields(messageData)) {
+      throw new Error('Missing required fields in encrypted message');
+    }
+
+    if (messageData.alg !== PASSWORD_ALGORITHM) {
+      throw new Error(
+        `Message is encrypted to an ${messageData.alg} key, not a password`
+      );
+    }
+
+    // Check the header before spending time on key derivation
+    const associatedData = getAssociatedData(messageData, options.aad);
+    assertKeyCommitment(messageData, options.requireKeyCommitment);
+    const params = decodeScryptParams(messageData.kdf);
+
+    const key = await Scrypt.derive(
+      password,
+      Base64.decode(messageData.s),
+      params
+    );
+
+    let plaintext;
+    try {
+      await checkKeyCommitment(messageData, key);
+
+      plaintext = await AEAD.decrypt(
+        getCipher(messageData),
+        key,
+        Base64.decode(messageData.n),
+        Base64.decode(messageData.c),
+        associatedData
+      );
+    } catch {
+      throw new Error('Incorrect password or corrupted message');
+    } finally {
+      CryptoUtils.secureClear(key);
+    }
+
+    return decodePayload(plaintext, messageData.ct);
+  } catch (error) {
+    throw new Error(`Decryption failed: ${error.message}`);
+  }
+}
+
+/**
+ * Re-encrypt a message to a new key
+ * Decrypts with the old private key (or a Keyring) and encrypts the plaintext
+ * to the new public key(s), e.g. to migrate messages after a key rotation.
+ * The result has the same form as the input (JSON, armored or binary) and
+ * keeps the payload type, cipher, associated data, context label and, if the
+ * original named its recipients, key IDs. Legacy v3 envelopes and envelopes
+ * without a key commitment (accepted with requireKeyCommitment: false) come
+ * out as committing v4 envelopes.
+ * Sender signatures bind the original KEM ciphertext and cannot be carried
+ * over, so signed messages are refused unless dropSignature is set.
+ * @param {string|Uint8Array} encryptedContent - Encrypted message (JSON string, armored text or binary envelope)
+ * @param {string|Keyring} oldPrivateKey - Private key (Base64) or Keyring that decrypts the message
+ * @param {string|Object|Array<string|Object>} newPublicKey - New public key or key object (see encrypt()); an array gives a multi-recipient envelope
+ * @param {Object} [options] - Options
+ * @param {string} [options.algorithm] - Algorithm of the new envelope (default: the new key object's, otherwise the message's)
+ * @param {string|Uint8Array} [options.aad] - Associated data the message was encrypted with; also bound to the new envelope
+ * @param {string} [options.context] - Context label the message was encrypted with; also used for the new envelope
+ * @param {string} [options.cipher] - AEAD cipher of the new envelope (default: the message's)
+ * @param {boolean} [options.keyCommitment=true] - Commit to the key of the new envelope
+ * @param {string} [options.passphrase] - Passphrase unlocking protected keyring keys
+ * @param {boolean} [options.requireKeyCommitment=true] - Refuse messages without a key commitment; set to false to migrate v3 and other uncommitted messages
+ * @param {string} [options.senderPublicKey] - Verify the sender signature before re-encrypting
+ * @param {boolean} [options.dropSignature=false] - Re-encrypt signed messages without their sender signature
+ * @param {boolean} [options.includeKeyId] - Store recipient key IDs (default: if the original envelope did)
+ * @returns {Promise<string|Uint8Array>} Re-encrypted message
+ */
+export async function reencrypt(
+  encryptedContent,
+  oldPrivateKey,
+  newPublicKey,
+  options = {}
+) {
+  try {
+    let messageData;
+    try {
+      messageData = parseEncryptedMessage(encryptedContent);
+    } catch {
+      throw new Error('Invalid encrypted message format');
+    }
+
+    if (messageData.sg && !options.dropSignature) {
+      throw new Error(
+        'Message is signed by its sender and the signature cannot be carried over; set dropSignature to re-encrypt it unsigned'
+      );
+    }
+
+    const { aad, context, passphrase, senderPublicKey, requireKeyCommitment } =
+      options;
+    const message = await decrypt(encryptedContent, oldPrivateKey, {
+      aad,
+      context,
+      passphrase,
+      senderPublicKey,
+      requireKeyCommitment,
+    });
+
+    const recipients = Array.isArray(newPublicKey)
+      ? newPublicKey
+      : [newPublicKey];
+    const encryptOptions = {
+      algorithm:
+        options.algorithm ||
+        (recipients[0] && recipients[0].algorithm) ||
+        messageData.alg,
+      aad,
+      context,
+      cipher: options.cipher || getCipher(messageData),
+      keyCommitment: options.keyCommitment,
+      includeKeyId:
+        options.includeKeyId === undefined
+          ? !!getRecipientKeyIds(messageData)
+          : options.includeKeyId,
+    };
+
+    const json = Array.isArray(newPublicKey)
+      ? await encryptForRecipients(message, newPublicKey, encryptOptions)
+      : await encrypt(message, newPublicKey, encryptOptions);
+
+    if (isBinaryEnvelope(encryptedContent)) {
+      return serializeEnvelope(json);
+    }
+
+    if (isArmored(encryptedContent, ARMOR_TYPES.MESSAGE)) {
+      return armorMessage(json);
+    }
+
+    return json;
+  } catch (error) {
+    throw new Error(`Re-encryption failed: ${error.message}`);
+  }
+}
+
+/**
+ * Verify if encrypted content is valid
+ * @param {string|Uint8Array} encryptedContent - Encrypted message to verify (JSON string, armored text or binary envelope)
+ * @returns {boolean} True if valid
+ */
+export function isValidEncryptedMessage(encryptedContent) {
+  try {
+    return hasRequiredFields(parseEncryptedMessage(encryptedContent));
   } catch {
     return false;
   }
@@ -0,0 +1,453 @@
+/**
+ * @fileoverview Compact binary serialization of encrypted message envelopes
+ * Converts the JSON envelope produced by encrypt() into raw bytes and back
+ *
+ * Layout:
+ *   magic "PQHB" | u8 format version | u8 envelope version | u8 algorithm ID | field*
+ *   field = u8 tag | u32 length | value
+ *
+ * Binary-valued fields (KEM ciphertext, salt, nonce, ciphertext) are stored
+ * raw instead of Base64, and field names are replaced by one-byte tags.
+ * Format version 2 adds a recipient key ID to every recipient slot; it is only
+ * written when a slot carries one, so other envelopes stay readable by
+ * version 1 parsers.
+ */
+
+import { Base64 } from './crypto-utils.js';
+
+// Binary format constants
+const ENVELOPE_MAGIC = new Uint8Array([0x50, 0x51, 0x48, 0x42]); // "PQHB"
+const FORMAT_VERSION = 1;
+const SLOT_KEY_ID_FORMAT_VERSION = 2;
+const PREAMBLE_SIZE = ENVELOPE_MAGIC.length + 3;
+
+// Algorithm identifiers
+const ALGORITHM_IDS = {
+  'ML-KEM-1024': 1,
+  'ML-KEM-768': 2,
+  'X-Wing': 3,
+  password: 4,
+};
+
+// Envelope fields: JSON name, binary tag and value type
+const FIELDS = [
+  { name: 'ct', tag: 0x01, type: 'string' },
+  { name: 'kem', tag: 0x02, type: 'bytes' },
+  { name: 's', tag: 0x03, type: 'bytes' },
+  { name: 'n', tag: 0x04, type: 'bytes' },
+  { name: 'c', tag: 0x05, type: 'bytes' },
+  { name: 't', tag: 0x06, type: 'uint64' },
+  { name: 'sg', tag: 0x07, type: 'string' },
+  { name: 'r', tag: 0x08, type: 'slots' },
+  { name: 'kid', tag: 0x09, type: 'hex' },
+  { name: 'k', tag: 0x0a, type: 'uint64' },
+  { name: 'kdf', tag: 0x0b, type: 'string' },
+  { name: 'aead', tag: 0x0c, type: 'string' },
+  { name: 'kc', tag: 0x0d, type: 'bytes' },
+];
+
+// Recipient slot fields, stored in this order inside the `r` field; format
+// version 2 follows them with the slot key ID (empty when absent)
+const SLOT_FIELDS = ['kem', 's', 'n', 'w'];
+const SLOT_KEY_ID = 'kid';
+
+/**
+ * Minimal growable byte writer
+ */
+class ByteWriter {
+  constructor() {
+    this.chunks = [];
+    this.length = 0;
+  }
+
+  /**
+   * Append raw bytes
+   * @param {Uint8Array} bytes - Bytes to append
+   */
+  bytes(bytes) {
+    this.chunks.push(bytes);
+    this.length += bytes.length;
+  }
+
+  /**
+   * Append an unsigned 8-bit integer
+   * @param {number} value - Value to append
+   */
+  uint8(value) {
+    this.bytes(new Uint8Array([value]));
+  }
+
+  /**
+   * Append a big-endian unsigned 32-bit integer
+   * @param {number} value - Value to append
+   */
+  uint32(value) {
+    const bytes = new Uint8Array(4);
+    new DataView(bytes.buffer).setUint32(0, value);
+    this.bytes(bytes);
+  }
+
+  /**
+   * Append a length-prefixed byte string
+   * @param {Uint8Array} bytes - Bytes to append
+   */
+  lengthPrefixed(bytes) {
+    this.uint32(bytes.length);
+    this.bytes(bytes);
+  }
+
+  /**
+   * Get the written bytes
+   * @returns {Uint8Array} Concatenated output
+   */
+  finish() {
+    const result = new Uint8Array(this.length);
+    let offset = 0;
+    for (const chunk of this.chunks) {
+      result.set(chunk, offset);
+      offset += chunk.length;
+    }
+    return result;
+  }
+}
+
+/**
+ * Minimal byte reader with bounds checking
+ */
+class ByteReader {
+  /**
+   * @param {Uint8Array} bytes - Bytes to read
+   */
+  constructor(bytes) {
+    // View Buffers as plain Uint8Arrays so slice() copies
+    this.buffer = new Uint8Array(bytes.buffer, bytes.byteOffset, bytes.length);
+    this.offset = 0;
+  }
+
+  /**
+   * Check whether unread bytes remain
+   * @returns {boolean} True if more bytes are available
+   */
+  hasMore() {
+    return this.offset < this.buffer.length;
+  }
+
+  /**
+   * Read raw bytes
+   * @param {number} length - Number of bytes to read
+   * @returns {Uint8Array} Bytes read
+   */
+  bytes(length) {
+    if (this.offset + length > this.buffer.length) {
+      throw new Error('Binary envelope is truncated');
+    }
+    const result = this.buffer.slice(this.offset, this.offset + length);
+    this.offset += length;
+    return result;
+  }
+
+  /**
+   * Read an unsigned 8-bit integer
+   * @returns {number} Value read
+   */
+  uint8() {
+    return this.bytes(1)[0];
+  }
+
+  /**
+   * Read a big-endian unsigned 32-bit integer
+   * @returns {number} Value read
+   */
+  uint32() {
+    const bytes = this.bytes(4);
+    return new DataView(bytes.buffer).getUint32(0);
+  }
+
+  /**
+   * Read a length-prefixed byte string
+   * @returns {Uint8Array} Bytes read
+   */
+  lengthPrefixed() {
+    return this.bytes(this.uint32());
+  }
+}
+
+/**
+ * Encode a hex string as raw bytes
+ * @param {string} value - Hex string
+ * @returns {Uint8Array} Bytes
+ */
+function decodeHex(value) {
+  if (typeof value !== 'string' || !/^([0-9a-f]{2})+$/.test(value)) {
+    throw new Error('Key ID must be a lower-case hex string');
+  }
+  return Uint8Array.from(value.match(/../g), (byte) => parseInt(byte, 16));
+}
+
+/**
+ * Render raw bytes as a hex string
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} Lower-case hex string
+ */
+function encodeHex(bytes) {
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join(
+    ''
+  );
+}
+
+/**
+ * Check whether any recipient slot of an envelope carries a key ID
+ * @param {Object} messageData - Envelope object
+ * @returns {boolean} True if the envelope needs format version 2
+ */
+function hasSlotKeyIds(messageData) {
+  return (
+    Array.isArray(messageData.r) &&
+    messageData.r.some((slot) => slot && slot[SLOT_KEY_ID] !== undefined)
+  );
+}
+
+/**
+ * Encode a field value according to its type
+ * @param {Object} field - Field definition
+ * @param {*} value - JSON value
+ * @param {number} formatVersion - Binary format version being written
+ * @returns {Uint8Array} Encoded value
+ */
+function encodeFieldValue(field, value, formatVersion) {
+  switch (field.type) {
+    case 'string':
+      return new TextEncoder().encode(String(value));
+
+    case 'bytes':
+      return Base64.decode(value);
+
+    case 'hex':
+      return decodeHex(value);
+
+    case 'uint64': {
+      if (!Number.isSafeInteger(value) || value < 0) {
+        throw new Error(`Field ${field.name} must be a non-negative integer`);
+      }
+      const bytes = new Uint8Array(8);
+      new DataView(bytes.buffer).setBigUint64(0, BigInt(value));
+      return bytes;
+    }
+
+    case 'slots': {
+      const writer = new ByteWriter();
+      writer.uint32(value.length);
+      for (const slot of value) {
+        for (const name of SLOT_FIELDS) {
+          writer.lengthPrefixed(Base64.decode(slot[name]));
+        }
+        if (formatVersion >= SLOT_KEY_ID_FORMAT_VERSION) {
+          writer.lengthPrefixed(
+            slot[SLOT_KEY_ID] === undefined
+              ? new Uint8Array(0)
+              : decodeHex(slot[SLOT_KEY_ID])
+          );
+        }
+      }
+      return writer.finish();
+    }
+
+    default:
+      throw new Error(`Unknown field type: ${field.type}`);
+  }
+}
+
+/**
+ * Decode a field value according to its type
+ * @param {Object} field - Field definition
+ * @param {Uint8Array} bytes - Encoded value
+ * @param {number} formatVersion - Binary format version being read
+ * @returns {*} JSON value
+ */
+function decodeFieldValue(field, bytes, formatVersion) {
+  switch (field.type) {
+    case 'string':
+      return new TextDecoder().decode(bytes);
+
+    case 'bytes':
+      return Base64.encode(bytes);
+
+    case 'hex':
+      return encodeHex(bytes);
+
+    case 'uint64': {
+      if (bytes.length !== 8) {
+        throw new Error(`Field ${field.name} has an invalid length`);
+      }
+      return Number(new DataView(bytes.buffer).getBigUint64(0));
+    }
+
+    case 'slots': {
+      const reader = new ByteReader(bytes);
+      const count = reader.uint32();
+      const slots = [];
+      for (let i = 0; i < count; i++) {
+        const slot = {};
+        for (const name of SLOT_FIELDS) {
+          slot[name] = Base64.encode(reader.lengthPrefixed());
+        }
+        if (formatVersion >= SLOT_KEY_ID_FORMAT_VERSION) {
+          const keyId = reader.lengthPrefixed();
+          if (keyId.length) {
+            slot[SLOT_KEY_ID] = encodeHex(keyId);
+          }
+        }
+        slots.push(slot);
+      }
+      if (reader.hasMore()) {
+        throw new Error('Unexpected data in recipient slots');
+      }
+      return slots;
+    }
+
+    default:
+      throw new Error(`Unknown field type: ${field.type}`);
+  }
+}
+
+/**
+ * Check whether data is a binary envelope
+ * @param {*} data - Candidate envelope
+ * @returns {boolean} True if data starts with the binary envelope magic bytes
+ */
+export function isBinaryEnvelope(data) {
+  if (!(data instanceof Uint8Array) || data.length < PREAMBLE_SIZE) {
+    return false;
+  }
+
+  return ENVELOPE_MAGIC.every((byte, i) => data[i] === byte);
+}
+
+/**
+ * Serialize an encrypted message into the compact binary format
+ * @param {string|Object} encryptedContent - Encrypted message (JSON string or parsed object)
+ * @returns {Uint8Array} Binary envelope
+ */
+export function serializeEnvelope(encryptedContent) {
+  try {
+    const messageData =
+      typeof encryptedContent === 'string'
+        ? JSON.parse(encryptedContent)
+        : encryptedContent;
+
+    if (!messageData || typeof messageData !== 'object') {
+      throw new Error('Invalid encrypted message');
+    }
+
+    const algorithmId = ALGORITHM_IDS[messageData.alg];
+    if (!algorithmId) {
+      throw new Error(`Unsupported algorithm: ${messageData.alg}`);
+    }
+
+    if (
+      !Number.isInteger(messageData.v) ||
+      messageData.v < 1 ||
+      messageData.v > 255
+    ) {
+      throw new Error(`Unsupported message version: ${messageData.v}`);
+    }
+
+    // Refuse to drop fields silently: they may be authenticated
+    for (const name of Object.keys(messageData)) {
+      if (
+        name !== 'v' &&
+        name !== 'alg' &&
+        !FIELDS.some((field) => field.name === name)
+      ) {
+        throw new Error(`Unsupported envelope field: ${name}`);
+      }
+    }
+
+    const formatVersion = hasSlotKeyIds(messageData)
+      ? SLOT_KEY_ID_FORMAT_VERSION
+      : FORMAT_VERSION;
+
+    const writer = new ByteWriter();
+    writer.bytes(ENVELOPE_MAGIC);
+    writer.uint8(formatVersion);
+    writer.uint8(messageData.v);
+    writer.uint8(algorithmId);
+
+    for (const field of FIELDS) {
+      if (messageData[field.name] === undefined) {
+        continue;
+      }
+      writer.uint8(field.tag);
+      writer.lengthPrefixed(
+        encodeFieldValue(field, messageData[field.name], formatVersion)
+      );
+    }
+
+    return writer.finish();
+  } catch (error) {
+    throw new Error(`Envelope serialization failed: ${error.message}`);
+  }
+}
+
+/**
+ * Decode a binary envelope into an envelope object
+ * @param {Uint8Array} bytes - Binary envelope
+ * @returns {Object} Envelope object
+ */
+export function decodeEnvelope(bytes) {
+  if (!isBinaryEnvelope(bytes)) {
+    throw new Error('Invalid binary envelope');
+  }
+
+  const reader = new ByteReader(bytes);
+  reader.bytes(ENVELOPE_MAGIC.length);
+
+  const formatVersion = reader.uint8();
+  if (
+    formatVersion !== FORMAT_VERSION &&
+    formatVersion !== SLOT_KEY_ID_FORMAT_VERSION
+  ) {
+    throw new Error(`Unsupported binary envelope version: ${formatVersion}`);
+  }
+
+  const version = reader.uint8();
+  const algorithmId = reader.uint8();
+  const algorithm = Object.keys(ALGORITHM_IDS).find(
+    (name) => ALGORITHM_IDS[name] === algorithmId
+  );
+  if (!algorithm) {
+    throw new Error(`Unknown algorithm ID: ${algorithmId}`);
+  }
+
+  const messageData = { v: version, alg: algorithm };
+  while (reader.hasMore()) {
+    const tag = reader.uint8();
+    const field = FIELDS.find((candidate) => candidate.tag === tag);
+    if (!field) {
+      throw new Error(`Unknown field tag: ${tag}`);
+    }
+    if (messageData[field.name] !== undefined) {
+      throw new Error(`Duplicate field: ${field.name}`);
+    }
+    messageData[field.name] = decodeFieldValue(
+      field,
+      reader.lengthPrefixed(),
+      formatVersion
+    );
+  }
+
+  return messageData;
+}
+
+/**
+ * Parse a binary envelope back into the JSON envelope format
+ * @param {Uint8Array} bytes - Binary envelope
+ * @returns {string} Encrypted message as JSON string
+ */
+export function parseEnvelope(bytes) {
+  try {
+    return JSON.stringify(decodeEnvelope(bytes));
+  } catch (error) {
+    throw new Error(`Envelope parsing failed: ${error.message}`);
+  }
+}
@@ -0,0 +1,184 @@
+/**
+ * @fileoverview Stable public key fingerprints and key IDs
+ * Fingerprints are the SHA-256 digest of the algorithm name followed by the
+ * raw public key bytes, rendered as hex, as a short key ID or as words.
+ * Safety numbers combine two fingerprints into one numeric code that both
+ * parties can compare out of band.
+ */
+
+import { createHash } from 'node:crypto';
+import { wordlist } from '@scure/bip39/wordlists/english.js';
+import { Base64 } from './crypto-utils.js';
+import { validatePublicKey } from './key-manager.js';
+import { validateSigningPublicKey } from './signer.js';
+
+// Key ID: leading 64 bits of the fingerprint
+const KEY_ID_LENGTH = 16;
+
+// Word rendering: 11 bits per word (2048-word list), 12 words = 132 bits
+const BITS_PER_WORD = 11;
+const WORD_COUNT = 12;
+
+// Safety numbers: six 5-digit groups per key from an iterated SHA-512 digest.
+// The iterations raise the cost of searching for a key with a matching code.
+const SAFETY_NUMBER_LABEL = 'post-quantum-helper/safety-number';
+const SAFETY_NUMBER_ITERATIONS = 5200;
+const SAFETY_NUMBER_GROUPS = 6;
+const SAFETY_NUMBER_GROUP_BYTES = 5;
+
+/**
+ * Resolve fingerprint input into a public key and algorithm
+ * @param {string|{publicKey: string, algorithm?: string}} publicKeyData - Public key (Base64) or key data
+ * @param {string} [algorithm] - Algorithm when publicKeyData is a string
+ * @returns {{publicKey: string, algorithm: string}} Public key and algorithm
+ */
+function resolvePublicKey(publicKeyData, algorithm) {
+  if (publicKeyData && typeof publicKeyData === 'object') {
+    return {
+      publicKey: publicKeyData.publicKey,
+      algorithm: publicKeyData.algorithm || algorithm || 'ML-KEM-1024',
+    };
+  }
+
+  return { publicKey: publicKeyData, algorithm: algorithm || 'ML-KEM-1024' };
+}
+
+/**
+ * Validate a public key and compute its fingerprint digest
+ * @param {{publicKey: string, algorithm: string}} resolved - Public key and algorithm
+ * @returns {Buffer} SHA-256 digest
+ */
+function digestPublicKey(resolved) {
+  if (
+    !validatePublicKey(resolved.publicKey, resolved.algorithm) &&
+    !validateSigningPublicKey(resolved.publicKey, resolved.algorithm)
+  ) {
+    throw new Error(`Invalid ${resolved.algorithm} public key`);
+  }
+
+  return createHash('sha256')
+    .update(resolved.algorithm)
+    .update(Base64.decode(resolved.publicKey))
+    .digest();
+}
+
+/**
+ * Derive one party's half of a safety number
+ * @param {{publicKey: string, algorithm: string}} resolved - Public key and algorithm
+ * @returns {string} 30 decimal digits
+ */
+function getSafetyNumberHalf(resolved) {
+  const keyBytes = Base64.decode(resolved.publicKey);
+  let hash = createHash('sha512')
+    .update(SAFETY_NUMBER_LABEL)
+    .update(digestPublicKey(resolved))
+    .digest();
+
+  for (let i = 0; i < SAFETY_NUMBER_ITERATIONS; i++) {
+    hash = createHash('sha512').update(hash).update(keyBytes).digest();
+  }
+
+  let digits = '';
+  for (let i = 0; i < SAFETY_NUMBER_GROUPS; i++) {
+    const value = hash.readUIntBE(
+      i * SAFETY_NUMBER_GROUP_BYTES,
+      SAFETY_NUMBER_GROUP_BYTES
+    );
+    digits += String(value % 100000).padStart(5, '0');
+  }
+
+  return digits;
+}
+
+/**
+ * Render the leading bits of a digest as words from the BIP39 English list
+ * @param {Uint8Array} digest - Fingerprint digest
+ * @returns {string} Space-separated words
+ */
+function toWords(digest) {
+  const words = [];
+  let buffer = 0;
+  let bits = 0;
+
+  for (const byte of digest) {
+    buffer = (buffer << 8) | byte;
+    bits += 8;
+
+    if (bits >= BITS_PER_WORD) {
+      bits -= BITS_PER_WORD;
+      words.push(wordlist[(buffer >> bits) & 0x7ff]);
+      buffer &= (1 << bits) - 1;
+
+      if (words.length === WORD_COUNT) {
+        break;
+      }
+    }
+  }
+
+  return words.join(' ');
+}
+
+/**
+ * Compute the fingerprint of a public key
+ * Works for encryption (ML-KEM, X-Wing) and signing (ML-DSA) public keys.
+ * The same key always yields the same fingerprint; the algorithm is part of
+ * the digest, so identical bytes under different algorithms differ.
+ * @param {string|{publicKey: string, algorithm?: string}} publicKeyData - Public key (Base64) or key data such as a key pair
+ * @param {string} [algorithm='ML-KEM-1024'] - Algorithm when publicKeyData is a string
+ * @returns {{algorithm: string, hex: string, keyId: string, words: string}} Fingerprint renderings
+ */
+export function fingerprint(publicKeyData, algorithm) {
+  const resolved = resolvePublicKey(publicKeyData, algorithm);
+  const digest = digestPublicKey(resolved);
+  const hex = digest.toString('hex');
+
+  return {
+    algorithm: resolved.algorithm,
+    hex,
+    keyId: hex.slice(0, KEY_ID_LENGTH),
+    words: toWords(digest),
+  };
+}
+
+/**
+ * Get the short key ID of a public key
+ * @param {string|{publicKey: string, algorithm?: string}} publicKeyData - Public key (Base64) or key data
+ * @param {string} [algorithm='ML-KEM-1024'] - Algorithm when publicKeyData is a string
+ * @returns {string} 16 hex character key ID
+ */
+export function getKeyId(publicKeyData, algorithm) {
+  return fingerprint(publicKeyData, algorithm).keyId;
+}
+
+/**
+ * Format a hex fingerprint for reading aloud or side-by-side comparison
+ * @param {string} hex - Hex fingerprint
+ * @returns {string} Upper-case hex in groups of four
+ */
+export function formatFingerprint(hex) {
+  return hex
+    .toUpperCase()
+    .match(/.{1,4}/g)
+    .join(' ');
+}
+
+/**
+ * Compute the safety number two parties compare to verify each other's keys
+ * Each key contributes 30 digits; the halves are sorted, so both parties get
+ * the same 60-digit code regardless of argument order. Digits only, so the
+ * code also fits a QR code in numeric mode.
+ * @param {string|{publicKey: string, algorithm?: string}} myPublicKey - Own public key (Base64) or key data
+ * @param {string|{publicKey: string, algorithm?: string}} theirPublicKey - Other party's public key (Base64) or key data
+ * @param {string} [algorithm='ML-KEM-1024'] - Algorithm for keys given as strings
+ * @returns {{digits: string, formatted: string}} 60-digit code, and the same in groups of five
+ */
+export function computeSafetyNumber(myPublicKey, theirPublicKey, algorithm) {
+  const digits = [myPublicKey, theirPublicKey]
+    .map((publicKeyData) =>
+      getSafetyNumberHalf(resolvePublicKey(publicKeyData, algorithm))
+    )
+    .sort()
+    .join('');
+
+  return { digits, formatted: digits.match(/.{5}/g).join(' ') };
+}
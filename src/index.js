@@ -9,22 +9,111 @@ export {
   exportKeyPair,
   importKeyPair,
   validatePublicKey,
+  checkPublicKey,
+  checkPrivateKey,
+  checkKeyPair,
+  getKeyStatus,
   getKeySizes,
 } from './key-manager.js';
 
+// Export key rotation
+export { rotateKeyPair, needsRotation } from './rotation.js';
+
 // Export encryption/decryption functions
-export { encrypt, decrypt, isValidEncryptedMessage } from './encryptor.js';
+export {
+  encrypt,
+  encryptForRecipients,
+  encryptThreshold,
+  decrypt,
+  partialDecrypt,
+  combinePartialDecryptions,
+  encryptWithPassword,
+  decryptWithPassword,
+  reencrypt,
+  isValidEncryptedMessage,
+} from './encryptor.js';
+
+// Export recovery phrases
+export {
+  generateMnemonic,
+  validateMnemonic,
+  mnemonicToSeed,
+  mnemonicToMasterSeed,
+  keyPairFromMnemonic,
+} from './mnemonic.js';
+
+// Export per-context key derivation
+export {
+  generateMasterSeed,
+  deriveContextSeed,
+  deriveContextKeyPair,
+} from './key-derivation.js';
+
+// Export key backup shares and the underlying secret sharing
+export { splitPrivateKey, combineShares } from './key-shares.js';
+export { splitSecret, combineSecret } from './shamir.js';
+
+// Export fingerprints
+export {
+  fingerprint,
+  getKeyId,
+  formatFingerprint,
+  computeSafetyNumber,
+} from './fingerprint.js';
+
+// Export keyring and contacts
+export { Keyring } from './keyring.js';
+export { Contacts } from './contacts.js';
+
+// Export binary envelope serialization
+export {
+  serializeEnvelope,
+  parseEnvelope,
+  isBinaryEnvelope,
+} from './envelope.js';
+
+// Export ASCII armor
+export {
+  armor,
+  dearmor,
+  armorMessage,
+  dearmorMessage,
+  armorKey,
+  dearmorKey,
+  isArmored,
+  ARMOR_TYPES,
+} from './armor.js';
+
+// Export streaming encryption
+export { createEncryptStream, createDecryptStream } from './stream.js';
+
+// Export signing and verification functions
+export {
+  generateSigningKeyPair,
+  exportSigningKeyPair,
+  importSigningKeyPair,
+  validateSigningPublicKey,
+  getSignatureSizes,
+  sign,
+  verify,
+  signDetached,
+  verifyDetached,
+} from './signer.js';
 
 // Export crypto utilities
 export {
   Base64,
   HKDF,
+  Scrypt,
   ChaCha20Poly1305,
+  AEAD,
   SecureRandom,
   CryptoUtils,
 } from './crypto-utils.js';
 
 // Version and metadata
 export const VERSION = '1.0.0';
-export const ALGORITHMS = ['ML-KEM-1024', 'ML-KEM-768'];
+export const ALGORITHMS = ['ML-KEM-1024', 'ML-KEM-768', 'X-Wing'];
 export const DEFAULT_ALGORITHM = 'ML-KEM-1024';
+export const SIGNATURE_ALGORITHMS = ['ML-DSA-87', 'ML-DSA-65'];
+export const DEFAULT_SIGNATURE_ALGORITHM = 'ML-DSA-87';
@@ -0,0 +1,113 @@
+/**
+ * @fileoverview Key encapsulation helpers
+ * Selects the KEM for an algorithm and derives symmetric keys from its shared secrets
+ */
+
+import { MlKem1024, MlKem768 } from 'mlkem';
+import { Base64, HKDF, SecureRandom, CryptoUtils } from './crypto-utils.js';
+import { XWing } from './x-wing.js';
+
+// Algorithm instances by name
+const KEM_INSTANCES = new Map([
+  ['ML-KEM-1024', new MlKem1024()],
+  ['ML-KEM-768', new MlKem768()],
+  ['X-Wing', new XWing()],
+]);
+
+/**
+ * Select the KEM instance for an algorithm
+ * @param {string} algorithm - Algorithm name
+ * @returns {MlKem1024|MlKem768|XWing} KEM instance
+ * @throws {Error} If the algorithm is not supported
+ */
+export function getKemInstance(algorithm) {
+  const kem = KEM_INSTANCES.get(algorithm);
+  if (!kem) {
+    throw new Error(
+      `Unsupported algorithm: ${algorithm}. Supported: ${[...KEM_INSTANCES.keys()].join(', ')}`
+    );
+  }
+
+  return kem;
+}
+
+/**
+ * Validate and decode a recipient public key
+ * @param {string} publicKey - Public key (Base64)
+ * @returns {Uint8Array} Public key bytes
+ */
+export function decodePublicKey(publicKey) {
+  if (!publicKey || typeof publicKey !== 'string') {
+    throw new Error('Invalid recipient public key');
+  }
+
+  // Validate Base64 format
+  if (!/^[A-Za-z0-9+/]+=*$/.test(publicKey)) {
+    throw new Error('Public key must be valid Base64');
+  }
+
+  return Base64.decode(publicKey);
+}
+
+/**
+ * Get the HKDF info label for a derived key
+ * @param {string} [context] - Caller-supplied context label
+ * @param {string} [label='ChaCha20-Poly1305'] - Key purpose label
+ * @returns {string} HKDF info string
+ */
+export function getKeyInfo(context, label = 'ChaCha20-Poly1305') {
+  if (context === undefined || context === null) {
+    return label;
+  }
+
+  if (typeof context !== 'string') {
+    throw new Error('Context must be a string');
+  }
+
+  return `${label}:${context}`;
+}
+
+/**
+ * Encapsulate to a public key and derive a ChaCha20-Poly1305 key from the result
+ * @param {string} algorithm - KEM algorithm
+ * @param {Uint8Array} publicKeyBytes - Recipient public key
+ * @param {string} info - HKDF info label
+ * @returns {Promise<{kemCiphertext: Uint8Array, salt: Uint8Array, key: Uint8Array}>} Encapsulation result
+ */
+export async function encapsulateKey(algorithm, publicKeyBytes, info) {
+  const [kemCiphertext, sharedSecret] =
+    await getKemInstance(algorithm).encap(publicKeyBytes);
+
+  const salt = SecureRandom.generateSalt();
+  const key = await HKDF.derive(sharedSecret, salt, info, 32);
+  CryptoUtils.secureClear(sharedSecret);
+
+  return { kemCiphertext, salt, key };
+}
+
+/**
+ * Decapsulate a KEM ciphertext and derive the matching ChaCha20-Poly1305 key
+ * @param {string} algorithm - KEM algorithm
+ * @param {string} kemCiphertext - KEM ciphertext (Base64)
+ * @param {string} salt - HKDF salt (Base64)
+ * @param {Uint8Array} privateKeyBytes - Recipient private key
+ * @param {string} info - HKDF info label
+ * @returns {Promise<Uint8Array>} Derived key
+ */
+export async function decapsulateKey(
+  algorithm,
+  kemCiphertext,
+  salt,
+  privateKeyBytes,
+  info
+) {
+  const sharedSecret = await getKemInstance(algorithm).decap(
+    Base64.decode(kemCiphertext),
+    privateKeyBytes
+  );
+
+  const key = await HKDF.derive(sharedSecret, Base64.decode(salt), info, 32);
+  CryptoUtils.secureClear(sharedSecret);
+
+  return key;
+}
@@ -0,0 +1,94 @@
+/**
+ * @fileoverview Deterministic per-context key pairs from a master seed
+ * One master seed stands in for any number of key pairs: each (algorithm,
+ * context) pair gets its own seed via HKDF, so a conversation's key pair can
+ * be re-derived on any device that holds the master seed
+ */
+
+import { Base64, HKDF, SecureRandom, CryptoUtils } from './crypto-utils.js';
+import { generateKeyPair, getKeySizes } from './key-manager.js';
+
+// Master seeds carry at least 256 bits of entropy
+const MASTER_SEED_SIZE = 32;
+
+// HKDF salt separating context keys from other uses of the master seed
+const CONTEXT_KEY_SALT = new TextEncoder().encode(
+  'post-quantum-helper/context-key'
+);
+
+/**
+ * Decode and check a master seed
+ * @param {string|Uint8Array} masterSeed - Master seed bytes or Base64
+ * @returns {Uint8Array} Master seed bytes
+ */
+function decodeMasterSeed(masterSeed) {
+  const seedBytes =
+    typeof masterSeed === 'string' ? Base64.decode(masterSeed) : masterSeed;
+
+  if (
+    !(seedBytes instanceof Uint8Array) ||
+    seedBytes.length < MASTER_SEED_SIZE
+  ) {
+    throw new Error(`Master seed must be at least ${MASTER_SEED_SIZE} bytes`);
+  }
+
+  return seedBytes;
+}
+
+/**
+ * Generate a random master seed
+ * @returns {Uint8Array} 32-byte master seed
+ */
+export function generateMasterSeed() {
+  return SecureRandom.getRandomBytes(MASTER_SEED_SIZE);
+}
+
+/**
+ * Derive the key generation seed for a context
+ * @param {string|Uint8Array} masterSeed - Master seed (bytes or Base64, at least 32 bytes)
+ * @param {string} context - Context label, e.g. a conversation ID
+ * @param {string} [algorithm='ML-KEM-1024'] - Algorithm the seed is for
+ * @returns {Promise<Uint8Array>} Seed for generateKeyPair()
+ */
+export async function deriveContextSeed(
+  masterSeed,
+  context,
+  algorithm = 'ML-KEM-1024'
+) {
+  if (typeof context !== 'string' || !context.length) {
+    throw new Error('Context label must be a non-empty string');
+  }
+
+  const { seedSize } = getKeySizes(algorithm);
+
+  // JSON keeps the info unambiguous for any context string
+  return HKDF.derive(
+    decodeMasterSeed(masterSeed),
+    CONTEXT_KEY_SALT,
+    JSON.stringify([algorithm, context]),
+    seedSize
+  );
+}
+
+/**
+ * Derive the key pair for a context
+ * The same master seed, context and algorithm always give the same key pair;
+ * different contexts give unrelated key pairs.
+ * @param {string|Uint8Array} masterSeed - Master seed (bytes or Base64, at least 32 bytes)
+ * @param {string} context - Context label, e.g. a conversation ID
+ * @param {string} [algorithm='ML-KEM-1024'] - Algorithm to use
+ * @returns {Promise<{publicKey: string, privateKey: string, algorithm: string, seed: string}>} Key pair
+ */
+export async function deriveContextKeyPair(
+  masterSeed,
+  context,
+  algorithm = 'ML-KEM-1024'
+) {
+  const seed = await deriveContextSeed(masterSeed, context, algorithm);
+
+  try {
+    return await generateKeyPair(algorithm, { seed });
+  } finally {
+    CryptoUtils.secureClear(seed);
+  }
+}
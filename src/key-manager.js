@@ -3,37 +3,189 @@
  * Handles ML-KEM key pair generation, import, export, and validation
  */
 
+import { createHash } from 'node:crypto';
 import { MlKem1024, MlKem768 } from 'mlkem';
-import { Base64 } from './crypto-utils.js';
+import {
+  Base64,
+  Scrypt,
+  ChaCha20Poly1305,
+  SecureRandom,
+  CryptoUtils,
+} from './crypto-utils.js';
+import { XWing } from './x-wing.js';
+import { getKemInstance, encapsulateKey, decapsulateKey } from './kem.js';
 
 // Key size constants
 const ML_KEM_1024_PUBLIC_KEY_SIZE = 1568;
 const ML_KEM_1024_PRIVATE_KEY_SIZE = 3168;
 const ML_KEM_768_PUBLIC_KEY_SIZE = 1184;
 const ML_KEM_768_PRIVATE_KEY_SIZE = 2400;
+const X_WING_PUBLIC_KEY_SIZE = 1216; // ML-KEM-768 public key || X25519 public key
+const X_WING_PRIVATE_KEY_SIZE = 32; // X-Wing seed
+
+// Seed sizes for deterministic key generation
+const ML_KEM_SEED_SIZE = 64; // d || z (FIPS 203 ML-KEM.KeyGen_internal)
+const X_WING_SEED_SIZE = 32;
+
+// FIPS 203 parameters: each polynomial packs 256 12-bit coefficients mod q
+const ML_KEM_Q = 3329;
+const ML_KEM_POLY_BYTES = 384;
+const ML_KEM_1024_K = 4;
+const ML_KEM_768_K = 3;
 
 // Supported algorithms
-const SUPPORTED_ALGORITHMS = ['ML-KEM-1024', 'ML-KEM-768'];
+const SUPPORTED_ALGORITHMS = ['ML-KEM-1024', 'ML-KEM-768', 'X-Wing'];
 const DEFAULT_ALGORITHM = 'ML-KEM-1024';
 
+// Key usages; a key without a usage list may be used for both
+const KEY_USAGES = ['encrypt', 'decrypt'];
+
+// Optional metadata carried by key pairs and exports
+const KEY_METADATA_STRINGS = ['label', 'owner', 'replaces', 'supersededBy'];
+
+// Passphrase-protected private key container
+const PROTECTED_KEY_VERSION = 1;
+const PROTECTED_KEY_LABEL = 'post-quantum-helper/private-key';
+
+// HKDF info for the throwaway key of the pairwise consistency test
+const PAIRWISE_CHECK_INFO = 'post-quantum-helper/pairwise-check';
+
+/**
+ * Decode and check a key generation seed
+ * @param {string|Uint8Array} seed - Seed bytes or Base64
+ * @param {string} algorithm - Algorithm name
+ * @returns {Uint8Array} Seed bytes
+ */
+function decodeSeed(seed, algorithm) {
+  const seedBytes = typeof seed === 'string' ? Base64.decode(seed) : seed;
+  const { seedSize } = getKeySizes(algorithm);
+
+  if (!(seedBytes instanceof Uint8Array) || seedBytes.length !== seedSize) {
+    throw new Error(`${algorithm} seed must be ${seedSize} bytes`);
+  }
+
+  return seedBytes;
+}
+
+/**
+ * Pick and check the optional metadata of a key
+ * @param {Object} source - Key pair, export or options object
+ * @param {number|string|Date} [source.expiresAt] - Expiry time; the key may not be encrypted to afterwards
+ * @param {string} [source.label] - Human-readable label
+ * @param {string} [source.owner] - Owner, e.g. a name or email address
+ * @param {string[]} [source.usage] - Permitted usages ('encrypt', 'decrypt')
+ * @param {string} [source.replaces] - Key ID of the predecessor of a rotated key
+ * @param {string} [source.supersededBy] - Key ID of the successor of a rotated key
+ * @returns {Object} Metadata fields that are present, with expiresAt in milliseconds
+ */
+function resolveKeyMetadata(source) {
+  const metadata = {};
+
+  if (source.expiresAt !== undefined && source.expiresAt !== null) {
+    const expiresAt = new Date(source.expiresAt).getTime();
+    if (Number.isNaN(expiresAt)) {
+      throw new Error('Invalid key metadata: expiresAt must be a date');
+    }
+    metadata.expiresAt = expiresAt;
+  }
+
+  for (const field of KEY_METADATA_STRINGS) {
+    if (source[field] === undefined || source[field] === null) {
+      continue;
+    }
+    if (typeof source[field] !== 'string' || !source[field]) {
+      throw new Error(
+        `Invalid key metadata: ${field} must be a non-empty string`
+      );
+    }
+    metadata[field] = source[field];
+  }
+
+  if (source.usage !== undefined && source.usage !== null) {
+    if (
+      !Array.isArray(source.usage) ||
+      !source.usage.length ||
+      !source.usage.every((usage) => KEY_USAGES.includes(usage))
+    ) {
+      throw new Error(
+        `Invalid key metadata: usage must be a non-empty list of ${KEY_USAGES.join(', ')}`
+      );
+    }
+    metadata.usage = KEY_USAGES.filter((usage) => source.usage.includes(usage));
+  }
+
+  return metadata;
+}
+
+/**
+ * Get the lifecycle status of a key from its metadata
+ * @param {Object} keyData - Key pair, export or contact with optional expiresAt and usage
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {'active'|'expired'|'decrypt-only'} 'expired' after expiresAt, 'decrypt-only' if usage excludes encryption
+ */
+export function getKeyStatus(keyData, now = Date.now()) {
+  const { expiresAt, usage } = resolveKeyMetadata(keyData);
+
+  if (expiresAt !== undefined && expiresAt <= now) {
+    return 'expired';
+  }
+
+  if (usage && !usage.includes('encrypt')) {
+    return 'decrypt-only';
+  }
+
+  return 'active';
+}
+
 /**
  * Generate a post-quantum key pair
- * @param {string} [algorithm='ML-KEM-1024'] - Algorithm to use ('ML-KEM-1024' or 'ML-KEM-768')
- * @returns {Promise<{publicKey: string, privateKey: string, algorithm: string}>} Key pair
+ * With a seed the key pair is derived deterministically (ML-KEM from the
+ * 64-byte d || z seed, X-Wing from its 32-byte seed) and the returned key
+ * pair also carries the seed, so it can be exported in seed-only form.
+ * @param {string} [algorithm='ML-KEM-1024'] - Algorithm to use ('ML-KEM-1024', 'ML-KEM-768' or 'X-Wing')
+ * Metadata options (expiresAt, label, owner, usage) are copied to the key
+ * pair and kept by exportKeyPair() and importKeyPair().
+ * @param {Object} [options] - Generation options
+ * @param {string|Uint8Array} [options.seed] - Seed (bytes or Base64) to derive the key pair from
+ * @param {number|string|Date} [options.expiresAt] - Expiry time; encrypt() refuses the key afterwards
+ * @param {string} [options.label] - Human-readable label
+ * @param {string} [options.owner] - Owner, e.g. a name or email address
+ * @param {string[]} [options.usage] - Permitted usages ('encrypt', 'decrypt')
+ * @returns {Promise<{publicKey: string, privateKey: string, algorithm: string, seed?: string}>} Key pair, plus any metadata
  */
-export async function generateKeyPair(algorithm = DEFAULT_ALGORITHM) {
+export async function generateKeyPair(
+  algorithm = DEFAULT_ALGORITHM,
+  options = {}
+) {
   if (!SUPPORTED_ALGORITHMS.includes(algorithm)) {
     throw new Error(
       `Unsupported algorithm: ${algorithm}. Supported: ${SUPPORTED_ALGORITHMS.join(', ')}`
     );
   }
 
+  const metadata = resolveKeyMetadata(options);
+
   try {
     let kemInstance;
     if (algorithm === 'ML-KEM-1024') {
       kemInstance = new MlKem1024();
-    } else {
+    } else if (algorithm === 'ML-KEM-768') {
       kemInstance = new MlKem768();
+    } else {
+      kemInstance = new XWing();
+    }
+
+    if (options.seed !== undefined) {
+      const seed = decodeSeed(options.seed, algorithm);
+      const keyPair = await kemInstance.deriveKeyPair(seed);
+
+      return {
+        publicKey: Base64.encode(keyPair[0]),
+        privateKey: Base64.encode(keyPair[1]),
+        algorithm,
+        seed: Base64.encode(seed),
+        ...metadata,
+      };
     }
 
     // Generate key pair [publicKey, privateKey]
@@ -43,6 +195,7 @@ export async function generateKeyPair(algorithm = DEFAULT_ALGORITHM) {
       publicKey: Base64.encode(keyPair[0]),
       privateKey: Base64.encode(keyPair[1]),
       algorithm,
+      ...metadata,
     };
   } catch (error) {
     throw new Error(
@@ -51,27 +204,235 @@ export async function generateKeyPair(algorithm = DEFAULT_ALGORITHM) {
   }
 }
 
+/**
+ * Build the associated data binding a protected private key to its public key
+ * @param {string} publicKey - Public key (Base64)
+ * @param {string} algorithm - Algorithm name
+ * @returns {Uint8Array} Associated data
+ */
+function getProtectedKeyAad(publicKey, algorithm) {
+  return new TextEncoder().encode(
+    JSON.stringify([PROTECTED_KEY_LABEL, algorithm, publicKey])
+  );
+}
+
+/**
+ * Encrypt a private key under a passphrase (scrypt + ChaCha20-Poly1305)
+ * @param {{publicKey: string, privateKey: string, algorithm: string}} keyPair - Key pair to protect
+ * @param {string} passphrase - Passphrase
+ * @returns {Promise<Object>} Encrypted private key container
+ */
+async function protectPrivateKey(keyPair, passphrase) {
+  const params = Scrypt.DEFAULT_PARAMS;
+  const salt = SecureRandom.generateSalt();
+  const nonce = SecureRandom.generateNonce();
+  const key = await Scrypt.derive(passphrase, salt, params);
+
+  try {
+    const ciphertext = await ChaCha20Poly1305.encrypt(
+      key,
+      nonce,
+      Base64.decode(keyPair.privateKey),
+      getProtectedKeyAad(keyPair.publicKey, keyPair.algorithm)
+    );
+
+    return {
+      v: PROTECTED_KEY_VERSION,
+      kdf: 'scrypt',
+      N: params.N,
+      r: params.r,
+      p: params.p,
+      s: Base64.encode(salt),
+      n: Base64.encode(nonce),
+      c: Base64.encode(ciphertext),
+    };
+  } finally {
+    CryptoUtils.secureClear(key);
+  }
+}
+
+/**
+ * Check an encrypted private key container before it is stored or used
+ * Checks the format, the field sizes and the scrypt cost parameters, so a
+ * container that could never be decrypted, or that would exhaust memory
+ * when it is, is rejected up front.
+ * @param {Object} container - Encrypted private key container
+ * @param {string} algorithm - Algorithm of the protected private key
+ */
+export function assertEncryptedPrivateKey(container, algorithm) {
+  if (!container || typeof container !== 'object') {
+    throw new Error('Invalid key pair data: invalid encryptedPrivateKey');
+  }
+
+  if (container.v !== PROTECTED_KEY_VERSION || container.kdf !== 'scrypt') {
+    throw new Error(
+      `Unsupported encrypted private key format: v${container.v} ${container.kdf}`
+    );
+  }
+
+  const { privateKeySize } = getKeySizes(algorithm);
+  const sizes = { s: 32, n: 12, c: privateKeySize + 16 };
+  for (const [field, size] of Object.entries(sizes)) {
+    if (
+      typeof container[field] !== 'string' ||
+      Base64.decode(container[field]).length !== size
+    ) {
+      throw new Error('Invalid key pair data: invalid encryptedPrivateKey');
+    }
+  }
+
+  const { N, r, p } = container;
+  Scrypt.validateParams({ N, r, p });
+}
+
+/**
+ * Decrypt a passphrase-protected private key
+ * @param {Object} container - Encrypted private key container
+ * @param {string} publicKey - Public key the container is bound to (Base64)
+ * @param {string} algorithm - Algorithm name
+ * @param {string} passphrase - Passphrase
+ * @returns {Promise<string>} Private key (Base64)
+ */
+async function unprotectPrivateKey(
+  container,
+  publicKey,
+  algorithm,
+  passphrase
+) {
+  assertEncryptedPrivateKey(container, algorithm);
+
+  const { N, r, p } = container;
+  const key = await Scrypt.derive(passphrase, Base64.decode(container.s), {
+    N,
+    r,
+    p,
+  });
+
+  try {
+    const privateKey = await ChaCha20Poly1305.decrypt(
+      key,
+      Base64.decode(container.n),
+      Base64.decode(container.c),
+      getProtectedKeyAad(publicKey, algorithm)
+    );
+    return Base64.encode(privateKey);
+  } catch {
+    throw new Error('Incorrect passphrase or corrupted key data');
+  } finally {
+    CryptoUtils.secureClear(key);
+  }
+}
+
 /**
  * Export key pair with metadata for storage
- * @param {{publicKey: string, privateKey: string, algorithm: string}} keyPair - Key pair to export
- * @returns {{publicKey: string, privateKey: string, algorithm: string, timestamp: number, version: string}}
+ * With a passphrase, the private key is replaced by an `encryptedPrivateKey`
+ * container (scrypt + ChaCha20-Poly1305). With `seedOnly`, the private key
+ * is replaced by the seed it was derived from.
+ * Key metadata (expiresAt, label, owner, usage and rotation links) is kept.
+ * @param {{publicKey: string, privateKey: string, algorithm: string, seed?: string}} keyPair - Key pair to export
+ * @param {Object} [options] - Export options
+ * @param {string} [options.passphrase] - Passphrase protecting the private key
+ * @param {boolean} [options.seedOnly=false] - Export the seed instead of the private key (key pairs generated from a seed only)
+ * @returns {Promise<Object>} Exported key pair ({publicKey, privateKey | encryptedPrivateKey | seed, algorithm, timestamp, version})
  */
-export function exportKeyPair(keyPair) {
-  return {
+export async function exportKeyPair(keyPair, options = {}) {
+  const metadata = resolveKeyMetadata(keyPair);
+
+  if (options.seedOnly) {
+    if (!keyPair.seed) {
+      throw new Error(
+        'Seed-only export requires a key pair generated from a seed'
+      );
+    }
+
+    if (options.passphrase !== undefined) {
+      throw new Error('Seed-only export cannot be passphrase-protected');
+    }
+
+    return {
+      publicKey: keyPair.publicKey,
+      seed: keyPair.seed,
+      algorithm: keyPair.algorithm,
+      timestamp: Date.now(),
+      version: '1.0.0',
+      ...metadata,
+    };
+  }
+
+  const exported = {
     publicKey: keyPair.publicKey,
     privateKey: keyPair.privateKey,
     algorithm: keyPair.algorithm,
     timestamp: Date.now(),
     version: '1.0.0',
+    ...metadata,
   };
+
+  if (options.passphrase === undefined) {
+    return exported;
+  }
+
+  return {
+    publicKey: exported.publicKey,
+    encryptedPrivateKey: await protectPrivateKey(keyPair, options.passphrase),
+    algorithm: exported.algorithm,
+    timestamp: exported.timestamp,
+    version: exported.version,
+    ...metadata,
+  };
+}
+
+/**
+ * Re-derive a key pair from a seed-only export
+ * @param {Object} data - Seed-only export
+ * @param {string} algorithm - Algorithm name
+ * @returns {Promise<{publicKey: string, privateKey: string, algorithm: string, seed: string}>} Key pair
+ */
+async function importSeedOnlyKeyPair(data, algorithm) {
+  if (typeof data.seed !== 'string') {
+    throw new Error('Invalid key pair data: invalid seed');
+  }
+
+  const keyPair = await generateKeyPair(algorithm, {
+    ...resolveKeyMetadata(data),
+    seed: data.seed,
+  });
+  if (keyPair.publicKey !== data.publicKey) {
+    throw new Error('Invalid key pair data: seed does not match publicKey');
+  }
+
+  return keyPair;
+}
+
+/**
+ * Reject a key pair that fails checkKeyPair()
+ * @param {{publicKey: string, privateKey: string, algorithm: string}} keyPair - Key pair to check
+ * @returns {Promise<{publicKey: string, privateKey: string, algorithm: string}>} The key pair
+ * @throws {Error} With the check's `reason` attached
+ */
+async function assertKeyPair(keyPair) {
+  const result = await checkKeyPair(keyPair);
+
+  if (!result.valid) {
+    const error = new Error(`Invalid key pair data: ${result.message}`);
+    error.reason = result.reason;
+    throw error;
+  }
+
+  return keyPair;
 }
 
 /**
  * Import key pair from exported data
+ * Passphrase-protected exports require the passphrase. The key pair must
+ * pass checkKeyPair() (FIPS 203 key checks and a pairwise consistency test);
+ * otherwise the error carries the rejection `reason`.
  * @param {Object} data - Exported key pair data
- * @returns {{publicKey: string, privateKey: string, algorithm: string}} Imported key pair
+ * @param {Object} [options] - Import options
+ * @param {string} [options.passphrase] - Passphrase for a protected private key
+ * @returns {Promise<{publicKey: string, privateKey: string, algorithm: string}>} Imported key pair, plus any metadata
  */
-export function importKeyPair(data) {
+export async function importKeyPair(data, options = {}) {
   // Validate required fields
   if (!data || typeof data !== 'object') {
     throw new Error('Invalid key pair data: must be an object');
@@ -81,7 +442,21 @@ export function importKeyPair(data) {
     throw new Error('Invalid key pair data: missing or invalid publicKey');
   }
 
-  if (!data.privateKey || typeof data.privateKey !== 'string') {
+  const isProtected = data.encryptedPrivateKey !== undefined;
+  const isSeedOnly =
+    !isProtected && data.privateKey === undefined && data.seed !== undefined;
+
+  if (isProtected && !options.passphrase) {
+    throw new Error(
+      'Invalid key pair data: private key is passphrase-protected; passphrase required'
+    );
+  }
+
+  if (
+    !isProtected &&
+    !isSeedOnly &&
+    (!data.privateKey || typeof data.privateKey !== 'string')
+  ) {
     throw new Error('Invalid key pair data: missing or invalid privateKey');
   }
 
@@ -95,76 +470,315 @@ export function importKeyPair(data) {
     );
   }
 
-  return {
+  if (isSeedOnly) {
+    return importSeedOnlyKeyPair(data, algorithm);
+  }
+
+  const metadata = resolveKeyMetadata(data);
+
+  const privateKey = isProtected
+    ? await unprotectPrivateKey(
+        data.encryptedPrivateKey,
+        data.publicKey,
+        algorithm,
+        options.passphrase
+      )
+    : data.privateKey;
+
+  return assertKeyPair({
     publicKey: data.publicKey,
-    privateKey: data.privateKey,
+    privateKey,
     algorithm,
-  };
+    ...metadata,
+  });
 }
 
 /**
- * Validate a public key format and size
- * @param {string} publicKey - Base64 encoded public key
- * @param {string} [algorithm='ML-KEM-1024'] - Expected algorithm
- * @returns {boolean} True if valid
+ * Build a key check result
+ * @param {string} [reason] - Rejection reason; omitted for a valid key
+ * @param {string} [message] - Human-readable description of the reason
+ * @returns {{valid: boolean, reason?: string, message?: string}} Check result
  */
-export function validatePublicKey(publicKey, algorithm = DEFAULT_ALGORITHM) {
+function checkResult(reason, message) {
+  return reason ? { valid: false, reason, message } : { valid: true };
+}
+
+/**
+ * Decode a Base64 key, or return null if it is not a Base64 string
+ * @param {*} key - Key to decode
+ * @returns {Uint8Array|null} Key bytes
+ */
+function decodeKey(key) {
+  if (!key || typeof key !== 'string' || !/^[A-Za-z0-9+/]+=*$/.test(key)) {
+    return null;
+  }
+
   try {
-    // Check if publicKey is a valid string
-    if (!publicKey || typeof publicKey !== 'string') {
-      return false;
-    }
+    return Base64.decode(key);
+  } catch {
+    return null;
+  }
+}
 
-    // Check if it's valid Base64
-    if (!/^[A-Za-z0-9+/]+=*$/.test(publicKey)) {
-      return false;
-    }
+/**
+ * Check the encoding, algorithm and size of a key
+ * @param {*} key - Base64 encoded key
+ * @param {string} algorithm - Algorithm name
+ * @param {string} type - 'public' or 'private'
+ * @returns {{result: Object, keyBytes?: Uint8Array}} Failed check result, or the key bytes
+ */
+function checkKeyEncoding(key, algorithm, type) {
+  if (!SUPPORTED_ALGORITHMS.includes(algorithm)) {
+    return {
+      result: checkResult('algorithm', `Unsupported algorithm: ${algorithm}`),
+    };
+  }
 
-    // Decode and check size
-    const keyBytes = Base64.decode(publicKey);
+  const keyBytes = decodeKey(key);
+  if (!keyBytes) {
+    return {
+      result: checkResult('encoding', `${type} key is not valid Base64`),
+    };
+  }
 
-    // Determine expected size based on algorithm
-    let expectedSize;
-    if (algorithm === 'ML-KEM-1024') {
-      expectedSize = ML_KEM_1024_PUBLIC_KEY_SIZE;
-    } else if (algorithm === 'ML-KEM-768') {
-      expectedSize = ML_KEM_768_PUBLIC_KEY_SIZE;
-    } else {
-      return false;
-    }
+  const sizes = getKeySizes(algorithm);
+  const expectedSize =
+    type === 'public' ? sizes.publicKeySize : sizes.privateKeySize;
+
+  if (keyBytes.length !== expectedSize) {
+    return {
+      result: checkResult(
+        'length',
+        `${algorithm} ${type} key must be ${expectedSize} bytes, got ${keyBytes.length}`
+      ),
+    };
+  }
+
+  return { keyBytes };
+}
 
-    // Check if size matches
-    if (keyBytes.length !== expectedSize) {
+/**
+ * FIPS 203 encapsulation key modulus check
+ * Every 12-bit coefficient of the encoded vector t must be reduced mod q,
+ * i.e. ByteEncode12(ByteDecode12(t)) == t.
+ * @param {Uint8Array} encapsulationKey - ML-KEM encapsulation key
+ * @param {number} k - Module rank
+ * @returns {boolean} True if every coefficient is below q
+ */
+function checkModulus(encapsulationKey, k) {
+  for (let i = 0; i < k * ML_KEM_POLY_BYTES; i += 3) {
+    const b0 = encapsulationKey[i];
+    const b1 = encapsulationKey[i + 1];
+    const b2 = encapsulationKey[i + 2];
+
+    if ((b0 | ((b1 & 0x0f) << 8)) >= ML_KEM_Q) {
       return false;
     }
-
-    // Basic sanity check: key shouldn't be all zeros
-    const allZeros = keyBytes.every((byte) => byte === 0);
-    if (allZeros) {
+    if (((b1 >> 4) | (b2 << 4)) >= ML_KEM_Q) {
       return false;
     }
+  }
+
+  return true;
+}
+
+/**
+ * Split an ML-KEM decapsulation key into its FIPS 203 components
+ * dk = dkPKE || ek || H(ek) || z
+ * @param {Uint8Array} decapsulationKey - ML-KEM decapsulation key
+ * @param {number} k - Module rank
+ * @returns {{encapsulationKey: Uint8Array, hash: Uint8Array}} Embedded encapsulation key and its stored hash
+ */
+function splitDecapsulationKey(decapsulationKey, k) {
+  const ekStart = k * ML_KEM_POLY_BYTES;
+  const ekEnd = ekStart + k * ML_KEM_POLY_BYTES + 32;
+
+  return {
+    encapsulationKey: decapsulationKey.subarray(ekStart, ekEnd),
+    hash: decapsulationKey.subarray(ekEnd, ekEnd + 32),
+  };
+}
+
+/**
+ * Get the module rank of an ML-KEM algorithm (X-Wing uses ML-KEM-768)
+ * @param {string} algorithm - Algorithm name
+ * @returns {number} Module rank k
+ */
+function getModuleRank(algorithm) {
+  return algorithm === 'ML-KEM-1024' ? ML_KEM_1024_K : ML_KEM_768_K;
+}
+
+/**
+ * Check a public key
+ * Checks the encoding and size and, for ML-KEM and the ML-KEM part of
+ * X-Wing, the FIPS 203 encapsulation key modulus check.
+ * Rejection reasons: 'algorithm', 'encoding', 'length', 'zero', 'modulus'.
+ * @param {string} publicKey - Base64 encoded public key
+ * @param {string} [algorithm='ML-KEM-1024'] - Expected algorithm
+ * @returns {{valid: boolean, reason?: string, message?: string}} Check result
+ */
+export function checkPublicKey(publicKey, algorithm = DEFAULT_ALGORITHM) {
+  const { result, keyBytes } = checkKeyEncoding(publicKey, algorithm, 'public');
+  if (result) {
+    return result;
+  }
+
+  // Basic sanity check: key shouldn't be all zeros
+  if (keyBytes.every((byte) => byte === 0)) {
+    return checkResult('zero', 'public key is all zeros');
+  }
+
+  if (!checkModulus(keyBytes, getModuleRank(algorithm))) {
+    return checkResult(
+      'modulus',
+      'public key fails the FIPS 203 modulus check'
+    );
+  }
+
+  return checkResult();
+}
+
+/**
+ * Check a private key
+ * Checks the encoding and size and, for ML-KEM, the FIPS 203 decapsulation
+ * key hash check (the stored H(ek) must match the embedded public key).
+ * Rejection reasons: 'algorithm', 'encoding', 'length', 'hash'.
+ * @param {string} privateKey - Base64 encoded private key
+ * @param {string} [algorithm='ML-KEM-1024'] - Expected algorithm
+ * @returns {{valid: boolean, reason?: string, message?: string}} Check result
+ */
+export function checkPrivateKey(privateKey, algorithm = DEFAULT_ALGORITHM) {
+  const { result, keyBytes } = checkKeyEncoding(
+    privateKey,
+    algorithm,
+    'private'
+  );
+  if (result) {
+    return result;
+  }
+
+  // X-Wing private keys are seeds; any 32 bytes are valid
+  if (algorithm === 'X-Wing') {
+    return checkResult();
+  }
+
+  const { encapsulationKey, hash } = splitDecapsulationKey(
+    keyBytes,
+    getModuleRank(algorithm)
+  );
+  const expected = createHash('sha3-256').update(encapsulationKey).digest();
+
+  if (!CryptoUtils.constantTimeEqual(new Uint8Array(expected), hash)) {
+    return checkResult('hash', 'private key fails the FIPS 203 hash check');
+  }
+
+  return checkResult();
+}
 
-    return true;
+/**
+ * Check that a public and private key are valid and belong together
+ * Runs checkPublicKey() and checkPrivateKey(), compares the public key with
+ * the one embedded in (ML-KEM) or derived from (X-Wing) the private key,
+ * then runs a pairwise consistency test: encapsulate to the public key and
+ * decapsulate with the private key.
+ * Rejection reasons: those of checkPublicKey() and checkPrivateKey(),
+ * 'mismatch' and 'pairwise'.
+ * @param {{publicKey: string, privateKey: string, algorithm?: string}} keyPair - Key pair to check
+ * @returns {Promise<{valid: boolean, reason?: string, message?: string}>} Check result
+ */
+export async function checkKeyPair(keyPair) {
+  const algorithm = keyPair.algorithm || DEFAULT_ALGORITHM;
+
+  const publicResult = checkPublicKey(keyPair.publicKey, algorithm);
+  if (!publicResult.valid) {
+    return publicResult;
+  }
+
+  const privateResult = checkPrivateKey(keyPair.privateKey, algorithm);
+  if (!privateResult.valid) {
+    return privateResult;
+  }
+
+  const publicKeyBytes = Base64.decode(keyPair.publicKey);
+  const privateKeyBytes = Base64.decode(keyPair.privateKey);
+
+  const ownPublicKey =
+    algorithm === 'X-Wing'
+      ? (await getKemInstance(algorithm).deriveKeyPair(privateKeyBytes))[0]
+      : splitDecapsulationKey(privateKeyBytes, getModuleRank(algorithm))
+          .encapsulationKey;
+
+  if (!CryptoUtils.constantTimeEqual(ownPublicKey, publicKeyBytes)) {
+    return checkResult(
+      'mismatch',
+      'private key does not belong to the public key'
+    );
+  }
+
+  let consistent;
+  try {
+    const { kemCiphertext, salt, key } = await encapsulateKey(
+      algorithm,
+      publicKeyBytes,
+      PAIRWISE_CHECK_INFO
+    );
+    const decapsulated = await decapsulateKey(
+      algorithm,
+      Base64.encode(kemCiphertext),
+      Base64.encode(salt),
+      privateKeyBytes,
+      PAIRWISE_CHECK_INFO
+    );
+    consistent = CryptoUtils.constantTimeEqual(key, decapsulated);
+    CryptoUtils.secureClear(key);
+    CryptoUtils.secureClear(decapsulated);
   } catch {
-    return false;
+    consistent = false;
+  } finally {
+    CryptoUtils.secureClear(privateKeyBytes);
+  }
+
+  if (!consistent) {
+    return checkResult('pairwise', 'pairwise consistency test failed');
   }
+
+  return checkResult();
+}
+
+/**
+ * Validate a public key
+ * Boolean form of checkPublicKey(), including the FIPS 203 modulus check.
+ * @param {string} publicKey - Base64 encoded public key
+ * @param {string} [algorithm='ML-KEM-1024'] - Expected algorithm
+ * @returns {boolean} True if valid
+ */
+export function validatePublicKey(publicKey, algorithm = DEFAULT_ALGORITHM) {
+  return checkPublicKey(publicKey, algorithm).valid;
 }
 
 /**
  * Get key size information for an algorithm
  * @param {string} algorithm - Algorithm name
- * @returns {{publicKeySize: number, privateKeySize: number}} Key sizes in bytes
+ * @returns {{publicKeySize: number, privateKeySize: number, seedSize: number}} Key and key generation seed sizes in bytes
  */
 export function getKeySizes(algorithm = DEFAULT_ALGORITHM) {
   if (algorithm === 'ML-KEM-1024') {
     return {
       publicKeySize: ML_KEM_1024_PUBLIC_KEY_SIZE,
       privateKeySize: ML_KEM_1024_PRIVATE_KEY_SIZE,
+      seedSize: ML_KEM_SEED_SIZE,
     };
   } else if (algorithm === 'ML-KEM-768') {
     return {
       publicKeySize: ML_KEM_768_PUBLIC_KEY_SIZE,
       privateKeySize: ML_KEM_768_PRIVATE_KEY_SIZE,
+      seedSize: ML_KEM_SEED_SIZE,
+    };
+  } else if (algorithm === 'X-Wing') {
+    return {
+      publicKeySize: X_WING_PUBLIC_KEY_SIZE,
+      privateKeySize: X_WING_PRIVATE_KEY_SIZE,
+      seedSize: X_WING_SEED_SIZE,
     };
   } else {
     throw new Error(`Unknown algorithm: ${algorithm}`);
@@ -0,0 +1,317 @@
+/**
+ * @fileoverview k-of-n backup shares of a private key
+ * The private key (or, for key pairs generated from a seed, the shorter
+ * seed) is split with Shamir secret sharing, so any threshold shares restore
+ * the key pair and fewer reveal nothing about it.
+ *
+ * Share layout (armored as a POST-QUANTUM KEY SHARE block):
+ *   u8 version | u8 algorithm ID | u8 secret type | u8 threshold |
+ *   u8 share index | u8 share count | 32-byte key fingerprint |
+ *   share data | 4-byte checksum (leading bytes of SHA-256 over the rest)
+ */
+
+import { createHash } from 'node:crypto';
+import { Base64, CryptoUtils } from './crypto-utils.js';
+import { armor, dearmor, ARMOR_TYPES } from './armor.js';
+import { fingerprint } from './fingerprint.js';
+import {
+  generateKeyPair,
+  importKeyPair,
+  checkKeyPair,
+  getKeySizes,
+} from './key-manager.js';
+import { getKemInstance } from './kem.js';
+import { splitSecret, combineSecret } from './shamir.js';
+
+// Share format constants
+const SHARE_VERSION = 1;
+const FINGERPRINT_SIZE = 32;
+const CHECKSUM_SIZE = 4;
+const HEADER_SIZE = 6 + FINGERPRINT_SIZE;
+
+// Algorithm identifiers
+const ALGORITHM_IDS = {
+  'ML-KEM-1024': 1,
+  'ML-KEM-768': 2,
+  'X-Wing': 3,
+};
+
+// What the shares encode
+const SECRET_TYPES = {
+  PRIVATE_KEY: 1,
+  SEED: 2,
+};
+
+/**
+ * Compute the checksum of an encoded share
+ * @param {Uint8Array} bytes - Share bytes without the checksum
+ * @returns {Uint8Array} 4-byte checksum
+ */
+function computeChecksum(bytes) {
+  return new Uint8Array(
+    createHash('sha256').update(bytes).digest().subarray(0, CHECKSUM_SIZE)
+  );
+}
+
+/**
+ * Decode and check an armored key share
+ * @param {string} share - Armored key share
+ * @returns {Object} Share fields
+ */
+function decodeShare(share) {
+  const { data } = dearmor(share, ARMOR_TYPES.KEY_SHARE);
+
+  if (data.length <= HEADER_SIZE + CHECKSUM_SIZE) {
+    throw new Error('Invalid key share: too short');
+  }
+
+  const body = data.subarray(0, data.length - CHECKSUM_SIZE);
+  if (
+    !CryptoUtils.constantTimeEqual(
+      computeChecksum(body),
+      data.subarray(body.length)
+    )
+  ) {
+    throw new Error('Invalid key share: checksum mismatch');
+  }
+
+  const [version, algorithmId, secretType, threshold, index, count] = body;
+  if (version !== SHARE_VERSION) {
+    throw new Error(`Invalid key share: unsupported version ${version}`);
+  }
+
+  const algorithm = Object.keys(ALGORITHM_IDS).find(
+    (name) => ALGORITHM_IDS[name] === algorithmId
+  );
+  if (!algorithm || !Object.values(SECRET_TYPES).includes(secretType)) {
+    throw new Error('Invalid key share: unknown key type');
+  }
+
+  return {
+    algorithm,
+    secretType,
+    threshold,
+    index,
+    count,
+    fingerprint: Buffer.from(body.subarray(6, HEADER_SIZE)).toString('hex'),
+    data: body.subarray(HEADER_SIZE),
+  };
+}
+
+/**
+ * Rebuild the key pair that a private key belongs to
+ * @param {Uint8Array} privateKey - Private key bytes
+ * @param {string} algorithm - Algorithm name
+ * @returns {Promise<{publicKey: string, privateKey: string, algorithm: string}>} Key pair
+ */
+async function keyPairFromPrivateKey(privateKey, algorithm) {
+  const { publicKeySize, privateKeySize } = getKeySizes(algorithm);
+
+  if (privateKey.length !== privateKeySize) {
+    throw new Error('wrong private key size');
+  }
+
+  // X-Wing private keys are seeds the public key is derived from
+  if (algorithm === 'X-Wing') {
+    const [publicKey] =
+      await getKemInstance(algorithm).deriveKeyPair(privateKey);
+    return {
+      publicKey: Base64.encode(publicKey),
+      privateKey: Base64.encode(privateKey),
+      algorithm,
+    };
+  }
+
+  // The ML-KEM decapsulation key embeds the public key: dkPKE || ek || H(ek) || z
+  const end = privateKey.length - 64;
+  return {
+    publicKey: Base64.encode(privateKey.subarray(end - publicKeySize, end)),
+    privateKey: Base64.encode(privateKey),
+    algorithm,
+  };
+}
+
+/**
+ * Rebuild the key pair from a recovered secret
+ * @param {Uint8Array} secret - Recovered private key or seed
+ * @param {number} secretType - One of SECRET_TYPES
+ * @param {string} algorithm - Algorithm name
+ * @returns {Promise<{publicKey: string, privateKey: string, algorithm: string, seed?: string}>} Key pair
+ */
+async function restoreKeyPair(secret, secretType, algorithm) {
+  if (secretType === SECRET_TYPES.SEED) {
+    return generateKeyPair(algorithm, { seed: secret });
+  }
+
+  return keyPairFromPrivateKey(secret, algorithm);
+}
+
+/**
+ * Resolve the private key argument of splitPrivateKey()
+ * A Base64 private key is matched to its algorithm by size (the sizes of the
+ * supported algorithms all differ) and completed with its public key.
+ * @param {string|Object} privateKey - Private key (Base64) or key pair
+ * @returns {Promise<{publicKey: string, privateKey: string, algorithm: string, seed?: string}>} Key pair
+ */
+async function resolveKeyPair(privateKey) {
+  if (typeof privateKey !== 'string') {
+    if (
+      !privateKey ||
+      typeof privateKey !== 'object' ||
+      !privateKey.privateKey
+    ) {
+      throw new Error('Splitting requires a key pair with a private key');
+    }
+    return {
+      ...privateKey,
+      algorithm: privateKey.algorithm || 'ML-KEM-1024',
+    };
+  }
+
+  let privateKeyBytes;
+  try {
+    privateKeyBytes = Base64.decode(privateKey);
+  } catch {
+    throw new Error('Private key must be Base64');
+  }
+
+  const algorithm = Object.keys(ALGORITHM_IDS).find(
+    (name) => getKeySizes(name).privateKeySize === privateKeyBytes.length
+  );
+  if (!algorithm) {
+    throw new Error(
+      `Private key has an unsupported size (${privateKeyBytes.length} bytes)`
+    );
+  }
+
+  try {
+    return await keyPairFromPrivateKey(privateKeyBytes, algorithm);
+  } finally {
+    CryptoUtils.secureClear(privateKeyBytes);
+  }
+}
+
+/**
+ * Split a private key into k-of-n backup shares
+ * The private key may be given on its own (Base64); its algorithm and public
+ * key are recovered from it. Key pairs generated from a seed are shared as
+ * the seed, which keeps the shares small. Key metadata (label, expiry, ...)
+ * is not part of the shares.
+ * @param {string|{publicKey: string, privateKey: string, algorithm: string, seed?: string}} privateKey - Private key (Base64) or key pair to back up
+ * @param {number} threshold - Number of shares needed to restore the key (2 or more)
+ * @param {number} shareCount - Number of shares to create (threshold to 255)
+ * @returns {Promise<string[]>} Armored key shares, one per holder
+ */
+export async function splitPrivateKey(privateKey, threshold, shareCount) {
+  const keyPair = await resolveKeyPair(privateKey);
+  const { algorithm } = keyPair;
+
+  const check = await checkKeyPair(keyPair);
+  if (!check.valid) {
+    throw new Error(`Cannot split an invalid key pair: ${check.message}`);
+  }
+
+  const secretType = keyPair.seed
+    ? SECRET_TYPES.SEED
+    : SECRET_TYPES.PRIVATE_KEY;
+  const secret = Base64.decode(keyPair.seed || keyPair.privateKey);
+  const { hex, keyId } = fingerprint(keyPair.publicKey, algorithm);
+
+  let shares;
+  try {
+    shares = splitSecret(secret, threshold, shareCount);
+  } finally {
+    CryptoUtils.secureClear(secret);
+  }
+
+  return shares.map(({ index, data }) => {
+    const body = new Uint8Array(HEADER_SIZE + data.length);
+    body.set([
+      SHARE_VERSION,
+      ALGORITHM_IDS[algorithm],
+      secretType,
+      threshold,
+      index,
+      shareCount,
+    ]);
+    body.set(Buffer.from(hex, 'hex'), 6);
+    body.set(data, HEADER_SIZE);
+
+    const encoded = new Uint8Array(body.length + CHECKSUM_SIZE);
+    encoded.set(body);
+    encoded.set(computeChecksum(body), body.length);
+
+    return armor(encoded, ARMOR_TYPES.KEY_SHARE, {
+      Algorithm: algorithm,
+      'Key-ID': keyId,
+      Share: `${index} of ${shareCount}`,
+      Threshold: threshold,
+    });
+  });
+}
+
+/**
+ * Restore a private key from backup shares
+ * Every share is checked against its checksum, and the restored key pair
+ * against the key fingerprint stored in the shares.
+ * @param {string[]} shares - At least the threshold number of armored key shares
+ * @returns {Promise<{publicKey: string, privateKey: string, algorithm: string, seed?: string}>} Restored key pair
+ */
+export async function combineShares(shares) {
+  if (!Array.isArray(shares) || !shares.length) {
+    throw new Error('Key shares must be a non-empty array');
+  }
+
+  const decoded = shares.map((share, i) => {
+    try {
+      return decodeShare(share);
+    } catch (error) {
+      throw new Error(`Key share ${i + 1}: ${error.message}`);
+    }
+  });
+
+  const [first] = decoded;
+  for (const share of decoded) {
+    if (
+      share.fingerprint !== first.fingerprint ||
+      share.algorithm !== first.algorithm ||
+      share.secretType !== first.secretType ||
+      share.threshold !== first.threshold
+    ) {
+      throw new Error('Key shares belong to different keys or splits');
+    }
+  }
+
+  if (new Set(decoded.map(({ index }) => index)).size !== decoded.length) {
+    throw new Error('Key shares contain the same share twice');
+  }
+
+  if (decoded.length < first.threshold) {
+    throw new Error(
+      `${first.threshold} key shares are required, got ${decoded.length}`
+    );
+  }
+
+  const secret = combineSecret(decoded);
+
+  // Mixed or tampered shares give a different key, or no valid key at all
+  let keyPair;
+  try {
+    keyPair = await restoreKeyPair(secret, first.secretType, first.algorithm);
+    if (fingerprint(keyPair).hex !== first.fingerprint) {
+      keyPair = null;
+    }
+  } catch {
+    keyPair = null;
+  } finally {
+    CryptoUtils.secureClear(secret);
+  }
+
+  if (!keyPair) {
+    throw new Error('Restored key does not match the key share fingerprint');
+  }
+
+  return first.secretType === SECRET_TYPES.SEED
+    ? keyPair
+    : importKeyPair(keyPair);
+}
@@ -0,0 +1,417 @@
+/**
+ * @fileoverview On-disk keyring of the user's own key pairs
+ * Persists key pairs with labels, algorithm and creation time under
+ * ~/.quantum (or a configured directory) and tracks a default key
+ */
+
+import { join } from 'node:path';
+import {
+  generateKeyPair,
+  exportKeyPair,
+  importKeyPair,
+  getKeyStatus,
+  validatePublicKey,
+  assertEncryptedPrivateKey,
+} from './key-manager.js';
+import { getKeyId } from './fingerprint.js';
+import { rotateKeyPair } from './rotation.js';
+import {
+  getDefaultDirectory,
+  readJsonFile,
+  writeJsonFile,
+  withFileLock,
+} from './storage.js';
+
+// Keyring file format
+const KEYRING_FILE = 'keyring.json';
+const KEYRING_VERSION = 1;
+
+// Key metadata stored alongside the label
+const METADATA_FIELDS = [
+  'expiresAt',
+  'owner',
+  'usage',
+  'replaces',
+  'supersededBy',
+];
+
+/**
+ * Build the public description of a stored key
+ * @param {Object} entry - Stored keyring entry
+ * @param {string|null} defaultKeyId - ID of the default key
+ * @returns {{id: string, label: string|null, algorithm: string, createdAt: number, publicKey: string, protected: boolean, isDefault: boolean, status: string}} Key description, with metadata fields (null when unset)
+ */
+function describeEntry(entry, defaultKeyId) {
+  const description = {
+    id: entry.id,
+    label: entry.label,
+    algorithm: entry.algorithm,
+    createdAt: entry.createdAt,
+    publicKey: entry.publicKey,
+    protected: !!entry.encryptedPrivateKey,
+    isDefault: entry.id === defaultKeyId,
+    status: getKeyStatus(entry),
+  };
+
+  for (const field of METADATA_FIELDS) {
+    description[field] = entry[field] ?? null;
+  }
+
+  return description;
+}
+
+/**
+ * Persistent store of the user's own key pairs
+ * Reads see a consistent snapshot because every write replaces the keyring
+ * file atomically; concurrent writers are serialized with a lock file.
+ */
+export class Keyring {
+  /**
+   * @param {Object} [options] - Keyring options
+   * @param {string} [options.directory] - Storage directory (default: $QUANTUM_HOME or ~/.quantum)
+   * @param {number} [options.lockTimeout=5000] - Milliseconds to wait for the keyring lock
+   */
+  constructor(options = {}) {
+    this.directory = options.directory || getDefaultDirectory();
+    this.path = join(this.directory, KEYRING_FILE);
+    this.lockTimeout = options.lockTimeout;
+  }
+
+  /**
+   * Read the keyring file
+   * @returns {Promise<{version: number, defaultKeyId: string|null, keys: Object[]}>} Keyring data
+   */
+  async _load() {
+    const data = await readJsonFile(this.path, {
+      version: KEYRING_VERSION,
+      defaultKeyId: null,
+      keys: [],
+    });
+
+    if (data.version !== KEYRING_VERSION || !Array.isArray(data.keys)) {
+      throw new Error(`Unsupported keyring format: ${this.path}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Modify the keyring under its lock and write it back atomically
+   * @param {Function} fn - Receives the keyring data; may mutate it
+   * @returns {Promise<*>} Result of fn
+   */
+  async _update(fn) {
+    return withFileLock(
+      this.path,
+      async () => {
+        const data = await this._load();
+        const result = await fn(data);
+        await writeJsonFile(this.path, data);
+        return result;
+      },
+      { timeout: this.lockTimeout }
+    );
+  }
+
+  /**
+   * Find a stored entry by ID or label
+   * @param {Object} data - Keyring data
+   * @param {string} idOrLabel - Key ID or label
+   * @returns {Object|undefined} Stored entry
+   */
+  _find(data, idOrLabel) {
+    return data.keys.find(
+      (entry) => entry.id === idOrLabel || entry.label === idOrLabel
+    );
+  }
+
+  /**
+   * Build the stored entry for a key pair
+   * @param {Object} keyData - Key pair or exported key pair
+   * @param {Object} options - Options (see add())
+   * @returns {Promise<Object>} Keyring entry
+   */
+  async _createEntry(keyData, options) {
+    if (!keyData || typeof keyData !== 'object') {
+      throw new Error('Invalid key pair data: must be an object');
+    }
+
+    let stored;
+    if (keyData.encryptedPrivateKey) {
+      if (!keyData.publicKey || !keyData.algorithm) {
+        throw new Error(
+          'Invalid key pair data: missing publicKey or algorithm'
+        );
+      }
+      // The passphrase is not known here; check what can be checked without it
+      assertEncryptedPrivateKey(keyData.encryptedPrivateKey, keyData.algorithm);
+      if (!validatePublicKey(keyData.publicKey, keyData.algorithm)) {
+        throw new Error('Invalid key pair data: invalid publicKey');
+      }
+      stored = keyData;
+    } else {
+      stored = await exportKeyPair(await importKeyPair(keyData), {
+        passphrase: options.passphrase,
+      });
+    }
+
+    const entry = {
+      id: getKeyId(stored.publicKey, stored.algorithm),
+      label: options.label || stored.label || null,
+      algorithm: stored.algorithm,
+      createdAt: Date.now(),
+      publicKey: stored.publicKey,
+    };
+    for (const field of METADATA_FIELDS) {
+      if (stored[field] !== undefined) {
+        entry[field] = stored[field];
+      }
+    }
+    if (stored.encryptedPrivateKey) {
+      entry.encryptedPrivateKey = stored.encryptedPrivateKey;
+    } else {
+      entry.privateKey = stored.privateKey;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Generate a key pair and add it to the keyring
+   * @param {Object} [options] - Options (see add())
+   * @param {string} [options.algorithm='ML-KEM-1024'] - Algorithm to use
+   * @param {number|string|Date} [options.expiresAt] - Expiry time of the key
+   * @param {string} [options.owner] - Owner of the key
+   * @param {string[]} [options.usage] - Permitted usages ('encrypt', 'decrypt')
+   * @returns {Promise<Object>} Description of the stored key
+   */
+  async generate(options = {}) {
+    const keyPair = await generateKeyPair(options.algorithm, {
+      expiresAt: options.expiresAt,
+      owner: options.owner,
+      usage: options.usage,
+    });
+    return this.add(keyPair, options);
+  }
+
+  /**
+   * Add a key pair to the keyring
+   * Accepts a key pair or exportKeyPair() output; passphrase-protected exports
+   * are checked (container format and scrypt cost, see
+   * assertEncryptedPrivateKey()) and stored as they are. Key metadata (expiry, owner, usage and rotation
+   * links) is kept; the key's own label is used unless one is given.
+   * @param {Object} keyData - Key pair or exported key pair
+   * @param {Object} [options] - Options
+   * @param {string} [options.label] - Unique human-readable label
+   * @param {string} [options.passphrase] - Passphrase protecting the stored private key
+   * @param {boolean} [options.setDefault=false] - Make this the default key (the first key always is)
+   * @returns {Promise<Object>} Description of the stored key
+   */
+  async add(keyData, options = {}) {
+    const entry = await this._createEntry(keyData, options);
+
+    return this._update((data) => {
+      if (data.keys.some((existing) => existing.id === entry.id)) {
+        throw new Error(`Key already in keyring: ${entry.id}`);
+      }
+
+      if (entry.label && this._find(data, entry.label)) {
+        throw new Error(`Label already in use: ${entry.label}`);
+      }
+
+      data.keys.push(entry);
+      if (options.setDefault || !data.defaultKeyId) {
+        data.defaultKeyId = entry.id;
+      }
+
+      return describeEntry(entry, data.defaultKeyId);
+    });
+  }
+
+  /**
+   * List stored keys (without private key material)
+   * @returns {Promise<Object[]>} Key descriptions
+   */
+  async list() {
+    const data = await this._load();
+    return data.keys.map((entry) => describeEntry(entry, data.defaultKeyId));
+  }
+
+  /**
+   * Look up a stored key
+   * @param {string} idOrLabel - Key ID or label
+   * @returns {Promise<Object|null>} Key description, or null if not found
+   */
+  async get(idOrLabel) {
+    const data = await this._load();
+    const entry = this._find(data, idOrLabel);
+    return entry ? describeEntry(entry, data.defaultKeyId) : null;
+  }
+
+  /**
+   * Get the default key
+   * @returns {Promise<Object|null>} Key description, or null if the keyring is empty
+   */
+  async getDefault() {
+    const data = await this._load();
+    const entry = data.keys.find((key) => key.id === data.defaultKeyId);
+    return entry ? describeEntry(entry, data.defaultKeyId) : null;
+  }
+
+  /**
+   * Get a stored key pair including its private key
+   * @param {string} [idOrLabel] - Key ID or label (default: the default key)
+   * @param {Object} [options] - Options
+   * @param {string} [options.passphrase] - Passphrase for a protected private key
+   * @returns {Promise<{publicKey: string, privateKey: string, algorithm: string}>} Key pair
+   */
+  async getKeyPair(idOrLabel, options = {}) {
+    const data = await this._load();
+    const entry = this._find(data, idOrLabel || data.defaultKeyId);
+    if (!entry) {
+      throw new Error(`Key not found: ${idOrLabel || '(default)'}`);
+    }
+
+    return importKeyPair(entry, { passphrase: options.passphrase });
+  }
+
+  /**
+   * Make a stored key the default
+   * @param {string} idOrLabel - Key ID or label
+   * @returns {Promise<Object>} Description of the new default key
+   */
+  async setDefault(idOrLabel) {
+    return this._update((data) => {
+      const entry = this._find(data, idOrLabel);
+      if (!entry) {
+        throw new Error(`Key not found: ${idOrLabel}`);
+      }
+
+      data.defaultKeyId = entry.id;
+      return describeEntry(entry, data.defaultKeyId);
+    });
+  }
+
+  /**
+   * Rotate a stored key
+   * Generates a successor (see rotateKeyPair()) that takes over the label and,
+   * if the old key was the default, the default. The old key stays in the
+   * keyring as a decrypt-only key so earlier messages remain readable.
+   * @param {string} [idOrLabel] - Key ID or label (default: the default key)
+   * @param {Object} [options] - Options
+   * @param {string} [options.passphrase] - Passphrase for a protected key; also protects the successor
+   * @param {string} [options.algorithm] - Algorithm of the successor (default: the old key's)
+   * @param {number|string|Date} [options.expiresAt] - Expiry time of the successor
+   * @returns {Promise<Object>} Description of the successor
+   */
+  async rotate(idOrLabel, options = {}) {
+    const keyPair = await this.getKeyPair(idOrLabel, options);
+    if (keyPair.supersededBy) {
+      throw new Error(`Key already rotated: ${getKeyId(keyPair)}`);
+    }
+
+    const { keyPair: successor, previous } = await rotateKeyPair(keyPair, {
+      algorithm: options.algorithm,
+      expiresAt: options.expiresAt,
+    });
+    const entry = await this._createEntry(successor, options);
+
+    return this._update((data) => {
+      const old = data.keys.find((key) => key.id === successor.replaces);
+      if (!old || old.supersededBy) {
+        throw new Error(
+          `Key not found or already rotated: ${successor.replaces}`
+        );
+      }
+
+      old.usage = previous.usage;
+      old.supersededBy = previous.supersededBy;
+      old.label = null;
+
+      data.keys.push(entry);
+      if (data.defaultKeyId === old.id) {
+        data.defaultKeyId = entry.id;
+      }
+
+      return describeEntry(entry, data.defaultKeyId);
+    });
+  }
+
+  /**
+   * Remove a stored key
+   * If it was the default, the oldest remaining key becomes the default.
+   * @param {string} idOrLabel - Key ID or label
+   * @returns {Promise<boolean>} True if a key was removed
+   */
+  async remove(idOrLabel) {
+    return this._update((data) => {
+      const entry = this._find(data, idOrLabel);
+      if (!entry) {
+        return false;
+      }
+
+      data.keys = data.keys.filter((key) => key !== entry);
+      if (data.defaultKeyId === entry.id) {
+        data.defaultKeyId = data.keys.length ? data.keys[0].id : null;
+      }
+
+      return true;
+    });
+  }
+
+  /**
+   * Get candidate private keys for decrypting a message
+   * Used by decrypt() when a Keyring is passed instead of a private key. The
+   * default key is tried first; protected keys are included only when the
+   * passphrase unlocks them.
+   * @param {Object} criteria - Message properties
+   * @param {string} criteria.algorithm - KEM algorithm of the message
+   * @param {string[]|null} [criteria.keyIds] - Recipient key IDs named by the message; only these keys are returned
+   * @param {Object} [options] - Options
+   * @param {string} [options.passphrase] - Passphrase for protected keys
+   * @returns {Promise<string[]>} Private keys (Base64)
+   */
+  async getDecryptionKeys(criteria, options = {}) {
+    const data = await this._load();
+    const entries = data.keys
+      .filter(
+        (entry) =>
+          entry.algorithm === criteria.algorithm &&
+          (!criteria.keyIds || criteria.keyIds.includes(entry.id))
+      )
+      .sort(
+        (a, b) => (b.id === data.defaultKeyId) - (a.id === data.defaultKeyId)
+      );
+
+    const privateKeys = [];
+    let locked = 0;
+    for (const entry of entries) {
+      if (!entry.encryptedPrivateKey) {
+        privateKeys.push(entry.privateKey);
+        continue;
+      }
+
+      if (!options.passphrase) {
+        locked++;
+        continue;
+      }
+
+      try {
+        const keyPair = await importKeyPair(entry, {
+          passphrase: options.passphrase,
+        });
+        privateKeys.push(keyPair.privateKey);
+      } catch {
+        locked++;
+      }
+    }
+
+    if (!privateKeys.length && locked) {
+      throw new Error(
+        `Keyring ${criteria.algorithm} keys are passphrase-protected; a valid passphrase is required`
+      );
+    }
+
+    return privateKeys;
+  }
+}
@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Message helpers shared by encryption and signing
+ * Handles payload encoding, content type markers and option normalization
+ */
+
+// Payload content types carried in the envelope `ct` field
+const CONTENT_TYPE_TEXT = 'text';
+const CONTENT_TYPE_BINARY = 'binary';
+
+/**
+ * Convert a message into plaintext bytes and its content type marker
+ * @param {string|Uint8Array} message - Text or binary message
+ * @returns {{plaintext: Uint8Array, contentType: string}} Encoded payload
+ */
+export function encodePayload(message) {
+  if (message instanceof Uint8Array) {
+    return { plaintext: message, contentType: CONTENT_TYPE_BINARY };
+  }
+
+  if (typeof message !== 'string') {
+    throw new Error('Message must be a string or Uint8Array');
+  }
+
+  return {
+    plaintext: new TextEncoder().encode(message),
+    contentType: CONTENT_TYPE_TEXT,
+  };
+}
+
+/**
+ * Convert decrypted plaintext bytes back into the original message type
+ * @param {Uint8Array} plaintext - Decrypted bytes
+ * @param {string} [contentType] - Content type marker (text when absent)
+ * @returns {string|Uint8Array} Decoded message
+ */
+export function decodePayload(plaintext, contentType = CONTENT_TYPE_TEXT) {
+  if (contentType === CONTENT_TYPE_BINARY) {
+    return plaintext;
+  }
+
+  if (contentType !== CONTENT_TYPE_TEXT) {
+    throw new Error(`Unsupported content type: ${contentType}`);
+  }
+
+  return new TextDecoder().decode(plaintext);
+}
+
+/**
+ * Normalize the algorithm-or-options argument of encrypt()/decrypt()
+ * @param {string|Object|null} [algorithmOrOptions] - Algorithm name or options object
+ * @param {string|null} defaultAlgorithm - Algorithm used when none is given
+ * @returns {{algorithm: string|null, aad?: string|Uint8Array, context?: string}} Options
+ */
+export function resolveOptions(algorithmOrOptions, defaultAlgorithm) {
+  if (algorithmOrOptions && typeof algorithmOrOptions === 'object') {
+    return {
+      ...algorithmOrOptions,
+      algorithm: algorithmOrOptions.algorithm || defaultAlgorithm,
+    };
+  }
+
+  return { algorithm: algorithmOrOptions || defaultAlgorithm };
+}
+
+/**
+ * Convert caller-supplied associated data to bytes
+ * @param {string|Uint8Array} [aad] - Associated data
+ * @returns {Uint8Array} Associated data bytes (empty when absent)
+ */
+export function encodeAssociatedData(aad) {
+  if (aad === undefined || aad === null) {
+    return new Uint8Array(0);
+  }
+
+  if (aad instanceof Uint8Array) {
+    return aad;
+  }
+
+  if (typeof aad !== 'string') {
+    throw new Error('Associated data must be a string or Uint8Array');
+  }
+
+  return new TextEncoder().encode(aad);
+}
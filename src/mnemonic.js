@@ -0,0 +1,120 @@
+/**
+ * @fileoverview Recovery phrases for deterministic key pairs
+ * A 24-word BIP39 phrase encodes 256 bits of entropy; HKDF expands the
+ * entropy into the key generation seed of each algorithm
+ */
+
+import {
+  generateMnemonic as generateBip39Mnemonic,
+  mnemonicToEntropy,
+  validateMnemonic as validateBip39Mnemonic,
+} from '@scure/bip39';
+import { wordlist } from '@scure/bip39/wordlists/english.js';
+import { HKDF, CryptoUtils } from './crypto-utils.js';
+import { generateKeyPair, getKeySizes } from './key-manager.js';
+
+// Entropy encoded by a recovery phrase: 256 bits + 8 checksum bits = 24 words
+const MNEMONIC_STRENGTH = 256;
+const MNEMONIC_WORDS = 24;
+
+// HKDF salt separating recovery seeds from other uses of the entropy
+const MNEMONIC_SALT = new TextEncoder().encode(
+  'post-quantum-helper/mnemonic-seed'
+);
+
+/**
+ * Normalize a recovery phrase as typed by a user
+ * @param {string} mnemonic - Recovery phrase
+ * @returns {string} Lower-case words separated by single spaces
+ */
+function normalizeMnemonic(mnemonic) {
+  if (typeof mnemonic !== 'string') {
+    throw new Error('Recovery phrase must be a string');
+  }
+
+  return mnemonic.trim().toLowerCase().split(/\s+/).join(' ');
+}
+
+/**
+ * Generate a new random recovery phrase
+ * @returns {string} 24 words from the BIP39 English list
+ */
+export function generateMnemonic() {
+  return generateBip39Mnemonic(wordlist, MNEMONIC_STRENGTH);
+}
+
+/**
+ * Check whether a recovery phrase is well-formed
+ * Verifies the word list and the BIP39 checksum, so most typos are caught.
+ * @param {string} mnemonic - Recovery phrase
+ * @returns {boolean} True if valid
+ */
+export function validateMnemonic(mnemonic) {
+  try {
+    const words = normalizeMnemonic(mnemonic);
+    return (
+      words.split(' ').length === MNEMONIC_WORDS &&
+      validateBip39Mnemonic(words, wordlist)
+    );
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Derive the key generation seed for an algorithm from a recovery phrase
+ * The same phrase yields unrelated seeds for different algorithms.
+ * @param {string} mnemonic - Recovery phrase
+ * @param {string} [algorithm='ML-KEM-1024'] - Algorithm the seed is for
+ * @returns {Promise<Uint8Array>} Seed for generateKeyPair()
+ */
+export async function mnemonicToSeed(mnemonic, algorithm = 'ML-KEM-1024') {
+  if (!validateMnemonic(mnemonic)) {
+    throw new Error('Invalid recovery phrase');
+  }
+
+  const { seedSize } = getKeySizes(algorithm);
+  const entropy = mnemonicToEntropy(normalizeMnemonic(mnemonic), wordlist);
+
+  try {
+    return await HKDF.derive(entropy, MNEMONIC_SALT, algorithm, seedSize);
+  } finally {
+    CryptoUtils.secureClear(entropy);
+  }
+}
+
+/**
+ * Derive a master seed for per-context key derivation from a recovery phrase
+ * The master seed is unrelated to the phrase's own key pair seeds.
+ * @param {string} mnemonic - Recovery phrase
+ * @returns {Promise<Uint8Array>} 32-byte master seed for deriveContextKeyPair()
+ */
+export async function mnemonicToMasterSeed(mnemonic) {
+  if (!validateMnemonic(mnemonic)) {
+    throw new Error('Invalid recovery phrase');
+  }
+
+  const entropy = mnemonicToEntropy(normalizeMnemonic(mnemonic), wordlist);
+
+  try {
+    return await HKDF.derive(entropy, MNEMONIC_SALT, 'master-seed', 32);
+  } finally {
+    CryptoUtils.secureClear(entropy);
+  }
+}
+
+/**
+ * Restore the key pair belonging to a recovery phrase
+ * @param {string} mnemonic - Recovery phrase
+ * @param {string} [algorithm='ML-KEM-1024'] - Algorithm of the key pair
+ * @returns {Promise<{publicKey: string, privateKey: string, algorithm: string, seed: string}>} Key pair
+ */
+export async function keyPairFromMnemonic(mnemonic, algorithm = 'ML-KEM-1024') {
+  const seed = await mnemonicToSeed(mnemonic, algorithm);
+
+  try {
+    return await generateKeyPair(algorithm, { seed });
+  } finally {
+    CryptoUtils.secureClear(seed);
+  }
+}
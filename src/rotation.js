@@ -0,0 +1,69 @@
+/**
+ * @fileoverview Key rotation
+ * A rotated key pair is replaced by a successor for new messages and kept
+ * decrypt-only, so messages already encrypted to it stay readable
+ */
+
+import { generateKeyPair, getKeyStatus } from './key-manager.js';
+import { getKeyId } from './fingerprint.js';
+
+/**
+ * Generate the successor of a key pair
+ * The successor gets the predecessor's algorithm, label and owner unless
+ * overridden and records the predecessor's key ID in `replaces`. The
+ * returned predecessor is limited to decryption and records the successor's
+ * key ID in `supersededBy`; keep it (e.g. in the keyring) to read old
+ * messages and publish the successor's public key.
+ * @param {{publicKey: string, privateKey: string, algorithm: string}} keyPair - Key pair to rotate, with optional metadata
+ * @param {Object} [options] - Rotation options
+ * @param {string} [options.algorithm] - Algorithm of the successor (default: the predecessor's)
+ * @param {number|string|Date} [options.expiresAt] - Expiry time of the successor
+ * @param {string} [options.label] - Label of the successor (default: the predecessor's)
+ * @param {string} [options.owner] - Owner of the successor (default: the predecessor's)
+ * @returns {Promise<{keyPair: Object, previous: Object}>} Successor and decrypt-only predecessor
+ */
+export async function rotateKeyPair(keyPair, options = {}) {
+  if (!keyPair || !keyPair.publicKey || !keyPair.privateKey) {
+    throw new Error('Key rotation requires a key pair with a private key');
+  }
+
+  const algorithm = keyPair.algorithm || 'ML-KEM-1024';
+  const successor = await generateKeyPair(options.algorithm || algorithm, {
+    expiresAt: options.expiresAt,
+    label: options.label || keyPair.label,
+    owner: options.owner || keyPair.owner,
+    usage: ['encrypt', 'decrypt'],
+    replaces: getKeyId(keyPair.publicKey, algorithm),
+  });
+
+  return {
+    keyPair: successor,
+    previous: {
+      ...keyPair,
+      algorithm,
+      usage: ['decrypt'],
+      supersededBy: getKeyId(successor),
+    },
+  };
+}
+
+/**
+ * Check whether a key is due for rotation
+ * Keys that have already been replaced (decrypt-only) are never due.
+ * @param {Object} keyData - Key pair, export or keyring key with optional metadata
+ * @param {Object} [options] - Policy options
+ * @param {number} [options.within=0] - Also rotate keys expiring within this many milliseconds
+ * @param {number} [options.now=Date.now()] - Current time in milliseconds
+ * @returns {boolean} True if the key has expired or expires within the window
+ */
+export function needsRotation(keyData, options = {}) {
+  if (
+    keyData.supersededBy ||
+    (Array.isArray(keyData.usage) && !keyData.usage.includes('encrypt'))
+  ) {
+    return false;
+  }
+
+  const now = options.now === undefined ? Date.now() : options.now;
+  return getKeyStatus(keyData, now + (options.within || 0)) === 'expired';
+}
@@ -0,0 +1,150 @@
+/**
+ * @fileoverview Shamir secret sharing over GF(2^8)
+ * Each byte of the secret is the constant term of a random polynomial of
+ * degree threshold - 1; share i holds the polynomials evaluated at x = i.
+ * Any threshold shares recover the secret by Lagrange interpolation at 0;
+ * fewer reveal nothing about it.
+ */
+
+import { SecureRandom, CryptoUtils } from './crypto-utils.js';
+
+// Share indices are the non-zero field elements
+const MAX_SHARES = 255;
+
+// GF(2^8) with the AES polynomial x^8 + x^4 + x^3 + x + 1, generator 3
+const EXP = new Uint8Array(510);
+const LOG = new Uint8Array(256);
+
+for (let i = 0, x = 1; i < 255; i++) {
+  EXP[i] = x;
+  EXP[i + 255] = x;
+  LOG[x] = i;
+  x ^= (x << 1) ^ (x & 0x80 ? 0x11b : 0);
+}
+
+/**
+ * Multiply two field elements
+ * @param {number} a - Field element
+ * @param {number} b - Field element
+ * @returns {number} a * b
+ */
+function multiply(a, b) {
+  return a && b ? EXP[LOG[a] + LOG[b]] : 0;
+}
+
+/**
+ * Divide two field elements
+ * @param {number} a - Field element
+ * @param {number} b - Non-zero field element
+ * @returns {number} a / b
+ */
+function divide(a, b) {
+  return a ? EXP[LOG[a] + 255 - LOG[b]] : 0;
+}
+
+/**
+ * Split a secret into shares
+ * @param {Uint8Array} secret - Secret bytes
+ * @param {number} threshold - Number of shares needed to recover the secret (2 or more)
+ * @param {number} shareCount - Number of shares to create (threshold to 255)
+ * @returns {{index: number, data: Uint8Array}[]} Shares, with indices 1 to shareCount
+ */
+export function splitSecret(secret, threshold, shareCount) {
+  if (!(secret instanceof Uint8Array) || !secret.length) {
+    throw new Error('Secret must be a non-empty Uint8Array');
+  }
+
+  if (!Number.isInteger(threshold) || threshold < 2) {
+    throw new Error('Threshold must be an integer of at least 2');
+  }
+
+  if (
+    !Number.isInteger(shareCount) ||
+    shareCount < threshold ||
+    shareCount > MAX_SHARES
+  ) {
+    throw new Error(
+      `Share count must be an integer from the threshold to ${MAX_SHARES}`
+    );
+  }
+
+  const shares = Array.from({ length: shareCount }, (_, i) => ({
+    index: i + 1,
+    data: new Uint8Array(secret.length),
+  }));
+
+  // coefficients[0] is the secret byte, the rest are random
+  const coefficients = new Uint8Array(threshold);
+
+  try {
+    for (let byte = 0; byte < secret.length; byte++) {
+      coefficients[0] = secret[byte];
+      coefficients.set(SecureRandom.getRandomBytes(threshold - 1), 1);
+
+      for (const share of shares) {
+        // Horner's rule
+        let y = 0;
+        for (let c = threshold - 1; c >= 0; c--) {
+          y = multiply(y, share.index) ^ coefficients[c];
+        }
+        share.data[byte] = y;
+      }
+    }
+  } finally {
+    CryptoUtils.secureClear(coefficients);
+  }
+
+  return shares;
+}
+
+/**
+ * Recover a secret from shares
+ * The caller must supply at least the threshold number of shares; with fewer
+ * the result is unrelated to the secret, so secrets should carry their own
+ * integrity check.
+ * @param {{index: number, data: Uint8Array}[]} shares - Shares from splitSecret()
+ * @returns {Uint8Array} Secret bytes
+ */
+export function combineSecret(shares) {
+  if (!Array.isArray(shares) || shares.length < 2) {
+    throw new Error('At least 2 shares are required');
+  }
+
+  const length = shares[0].data.length;
+  const seen = new Set();
+
+  for (const { index, data } of shares) {
+    if (!Number.isInteger(index) || index < 1 || index > MAX_SHARES) {
+      throw new Error(`Invalid share index: ${index}`);
+    }
+    if (seen.has(index)) {
+      throw new Error(`Duplicate share index: ${index}`);
+    }
+    if (!(data instanceof Uint8Array) || data.length !== length) {
+      throw new Error('Shares must have the same length');
+    }
+    seen.add(index);
+  }
+
+  // Lagrange basis polynomials evaluated at x = 0
+  const weights = shares.map(({ index }, i) => {
+    let weight = 1;
+    shares.forEach((other, j) => {
+      if (i !== j) {
+        weight = multiply(weight, divide(other.index, index ^ other.index));
+      }
+    });
+    return weight;
+  });
+
+  const secret = new Uint8Array(length);
+  for (let byte = 0; byte < length; byte++) {
+    let value = 0;
+    shares.forEach(({ data }, i) => {
+      value ^= multiply(weights[i], data[byte]);
+    });
+    secret[byte] = value;
+  }
+
+  return secret;
+}
@@ -0,0 +1,387 @@
+/**
+ * @fileoverview Post-quantum digital signatures
+ * Uses ML-DSA (FIPS 204, CRYSTALS-Dilithium) for signing and verification
+ */
+
+import { ml_dsa65, ml_dsa87 } from '@noble/post-quantum/ml-dsa.js';
+import { Base64, CryptoUtils } from './crypto-utils.js';
+import {
+  encodePayload,
+  decodePayload,
+  resolveOptions,
+} from './message-utils.js';
+
+// Key and signature size constants
+const ML_DSA_65_PUBLIC_KEY_SIZE = 1952;
+const ML_DSA_65_PRIVATE_KEY_SIZE = 4032;
+const ML_DSA_65_SIGNATURE_SIZE = 3309;
+const ML_DSA_87_PUBLIC_KEY_SIZE = 2592;
+const ML_DSA_87_PRIVATE_KEY_SIZE = 4896;
+const ML_DSA_87_SIGNATURE_SIZE = 4627;
+
+// Supported algorithms
+const SUPPORTED_ALGORITHMS = ['ML-DSA-87', 'ML-DSA-65'];
+const DEFAULT_ALGORITHM = 'ML-DSA-87';
+
+// Signed message format version
+const SIGNED_MESSAGE_VERSION = 1;
+
+/**
+ * Select the ML-DSA instance for an algorithm
+ * @param {string} algorithm - Algorithm name
+ * @returns {Object} ML-DSA instance
+ */
+function getDsaInstance(algorithm) {
+  if (algorithm === 'ML-DSA-87') {
+    return ml_dsa87;
+  } else if (algorithm === 'ML-DSA-65') {
+    return ml_dsa65;
+  }
+
+  throw new Error(
+    `Unsupported algorithm: ${algorithm}. Supported: ${SUPPORTED_ALGORITHMS.join(', ')}`
+  );
+}
+
+/**
+ * Convert a context label into ML-DSA context bytes
+ * @param {string} [context] - Context label
+ * @returns {{context: Uint8Array}|undefined} ML-DSA options
+ */
+function getSignatureOptions(context) {
+  if (context === undefined || context === null) {
+    return undefined;
+  }
+
+  if (typeof context !== 'string') {
+    throw new Error('Context must be a string');
+  }
+
+  const contextBytes = new TextEncoder().encode(context);
+  if (contextBytes.length > 255) {
+    throw new Error('Context must be at most 255 bytes');
+  }
+
+  return { context: contextBytes };
+}
+
+/**
+ * Build the bytes covered by an attached signature
+ * The header fields are serialized in a fixed order ahead of the payload.
+ * @param {Object} signedMessage - Signed message header fields
+ * @param {Uint8Array} payload - Message bytes
+ * @returns {Uint8Array} Signature input
+ */
+function getSignedBytes(signedMessage, payload) {
+  const header = new TextEncoder().encode(
+    JSON.stringify([
+      signedMessage.v,
+      signedMessage.alg,
+      signedMessage.ct,
+      signedMessage.t,
+    ])
+  );
+
+  return CryptoUtils.concatenate(header, payload);
+}
+
+/**
+ * Generate an ML-DSA signing key pair
+ * @param {string} [algorithm='ML-DSA-87'] - Algorithm to use ('ML-DSA-87' or 'ML-DSA-65')
+ * @returns {Promise<{publicKey: string, privateKey: string, algorithm: string}>} Key pair
+ */
+export async function generateSigningKeyPair(algorithm = DEFAULT_ALGORITHM) {
+  const dsa = getDsaInstance(algorithm);
+
+  try {
+    const keyPair = dsa.keygen();
+
+    return {
+      publicKey: Base64.encode(keyPair.publicKey),
+      privateKey: Base64.encode(keyPair.secretKey),
+      algorithm,
+    };
+  } catch (error) {
+    throw new Error(
+      `Failed to generate ${algorithm} key pair: ${error.message}`
+    );
+  }
+}
+
+/**
+ * Export signing key pair with metadata for storage
+ * @param {{publicKey: string, privateKey: string, algorithm: string}} keyPair - Key pair to export
+ * @returns {{publicKey: string, privateKey: string, algorithm: string, timestamp: number, version: string}}
+ */
+export function exportSigningKeyPair(keyPair) {
+  return {
+    publicKey: keyPair.publicKey,
+    privateKey: keyPair.privateKey,
+    algorithm: keyPair.algorithm,
+    timestamp: Date.now(),
+    version: '1.0.0',
+  };
+}
+
+/**
+ * Import signing key pair from exported data
+ * @param {Object} data - Exported key pair data
+ * @returns {{publicKey: string, privateKey: string, algorithm: string}} Imported key pair
+ */
+export function importSigningKeyPair(data) {
+  // Validate required fields
+  if (!data || typeof data !== 'object') {
+    throw new Error('Invalid key pair data: must be an object');
+  }
+
+  if (!data.publicKey || typeof data.publicKey !== 'string') {
+    throw new Error('Invalid key pair data: missing or invalid publicKey');
+  }
+
+  if (!data.privateKey || typeof data.privateKey !== 'string') {
+    throw new Error('Invalid key pair data: missing or invalid privateKey');
+  }
+
+  const algorithm = data.algorithm || DEFAULT_ALGORITHM;
+
+  // Validate algorithm
+  if (!SUPPORTED_ALGORITHMS.includes(algorithm)) {
+    throw new Error(
+      `Unsupported algorithm: ${algorithm}. Supported: ${SUPPORTED_ALGORITHMS.join(', ')}`
+    );
+  }
+
+  return {
+    publicKey: data.publicKey,
+    privateKey: data.privateKey,
+    algorithm,
+  };
+}
+
+/**
+ * Validate a signing public key format and size
+ * @param {string} publicKey - Base64 encoded public key
+ * @param {string} [algorithm='ML-DSA-87'] - Expected algorithm
+ * @returns {boolean} True if valid
+ */
+export function validateSigningPublicKey(
+  publicKey,
+  algorithm = DEFAULT_ALGORITHM
+) {
+  try {
+    if (!publicKey || typeof publicKey !== 'string') {
+      return false;
+    }
+
+    if (!/^[A-Za-z0-9+/]+=*$/.test(publicKey)) {
+      return false;
+    }
+
+    const keyBytes = Base64.decode(publicKey);
+    return keyBytes.length === getSignatureSizes(algorithm).publicKeySize;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Get key and signature size information for a signature algorithm
+ * @param {string} algorithm - Algorithm name
+ * @returns {{publicKeySize: number, privateKeySize: number, signatureSize: number}} Sizes in bytes
+ */
+export function getSignatureSizes(algorithm = DEFAULT_ALGORITHM) {
+  if (algorithm === 'ML-DSA-87') {
+    return {
+      publicKeySize: ML_DSA_87_PUBLIC_KEY_SIZE,
+      privateKeySize: ML_DSA_87_PRIVATE_KEY_SIZE,
+      signatureSize: ML_DSA_87_SIGNATURE_SIZE,
+    };
+  } else if (algorithm === 'ML-DSA-65') {
+    return {
+      publicKeySize: ML_DSA_65_PUBLIC_KEY_SIZE,
+      privateKeySize: ML_DSA_65_PRIVATE_KEY_SIZE,
+      signatureSize: ML_DSA_65_SIGNATURE_SIZE,
+    };
+  } else {
+    throw new Error(`Unknown algorithm: ${algorithm}`);
+  }
+}
+
+/**
+ * Create a detached signature over a message
+ * @param {string|Uint8Array} message - Message to sign
+ * @param {string} privateKey - Signer's private key (Base64)
+ * @param {string|Object} [algorithmOrOptions='ML-DSA-87'] - Algorithm name or options object
+ * @param {string} [algorithmOrOptions.algorithm='ML-DSA-87'] - Algorithm to use
+ * @param {string} [algorithmOrOptions.context] - ML-DSA context string (max 255 bytes)
+ * @returns {Promise<string>} Signature (Base64)
+ */
+export async function signDetached(
+  message,
+  privateKey,
+  algorithmOrOptions = DEFAULT_ALGORITHM
+) {
+  try {
+    const { algorithm, context } = resolveOptions(
+      algorithmOrOptions,
+      DEFAULT_ALGORITHM
+    );
+
+    if (!privateKey || typeof privateKey !== 'string') {
+      throw new Error('Invalid private key');
+    }
+
+    const { plaintext } = encodePayload(message);
+    const signature = getDsaInstance(algorithm).sign(
+      plaintext,
+      Base64.decode(privateKey),
+      getSignatureOptions(context)
+    );
+
+    return Base64.encode(signature);
+  } catch (error) {
+    throw new Error(`Signing failed: ${error.message}`);
+  }
+}
+
+/**
+ * Verify a detached signature over a message
+ * @param {string|Uint8Array} message - Signed message
+ * @param {string} signature - Signature (Base64)
+ * @param {string} publicKey - Signer's public key (Base64)
+ * @param {string|Object} [algorithmOrOptions='ML-DSA-87'] - Algorithm name or options object (see signDetached())
+ * @returns {Promise<boolean>} True if the signature is valid
+ */
+export async function verifyDetached(
+  message,
+  signature,
+  publicKey,
+  algorithmOrOptions = DEFAULT_ALGORITHM
+) {
+  try {
+    const { algorithm, context } = resolveOptions(
+      algorithmOrOptions,
+      DEFAULT_ALGORITHM
+    );
+
+    if (!signature || typeof signature !== 'string') {
+      return false;
+    }
+
+    if (!publicKey || typeof publicKey !== 'string') {
+      return false;
+    }
+
+    const { plaintext } = encodePayload(message);
+    return getDsaInstance(algorithm).verify(
+      Base64.decode(signature),
+      plaintext,
+      Base64.decode(publicKey),
+      getSignatureOptions(context)
+    );
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Sign a message and bundle it with its signature
+ * @param {string|Uint8Array} message - Text or binary message to sign
+ * @param {string} privateKey - Signer's private key (Base64)
+ * @param {string|Object} [algorithmOrOptions='ML-DSA-87'] - Algorithm name or options object (see signDetached())
+ * @returns {Promise<string>} Signed message as JSON string
+ */
+export async function sign(
+  message,
+  privateKey,
+  algorithmOrOptions = DEFAULT_ALGORITHM
+) {
+  try {
+    const { algorithm, context } = resolveOptions(
+      algorithmOrOptions,
+      DEFAULT_ALGORITHM
+    );
+
+    if (!privateKey || typeof privateKey !== 'string') {
+      throw new Error('Invalid private key');
+    }
+
+    const { plaintext, contentType } = encodePayload(message);
+    const signedMessage = {
+      v: SIGNED_MESSAGE_VERSION,
+      alg: algorithm,
+      ct: contentType,
+      t: Date.now(),
+    };
+
+    const signature = getDsaInstance(algorithm).sign(
+      getSignedBytes(signedMessage, plaintext),
+      Base64.decode(privateKey),
+      getSignatureOptions(context)
+    );
+
+    signedMessage.m = Base64.encode(plaintext);
+    signedMessage.sig = Base64.encode(signature);
+
+    return JSON.stringify(signedMessage);
+  } catch (error) {
+    throw new Error(`Signing failed: ${error.message}`);
+  }
+}
+
+/**
+ * Verify a signed message and return its content
+ * @param {string} signedContent - Signed message (JSON string)
+ * @param {string} publicKey - Expected signer's public key (Base64)
+ * @param {Object} [options] - Options
+ * @param {string} [options.context] - ML-DSA context string given to sign()
+ * @returns {Promise<string|Uint8Array>} Verified message (Uint8Array for binary payloads)
+ */
+export async function verify(signedContent, publicKey, options = {}) {
+  try {
+    if (!signedContent || typeof signedContent !== 'string') {
+      throw new Error('Invalid signed content');
+    }
+
+    if (!publicKey || typeof publicKey !== 'string') {
+      throw new Error('Invalid public key');
+    }
+
+    let signedMessage;
+    try {
+      signedMessage = JSON.parse(signedContent);
+    } catch {
+      throw new Error('Invalid signed message format');
+    }
+
+    if (
+      !signedMessage.v ||
+      !signedMessage.alg ||
+      !signedMessage.ct ||
+      typeof signedMessage.m !== 'string' ||
+      !signedMessage.sig
+    ) {
+      throw new Error('Missing required fields in signed message');
+    }
+
+    if (signedMessage.v !== SIGNED_MESSAGE_VERSION) {
+      throw new Error(`Unsupported message version: ${signedMessage.v}`);
+    }
+
+    const payload = Base64.decode(signedMessage.m);
+    const valid = getDsaInstance(signedMessage.alg).verify(
+      Base64.decode(signedMessage.sig),
+      getSignedBytes(signedMessage, payload),
+      Base64.decode(publicKey),
+      getSignatureOptions(options.context)
+    );
+
+    if (!valid) {
+      throw new Error('Invalid signature');
+    }
+
+    return decodePayload(payload, signedMessage.ct);
+  } catch (error) {
+    throw new Error(`Verification failed: ${error.message}`);
+  }
+}
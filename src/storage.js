@@ -0,0 +1,221 @@
+/**
+ * @fileoverview File storage helpers for local key material
+ * Atomic writes, advisory lock files and owner-only permissions
+ */
+
+import {
+  mkdir,
+  open,
+  readFile,
+  rename,
+  rm,
+  stat,
+  chmod,
+} from 'node:fs/promises';
+import { homedir } from 'node:os';
+import { join, dirname, basename } from 'node:path';
+import { randomBytes } from 'node:crypto';
+import { setTimeout as delay } from 'node:timers/promises';
+
+// Permissions for key storage
+const DIRECTORY_MODE = 0o700;
+const FILE_MODE = 0o600;
+
+// Lock defaults
+const LOCK_RETRY_DELAY = 50;
+const DEFAULT_LOCK_TIMEOUT = 5000;
+const DEFAULT_STALE_LOCK_AGE = 30000;
+
+/**
+ * Get the default storage directory
+ * `QUANTUM_HOME` overrides the default of `~/.quantum`.
+ * @returns {string} Directory path
+ */
+export function getDefaultDirectory() {
+  return process.env.QUANTUM_HOME || join(homedir(), '.quantum');
+}
+
+/**
+ * Create a directory readable only by its owner
+ * @param {string} directory - Directory path
+ * @returns {Promise<void>}
+ */
+export async function ensureDirectory(directory) {
+  await mkdir(directory, { recursive: true, mode: DIRECTORY_MODE });
+}
+
+/**
+ * Read and parse a JSON file
+ * @param {string} path - File path
+ * @param {*} fallback - Value returned when the file does not exist
+ * @returns {Promise<*>} Parsed content
+ */
+export async function readJsonFile(path, fallback) {
+  let content;
+  try {
+    content = await readFile(path, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return fallback;
+    }
+    throw error;
+  }
+
+  try {
+    return JSON.parse(content);
+  } catch {
+    throw new Error(`Corrupted storage file: ${path}`);
+  }
+}
+
+/**
+ * Write a file atomically with owner-only permissions
+ * Data goes to a temporary file in the same directory, is flushed to disk
+ * and then renamed over the target, so readers never see a partial file.
+ * @param {string} path - File path
+ * @param {string|Uint8Array} data - File content
+ * @returns {Promise<void>}
+ */
+export async function writeFileAtomic(path, data) {
+  const directory = dirname(path);
+  await ensureDirectory(directory);
+
+  const tempPath = join(
+    directory,
+    `.${basename(path)}.${process.pid}.${randomBytes(6).toString('hex')}.tmp`
+  );
+
+  const handle = await open(tempPath, 'wx', FILE_MODE);
+  try {
+    await handle.writeFile(data);
+    await handle.sync();
+  } catch (error) {
+    await handle.close();
+    await rm(tempPath, { force: true });
+    throw error;
+  }
+  await handle.close();
+
+  try {
+    // The umask may have narrowed the mode but never widens it; enforce 0600
+    await chmod(tempPath, FILE_MODE);
+    await rename(tempPath, path);
+  } catch (error) {
+    await rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Write a JSON file atomically with owner-only permissions
+ * @param {string} path - File path
+ * @param {*} value - Value to serialize
+ * @returns {Promise<void>}
+ */
+export async function writeJsonFile(path, value) {
+  await writeFileAtomic(path, `${JSON.stringify(value, null, 2)}\n`);
+}
+
+/**
+ * Remove a stale lock file, unless another waiter has replaced it
+ * Waiters remove stale locks one at a time, under a `<lock>.stale` guard
+ * file, and only if the lock is still the file that was judged stale.
+ * Otherwise a waiter could delete the lock another one has just taken.
+ * @param {string} lockPath - Lock file path
+ * @param {import('node:fs').Stats} lockStat - Stats of the stale lock
+ * @param {number} staleAge - Age in milliseconds after which a lock is considered stale
+ * @returns {Promise<boolean>} True if the stale lock was removed
+ */
+async function removeStaleLock(lockPath, lockStat, staleAge) {
+  const guardPath = `${lockPath}.stale`;
+
+  let guard;
+  try {
+    guard = await open(guardPath, 'wx', FILE_MODE);
+  } catch (error) {
+    if (error.code !== 'EEXIST') {
+      throw error;
+    }
+
+    // The guard is only held briefly; an old one was left by a crash
+    const guardStat = await stat(guardPath).catch(() => null);
+    if (guardStat && Date.now() - guardStat.mtimeMs > staleAge) {
+      await rm(guardPath, { force: true });
+    }
+    return false;
+  }
+
+  try {
+    const current = await stat(lockPath).catch(() => null);
+    if (
+      current &&
+      current.ino === lockStat.ino &&
+      current.mtimeMs === lockStat.mtimeMs
+    ) {
+      await rm(lockPath, { force: true });
+      return true;
+    }
+    return false;
+  } finally {
+    await guard.close();
+    await rm(guardPath, { force: true });
+  }
+}
+
+/**
+ * Run a function while holding an exclusive lock file
+ * The lock is a `<path>.lock` file created with O_EXCL. Locks older than
+ * `staleAge` are assumed to belong to a crashed process and are removed,
+ * taking care not to remove a lock another waiter has just taken.
+ * @param {string} path - Path of the file to lock
+ * @param {Function} fn - Async function to run while holding the lock
+ * @param {Object} [options] - Lock options
+ * @param {number} [options.timeout=5000] - Milliseconds to wait for the lock
+ * @param {number} [options.staleAge=30000] - Age in milliseconds after which a lock is considered stale
+ * @returns {Promise<*>} Result of fn
+ */
+export async function withFileLock(path, fn, options = {}) {
+  const timeout = options.timeout ?? DEFAULT_LOCK_TIMEOUT;
+  const staleAge = options.staleAge ?? DEFAULT_STALE_LOCK_AGE;
+  const lockPath = `${path}.lock`;
+  const deadline = Date.now() + timeout;
+
+  await ensureDirectory(dirname(path));
+
+  let handle;
+  while (!handle) {
+    try {
+      handle = await open(lockPath, 'wx', FILE_MODE);
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+
+      const lockStat = await stat(lockPath).catch(() => null);
+      if (
+        lockStat &&
+        Date.now() - lockStat.mtimeMs > staleAge &&
+        (await removeStaleLock(lockPath, lockStat, staleAge))
+      ) {
+        continue;
+      }
+
+      if (Date.now() >= deadline) {
+        throw new Error(`Timed out waiting for lock: ${lockPath}`);
+      }
+
+      await delay(LOCK_RETRY_DELAY);
+    }
+  }
+
+  try {
+    try {
+      await handle.writeFile(String(process.pid));
+    } finally {
+      await handle.close();
+    }
+    return await fn();
+  } finally {
+    await rm(lockPath, { force: true });
+  }
+}
@@ -0,0 +1,376 @@
+/**
+ * @fileoverview Streaming post-quantum encryption for large payloads
+ * Segmented ChaCha20-Poly1305 (STREAM construction) exposed as Node Transform streams
+ *
+ * Stream layout:
+ *   magic "PQHS" | u32 header length | header JSON | segment*
+ *   segment = u32 (final flag << 31 | ciphertext length) | ciphertext
+ *
+ * Each segment nonce is a 7-byte random prefix, a 32-bit segment counter and
+ * a final-segment flag byte, and the header is authenticated as associated
+ * data of every segment. Reordered, dropped, truncated or appended segments
+ * therefore fail to decrypt.
+ */
+
+import { Transform } from 'node:stream';
+import {
+  Base64,
+  ChaCha20Poly1305,
+  SecureRandom,
+  CryptoUtils,
+} from './crypto-utils.js';
+import { resolveOptions } from './message-utils.js';
+import {
+  getKeyInfo,
+  decodePublicKey,
+  encapsulateKey,
+  decapsulateKey,
+} from './kem.js';
+
+// Stream format constants
+const STREAM_MAGIC = new Uint8Array([0x50, 0x51, 0x48, 0x53]); // "PQHS"
+const STREAM_VERSION = 1;
+const STREAM_KEY_LABEL = 'ChaCha20-Poly1305-STREAM';
+const NONCE_PREFIX_SIZE = 7;
+const TAG_SIZE = 16;
+const FINAL_FLAG = 0x80000000;
+const MAX_HEADER_SIZE = 64 * 1024;
+const DEFAULT_CHUNK_SIZE = 64 * 1024;
+const MAX_CHUNK_SIZE = 16 * 1024 * 1024;
+
+/**
+ * Build the nonce for a segment
+ * @param {Uint8Array} prefix - 7-byte random nonce prefix
+ * @param {number} counter - Segment index
+ * @param {boolean} final - Whether this is the last segment
+ * @returns {Uint8Array} 12-byte nonce
+ */
+function segmentNonce(prefix, counter, final) {
+  const nonce = new Uint8Array(12);
+  nonce.set(prefix, 0);
+  new DataView(nonce.buffer).setUint32(NONCE_PREFIX_SIZE, counter);
+  nonce[11] = final ? 1 : 0;
+  return nonce;
+}
+
+/**
+ * Encode a 32-bit big-endian integer
+ * @param {number} value - Value to encode
+ * @returns {Uint8Array} 4 bytes
+ */
+function encodeUint32(value) {
+  const bytes = new Uint8Array(4);
+  new DataView(bytes.buffer).setUint32(0, value);
+  return bytes;
+}
+
+/**
+ * Validate the requested segment size
+ * @param {number} [chunkSize] - Plaintext bytes per segment
+ * @returns {number} Segment size
+ */
+function resolveChunkSize(chunkSize = DEFAULT_CHUNK_SIZE) {
+  if (
+    !Number.isInteger(chunkSize) ||
+    chunkSize < 1 ||
+    chunkSize > MAX_CHUNK_SIZE
+  ) {
+    throw new Error(
+      `Chunk size must be an integer between 1 and ${MAX_CHUNK_SIZE}`
+    );
+  }
+
+  return chunkSize;
+}
+
+/**
+ * Create a Transform stream that encrypts its input for a recipient
+ * @param {string} recipientPublicKey - Recipient's public key (Base64)
+ * @param {string|Object} [algorithmOrOptions='ML-KEM-1024'] - Algorithm name or options object
+ * @param {string} [algorithmOrOptions.algorithm='ML-KEM-1024'] - Algorithm to use
+ * @param {string} [algorithmOrOptions.context] - Context label mixed into the HKDF info
+ * @param {number} [algorithmOrOptions.chunkSize=65536] - Plaintext bytes per segment
+ * @returns {Transform} Encrypting stream (bytes in, encrypted stream out)
+ */
+export function createEncryptStream(
+  recipientPublicKey,
+  algorithmOrOptions = 'ML-KEM-1024'
+) {
+  const { algorithm, context, chunkSize } = resolveOptions(
+    algorithmOrOptions,
+    'ML-KEM-1024'
+  );
+  const segmentSize = resolveChunkSize(chunkSize);
+  const publicKeyBytes = decodePublicKey(recipientPublicKey);
+
+  let key = null;
+  let header = null;
+  let noncePrefix = null;
+  let counter = 0;
+  let buffered = new Uint8Array(0);
+
+  /**
+   * Encapsulate the stream key and emit the stream header
+   * @param {Transform} stream - Stream to push to
+   */
+  async function start(stream) {
+    const encapsulation = await encapsulateKey(
+      algorithm,
+      publicKeyBytes,
+      getKeyInfo(context, STREAM_KEY_LABEL)
+    );
+    key = encapsulation.key;
+    noncePrefix = SecureRandom.getRandomBytes(NONCE_PREFIX_SIZE);
+
+    header = new TextEncoder().encode(
+      JSON.stringify({
+        v: STREAM_VERSION,
+        alg: algorithm,
+        kem: Base64.encode(encapsulation.kemCiphertext),
+        s: Base64.encode(encapsulation.salt),
+        np: Base64.encode(noncePrefix),
+        cs: segmentSize,
+        t: Date.now(),
+      })
+    );
+
+    stream.push(
+      CryptoUtils.concatenate(STREAM_MAGIC, encodeUint32(header.length), header)
+    );
+  }
+
+  /**
+   * Encrypt and emit one segment
+   * @param {Transform} stream - Stream to push to
+   * @param {Uint8Array} plaintext - Segment plaintext
+   * @param {boolean} final - Whether this is the last segment
+   */
+  async function pushSegment(stream, plaintext, final) {
+    if (counter > 0xffffffff) {
+      throw new Error('Stream exceeds the maximum number of segments');
+    }
+
+    const ciphertext = await ChaCha20Poly1305.encrypt(
+      key,
+      segmentNonce(noncePrefix, counter, final),
+      plaintext,
+      header
+    );
+    counter++;
+
+    const frame = (final ? FINAL_FLAG : 0) | ciphertext.length;
+    stream.push(CryptoUtils.concatenate(encodeUint32(frame >>> 0), ciphertext));
+  }
+
+  return new Transform({
+    async transform(chunk, _encoding, callback) {
+      try {
+        if (!key) {
+          await start(this);
+        }
+
+        buffered = CryptoUtils.concatenate(buffered, chunk);
+
+        // Hold back the last segment so it can be flagged final on flush.
+        // Segments are views into the buffer; only the remainder is copied.
+        let offset = 0;
+        while (buffered.length - offset > segmentSize) {
+          await pushSegment(
+            this,
+            buffered.subarray(offset, offset + segmentSize),
+            false
+          );
+          offset += segmentSize;
+        }
+        buffered = buffered.slice(offset);
+
+        callback();
+      } catch (error) {
+        callback(new Error(`Encryption failed: ${error.message}`));
+      }
+    },
+
+    async flush(callback) {
+      try {
+        if (!key) {
+          await start(this);
+        }
+
+        await pushSegment(this, buffered, true);
+        CryptoUtils.secureClear(key);
+        callback();
+      } catch (error) {
+        callback(new Error(`Encryption failed: ${error.message}`));
+      }
+    },
+  });
+}
+
+/**
+ * Create a Transform stream that decrypts output of createEncryptStream()
+ * @param {string} privateKey - Private key (Base64)
+ * @param {string|Object} [algorithmOrOptions] - Algorithm name or options object (algorithm is auto-detected)
+ * @param {string} [algorithmOrOptions.algorithm] - Algorithm override
+ * @param {string} [algorithmOrOptions.context] - Context label given to createEncryptStream()
+ * @returns {Transform} Decrypting stream (encrypted stream in, bytes out)
+ */
+export function createDecryptStream(privateKey, algorithmOrOptions = null) {
+  const { algorithm, context } = resolveOptions(algorithmOrOptions, null);
+
+  if (!privateKey || typeof privateKey !== 'string') {
+    throw new Error('Invalid private key');
+  }
+
+  const privateKeyBytes = Base64.decode(privateKey);
+
+  let key = null;
+  let header = null;
+  let noncePrefix = null;
+  let maxSegmentSize = 0;
+  let counter = 0;
+  let finished = false;
+  let buffered = new Uint8Array(0);
+
+  /**
+   * Parse the stream header and recover the stream key
+   * @returns {Promise<boolean>} True once the header has been processed
+   */
+  async function readHeader() {
+    if (buffered.length < STREAM_MAGIC.length + 4) {
+      return false;
+    }
+
+    if (
+      !CryptoUtils.constantTimeEqual(
+        buffered.subarray(0, STREAM_MAGIC.length),
+        STREAM_MAGIC
+      )
+    ) {
+      throw new Error('Invalid encrypted stream format');
+    }
+
+    const view = new DataView(buffered.buffer, buffered.byteOffset);
+    const headerLength = view.getUint32(STREAM_MAGIC.length);
+    if (headerLength > MAX_HEADER_SIZE) {
+      throw new Error('Stream header is too large');
+    }
+
+    const headerEnd = STREAM_MAGIC.length + 4 + headerLength;
+    if (buffered.length < headerEnd) {
+      return false;
+    }
+
+    header = buffered.slice(STREAM_MAGIC.length + 4, headerEnd);
+    buffered = buffered.subarray(headerEnd);
+
+    let headerData;
+    try {
+      headerData = JSON.parse(new TextDecoder().decode(header));
+    } catch {
+      throw new Error('Invalid stream header');
+    }
+
+    if (headerData.v !== STREAM_VERSION) {
+      throw new Error(`Unsupported stream version: ${headerData.v}`);
+    }
+
+    if (
+      !headerData.alg ||
+      !headerData.kem ||
+      !headerData.s ||
+      !headerData.np ||
+      !headerData.cs
+    ) {
+      throw new Error('Missing required fields in stream header');
+    }
+
+    noncePrefix = Base64.decode(headerData.np);
+    if (noncePrefix.length !== NONCE_PREFIX_SIZE) {
+      throw new Error('Invalid stream nonce prefix');
+    }
+
+    maxSegmentSize = resolveChunkSize(headerData.cs) + TAG_SIZE;
+    key = await decapsulateKey(
+      algorithm || headerData.alg,
+      headerData.kem,
+      headerData.s,
+      privateKeyBytes,
+      getKeyInfo(context, STREAM_KEY_LABEL)
+    );
+
+    return true;
+  }
+
+  /**
+   * Decrypt and emit every complete segment in the buffer
+   * @param {Transform} stream - Stream to push to
+   */
+  async function readSegments(stream) {
+    // Read segments at an offset and copy only the incomplete remainder
+    let offset = 0;
+    while (buffered.length - offset >= 4) {
+      if (finished) {
+        throw new Error('Unexpected data after final segment');
+      }
+
+      const frame = new DataView(
+        buffered.buffer,
+        buffered.byteOffset + offset
+      ).getUint32(0);
+      const final = (frame & FINAL_FLAG) !== 0;
+      const length = frame & ~FINAL_FLAG;
+
+      if (length < TAG_SIZE || length > maxSegmentSize) {
+        throw new Error('Invalid segment length');
+      }
+
+      if (buffered.length - offset < 4 + length) {
+        break;
+      }
+
+      const plaintext = await ChaCha20Poly1305.decrypt(
+        key,
+        segmentNonce(noncePrefix, counter, final),
+        buffered.subarray(offset + 4, offset + 4 + length),
+        header
+      );
+      offset += 4 + length;
+      counter++;
+      finished = final;
+
+      if (plaintext.length) {
+        stream.push(plaintext);
+      }
+    }
+    buffered = buffered.slice(offset);
+  }
+
+  return new Transform({
+    async transform(chunk, _encoding, callback) {
+      try {
+        buffered = CryptoUtils.concatenate(buffered, chunk);
+
+        if (!key && !(await readHeader())) {
+          callback();
+          return;
+        }
+
+        await readSegments(this);
+        callback();
+      } catch (error) {
+        callback(new Error(`Decryption failed: ${error.message}`));
+      }
+    },
+
+    flush(callback) {
+      CryptoUtils.secureClear(key);
+
+      if (!finished || buffered.length) {
+        callback(new Error('Decryption failed: Encrypted stream is truncated'));
+        return;
+      }
+
+      callback();
+    },
+  });
+}
@@ -0,0 +1,211 @@
+/**
+ * @fileoverview X-Wing hybrid key encapsulation (ML-KEM-768 + X25519)
+ * Follows draft-connolly-cfrg-xwing-kem: confidentiality holds as long as
+ * either ML-KEM-768 or X25519 remains secure
+ */
+
+import {
+  createHash,
+  createPrivateKey,
+  createPublicKey,
+  diffieHellman,
+} from 'node:crypto';
+import { MlKem768 } from 'mlkem';
+import { SecureRandom, CryptoUtils } from './crypto-utils.js';
+
+// Component sizes
+const ML_KEM_768_PUBLIC_KEY_SIZE = 1184;
+const ML_KEM_768_CIPHERTEXT_SIZE = 1088;
+const X25519_KEY_SIZE = 32;
+const SEED_SIZE = 32;
+
+// X-Wing combiner label: "\./" "/^\"
+const XWING_LABEL = new Uint8Array([0x5c, 0x2e, 0x2f, 0x2f, 0x5e, 0x5c]);
+
+// DER prefixes wrapping raw X25519 keys for node:crypto
+const X25519_PKCS8_PREFIX = Buffer.from(
+  '302e020100300506032b656e04220420',
+  'hex'
+);
+const X25519_SPKI_PREFIX = Buffer.from('302a300506032b656e032100', 'hex');
+
+/**
+ * Import a raw X25519 private key
+ * @param {Uint8Array} privateKey - 32-byte scalar
+ * @returns {KeyObject} Private key object
+ */
+function importX25519PrivateKey(privateKey) {
+  return createPrivateKey({
+    key: Buffer.concat([X25519_PKCS8_PREFIX, privateKey]),
+    format: 'der',
+    type: 'pkcs8',
+  });
+}
+
+/**
+ * Import a raw X25519 public key
+ * @param {Uint8Array} publicKey - 32-byte point
+ * @returns {KeyObject} Public key object
+ */
+function importX25519PublicKey(publicKey) {
+  return createPublicKey({
+    key: Buffer.concat([X25519_SPKI_PREFIX, publicKey]),
+    format: 'der',
+    type: 'spki',
+  });
+}
+
+/**
+ * Compute the X25519 public key for a raw private key
+ * @param {Uint8Array} privateKey - 32-byte scalar
+ * @returns {Uint8Array} 32-byte public key
+ */
+function x25519PublicKey(privateKey) {
+  const spki = createPublicKey(importX25519PrivateKey(privateKey)).export({
+    format: 'der',
+    type: 'spki',
+  });
+  return new Uint8Array(spki.subarray(X25519_SPKI_PREFIX.length));
+}
+
+/**
+ * Compute an X25519 shared secret
+ * @param {Uint8Array} privateKey - 32-byte scalar
+ * @param {Uint8Array} publicKey - 32-byte point
+ * @returns {Uint8Array} 32-byte shared secret
+ */
+function x25519(privateKey, publicKey) {
+  return new Uint8Array(
+    diffieHellman({
+      privateKey: importX25519PrivateKey(privateKey),
+      publicKey: importX25519PublicKey(publicKey),
+    })
+  );
+}
+
+/**
+ * X-Wing hybrid KEM
+ * Exposes the same interface as the mlkem classes. The private key is the
+ * 32-byte X-Wing seed; component keys are re-derived from it on demand.
+ */
+export class XWing {
+  constructor() {
+    this._mlKem = new MlKem768();
+  }
+
+  /**
+   * Expand a seed into the ML-KEM-768 key pair and X25519 key pair
+   * @param {Uint8Array} seed - 32-byte X-Wing seed
+   * @returns {Promise<{pkM: Uint8Array, skM: Uint8Array, skX: Uint8Array, pkX: Uint8Array}>} Component keys
+   */
+  async _expandSeed(seed) {
+    if (!(seed instanceof Uint8Array) || seed.length !== SEED_SIZE) {
+      throw new Error(`X-Wing seed must be ${SEED_SIZE} bytes`);
+    }
+
+    const expanded = new Uint8Array(
+      createHash('shake256', { outputLength: 96 }).update(seed).digest()
+    );
+    const [pkM, skM] = await this._mlKem.deriveKeyPair(
+      expanded.subarray(0, 64)
+    );
+    const skX = expanded.slice(64, 96);
+    CryptoUtils.secureClear(expanded);
+
+    return { pkM, skM, skX, pkX: x25519PublicKey(skX) };
+  }
+
+  /**
+   * Combine the component shared secrets
+   * @param {Uint8Array} ssM - ML-KEM shared secret
+   * @param {Uint8Array} ssX - X25519 shared secret
+   * @param {Uint8Array} ctX - X25519 ephemeral public key
+   * @param {Uint8Array} pkX - Recipient X25519 public key
+   * @returns {Uint8Array} 32-byte shared secret
+   */
+  _combine(ssM, ssX, ctX, pkX) {
+    return new Uint8Array(
+      createHash('sha3-256')
+        .update(ssM)
+        .update(ssX)
+        .update(ctX)
+        .update(pkX)
+        .update(XWING_LABEL)
+        .digest()
+    );
+  }
+
+  /**
+   * Generate a random key pair
+   * @returns {Promise<[Uint8Array, Uint8Array]>} [publicKey, privateKey]
+   */
+  async generateKeyPair() {
+    return this.deriveKeyPair(SecureRandom.getRandomBytes(SEED_SIZE));
+  }
+
+  /**
+   * Derive a key pair from a 32-byte seed
+   * @param {Uint8Array} seed - 32-byte X-Wing seed
+   * @returns {Promise<[Uint8Array, Uint8Array]>} [publicKey, privateKey]
+   */
+  async deriveKeyPair(seed) {
+    const { pkM, skM, skX, pkX } = await this._expandSeed(seed);
+    CryptoUtils.secureClear(skM);
+    CryptoUtils.secureClear(skX);
+
+    return [CryptoUtils.concatenate(pkM, pkX), Uint8Array.from(seed)];
+  }
+
+  /**
+   * Encapsulate a shared secret to a public key
+   * @param {Uint8Array} publicKey - X-Wing public key (ML-KEM-768 || X25519)
+   * @returns {Promise<[Uint8Array, Uint8Array]>} [ciphertext, sharedSecret]
+   */
+  async encap(publicKey) {
+    if (publicKey.length !== ML_KEM_768_PUBLIC_KEY_SIZE + X25519_KEY_SIZE) {
+      throw new Error('Invalid X-Wing public key size');
+    }
+
+    const pkM = publicKey.subarray(0, ML_KEM_768_PUBLIC_KEY_SIZE);
+    const pkX = publicKey.subarray(ML_KEM_768_PUBLIC_KEY_SIZE);
+
+    const ekX = SecureRandom.getRandomBytes(X25519_KEY_SIZE);
+    const ctX = x25519PublicKey(ekX);
+    const ssX = x25519(ekX, pkX);
+    const [ctM, ssM] = await this._mlKem.encap(pkM);
+
+    const sharedSecret = this._combine(ssM, ssX, ctX, pkX);
+    CryptoUtils.secureClear(ekX);
+    CryptoUtils.secureClear(ssX);
+    CryptoUtils.secureClear(ssM);
+
+    return [CryptoUtils.concatenate(ctM, ctX), sharedSecret];
+  }
+
+  /**
+   * Decapsulate a shared secret
+   * @param {Uint8Array} ciphertext - X-Wing ciphertext (ML-KEM-768 || X25519)
+   * @param {Uint8Array} privateKey - 32-byte X-Wing seed
+   * @returns {Promise<Uint8Array>} Shared secret
+   */
+  async decap(ciphertext, privateKey) {
+    if (ciphertext.length !== ML_KEM_768_CIPHERTEXT_SIZE + X25519_KEY_SIZE) {
+      throw new Error('Invalid X-Wing ciphertext size');
+    }
+
+    const ctM = ciphertext.subarray(0, ML_KEM_768_CIPHERTEXT_SIZE);
+    const ctX = ciphertext.subarray(ML_KEM_768_CIPHERTEXT_SIZE);
+
+    const { skM, skX, pkX } = await this._expandSeed(privateKey);
+    const ssM = await this._mlKem.decap(ctM, skM);
+    const ssX = x25519(skX, ctX);
+
+    const sharedSecret = this._combine(ssM, ssX, ctX, pkX);
+    CryptoUtils.secureClear(skM);
+    CryptoUtils.secureClear(skX);
+    CryptoUtils.secureClear(ssX);
+    CryptoUtils.secureClear(ssM);
+
+    return sharedSecret;
+  }
+}
@@ -0,0 +1,176 @@
+/**
+ * @fileoverview Tests for ASCII armor
+ * Testing Framework: Mocha with Chai
+ */
+
+import { expect } from 'chai';
+import {
+  armor,
+  dearmor,
+  armorMessage,
+  dearmorMessage,
+  armorKey,
+  dearmorKey,
+  isArmored,
+  ARMOR_TYPES,
+} from '../src/armor.js';
+import { encrypt, decrypt, isValidEncryptedMessage } from '../src/encryptor.js';
+import {
+  generateKeyPair,
+  exportKeyPair,
+  importKeyPair,
+} from '../src/key-manager.js';
+import { isBinaryEnvelope } from '../src/envelope.js';
+
+describe('ASCII armor', () => {
+  describe('armor/dearmor', () => {
+    it('should round-trip data with headers', () => {
+      const data = new Uint8Array(200).map((_, i) => i);
+
+      const armored = armor(data, ARMOR_TYPES.MESSAGE, { Comment: 'test' });
+      const decoded = dearmor(armored);
+
+      expect(decoded.type).to.equal(ARMOR_TYPES.MESSAGE);
+      expect(decoded.headers).to.deep.equal({ Comment: 'test' });
+      expect(Array.from(decoded.data)).to.deep.equal(Array.from(data));
+    });
+
+    it('should wrap the body at 64 characters', () => {
+      const armored = armor(new Uint8Array(500), ARMOR_TYPES.MESSAGE);
+      const lines = armored.trim().split('\n');
+
+      expect(lines[0]).to.equal('-----BEGIN POST-QUANTUM MESSAGE-----');
+      expect(lines[lines.length - 1]).to.equal(
+        '-----END POST-QUANTUM MESSAGE-----'
+      );
+      expect(lines[lines.length - 2]).to.match(/^=[A-Za-z0-9+/]{4}$/);
+      for (const line of lines) {
+        expect(line.length).to.be.at.most(64);
+      }
+    });
+
+    it('should compute the OpenPGP CRC-24 checksum', () => {
+      // CRC-24 of the empty string is the initial value 0xB704CE
+      expect(armor(new Uint8Array(0), ARMOR_TYPES.MESSAGE)).to.include('=twTO');
+    });
+
+    it('should tolerate surrounding text, CRLF and indentation', () => {
+      const data = new Uint8Array([1, 2, 3, 4, 5]);
+      const armored = armor(data, ARMOR_TYPES.MESSAGE)
+        .split('\n')
+        .map((line) => `  ${line}`)
+        .join('\r\n');
+
+      const decoded = dearmor(`Hi, see below:\r\n${armored}\r\nThanks`);
+      expect(Array.from(decoded.data)).to.deep.equal(Array.from(data));
+    });
+
+    it('should detect corrupted bodies', () => {
+      const armored = armor(new Uint8Array(100), ARMOR_TYPES.MESSAGE);
+      const lines = armored.split('\n');
+      lines[2] = `B${lines[2].slice(1)}`;
+
+      expect(() => dearmor(lines.join('\n'))).to.throw('checksum mismatch');
+    });
+
+    it('should reject missing END lines and checksums', () => {
+      const armored = armor(new Uint8Array(10), ARMOR_TYPES.MESSAGE);
+      const lines = armored.trim().split('\n');
+
+      expect(() => dearmor(lines.slice(0, -1).join('\n'))).to.throw(
+        'missing END line'
+      );
+      expect(() =>
+        dearmor([...lines.slice(0, -2), lines[lines.length - 1]].join('\n'))
+      ).to.throw('missing checksum');
+      expect(() => dearmor('no armor here')).to.throw('missing BEGIN line');
+    });
+
+    it('should enforce the expected type', () => {
+      const armored = armor(new Uint8Array(10), ARMOR_TYPES.PUBLIC_KEY);
+
+      expect(() => dearmor(armored, ARMOR_TYPES.MESSAGE)).to.throw(
+        'expected POST-QUANTUM MESSAGE'
+      );
+    });
+
+    it('should reject headers containing line breaks', () => {
+      expect(() =>
+        armor(new Uint8Array(1), ARMOR_TYPES.MESSAGE, { Comment: 'a\nb' })
+      ).to.throw('Invalid armor header');
+    });
+  });
+
+  describe('messages', () => {
+    let keyPair;
+
+    before(async () => {
+      keyPair = await generateKeyPair();
+    });
+
+    it('should armor a message with algorithm and version headers', async () => {
+      const encrypted = await encrypt('Armored', keyPair.publicKey);
+      const armored = armorMessage(encrypted);
+
+      expect(isArmored(armored, ARMOR_TYPES.MESSAGE)).to.be.true;
+      expect(dearmor(armored).headers).to.deep.equal({
+        Algorithm: 'ML-KEM-1024',
+        Version: '4',
+      });
+      expect(isBinaryEnvelope(dearmorMessage(armored))).to.be.true;
+    });
+
+    it('should be decrypted transparently', async () => {
+      const encrypted = await encrypt('Pasted from email', keyPair.publicKey);
+      const armored = armorMessage(encrypted);
+
+      expect(isValidEncryptedMessage(armored)).to.be.true;
+      expect(await decrypt(armored, keyPair.privateKey)).to.equal(
+        'Pasted from email'
+      );
+    });
+  });
+
+  describe('keys', () => {
+    it('should armor exported key pairs as private keys', async () => {
+      const exported = await exportKeyPair(await generateKeyPair('ML-KEM-768'));
+      const armored = armorKey(exported);
+
+      expect(isArmored(armored, ARMOR_TYPES.PRIVATE_KEY)).to.be.true;
+      expect(dearmor(armored).headers.Algorithm).to.equal('ML-KEM-768');
+
+      const imported = await importKeyPair(dearmorKey(armored));
+      expect(imported.privateKey).to.equal(exported.privateKey);
+    });
+
+    it('should armor seed-only exports as private keys', async () => {
+      const exported = await exportKeyPair(
+        await generateKeyPair('ML-KEM-768', {
+          seed: new Uint8Array(64).fill(7),
+        }),
+        { seedOnly: true }
+      );
+      expect(exported).to.not.have.property('privateKey');
+
+      const armored = armorKey(exported);
+
+      expect(isArmored(armored, ARMOR_TYPES.PRIVATE_KEY)).to.be.true;
+      expect(isArmored(armored, ARMOR_TYPES.PUBLIC_KEY)).to.be.false;
+      expect(dearmorKey(armored).seed).to.equal(exported.seed);
+    });
+
+    it('should armor public keys on their own', async () => {
+      const { publicKey, algorithm } = await generateKeyPair();
+      const armored = armorKey({ publicKey, algorithm });
+
+      expect(isArmored(armored, ARMOR_TYPES.PUBLIC_KEY)).to.be.true;
+      expect(dearmorKey(armored)).to.deep.equal({ publicKey, algorithm });
+    });
+
+    it('should refuse to decode messages as keys', () => {
+      const armored = armor(new Uint8Array(4), ARMOR_TYPES.MESSAGE);
+
+      expect(() => dearmorKey(armored)).to.throw('expected a key');
+    });
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * @fileoverview Tests for the command line tool
+ * Testing Framework: Mocha with Chai
+ */
+
+import { expect } from 'chai';
+import { execFile } from 'node:child_process';
+import {
+  mkdtemp,
+  mkdir,
+  rm,
+  readFile,
+  writeFile,
+  stat,
+} from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { generateKeyPair, exportKeyPair } from '../src/key-manager.js';
+import { encrypt, decrypt, encryptWithPassword } from '../src/encryptor.js';
+import { serializeEnvelope } from '../src/envelope.js';
+
+const CLI = join(
+  dirname(fileURLToPath(import.meta.url)),
+  '..',
+  'bin',
+  'cli.js'
+);
+
+/**
+ * Run the CLI with a private keyring directory
+ * @param {string[]} args - Command line arguments
+ * @param {string} home - Keyring directory
+ * @param {Object} [env] - Extra environment variables
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>} Result
+ */
+function runCli(args, home, env = {}) {
+  return new Promise((resolve) => {
+    execFile(
+      process.execPath,
+      [CLI, ...args],
+      { env: { ...process.env, ...env, QUANTUM_HOME: home }, timeout: 60000 },
+      (error, stdout, stderr) => {
+        resolve({ code: error ? error.code : 0, stdout, stderr });
+      }
+    );
+  });
+}
+
+describe('CLI', function () {
+  this.timeout(120000);
+
+  let directory;
+
+  beforeEach(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'quantum-cli-'));
+  });
+
+  afterEach(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  describe('generate', () => {
+    it('should write key files readable only by their owner', async () => {
+      const plain = join(directory, 'plain.json');
+      const protectedFile = join(directory, 'protected.json');
+
+      const results = [
+        await runCli(['generate', '-o', plain], join(directory, 'home')),
+        await runCli(
+          ['generate', '--passphrase', '-o', protectedFile],
+          join(directory, 'home'),
+          { QUANTUM_PASSPHRASE: 'hunter2' }
+        ),
+      ];
+
+      for (const result of results) {
+        expect(result.code, result.stderr).to.equal(0);
+      }
+      for (const file of [plain, protectedFile]) {
+        expect((await stat(file)).mode & 0o777).to.equal(0o600);
+      }
+      expect(
+        JSON.parse(await readFile(protectedFile, 'utf8'))
+      ).to.have.property('encryptedPrivateKey');
+    });
+  });
+
+  describe('decrypt', () => {
+    it('should decrypt binary envelopes', async () => {
+      const keys = await generateKeyPair();
+      const keyFile = join(directory, 'keys.json');
+      await writeFile(keyFile, JSON.stringify(await exportKeyPair(keys)));
+
+      const input = join(directory, 'message.pqhb');
+      await writeFile(
+        input,
+        serializeEnvelope(await encrypt('binary envelope', keys.publicKey))
+      );
+
+      const result = await runCli(
+        ['decrypt', '--input', input, '--key', keyFile],
+        join(directory, 'home')
+      );
+
+      expect(result.code, result.stderr).to.equal(0);
+      expect(result.stdout).to.equal('binary envelope\n');
+    });
+  });
+
+  describe('rekey', () => {
+    it('should skip password-encrypted messages', async () => {
+      const oldKeys = await generateKeyPair();
+      const newKeys = await generateKeyPair();
+      await writeFile(
+        join(directory, 'old-keys.json'),
+        JSON.stringify(await exportKeyPair(oldKeys))
+      );
+      await writeFile(
+        join(directory, 'new-keys.json'),
+        JSON.stringify(await exportKeyPair({ publicKey: newKeys.publicKey }))
+      );
+
+      const messages = join(directory, 'messages');
+      await mkdir(messages);
+      await writeFile(
+        join(messages, 'key.json'),
+        await encrypt('for the key', oldKeys.publicKey)
+      );
+      await writeFile(
+        join(messages, 'password.json'),
+        await encryptWithPassword('for the password', 'correct horse', {
+          cost: { N: 2 ** 14, r: 8, p: 1 },
+        })
+      );
+
+      const report = join(directory, 'report.json');
+      const result = await runCli(
+        [
+          'rekey',
+          messages,
+          '--key',
+          join(directory, 'old-keys.json'),
+          '--new-key',
+          join(directory, 'new-keys.json'),
+          '--report',
+          report,
+        ],
+        join(directory, 'home')
+      );
+
+      expect(result.code, result.stderr).to.equal(0);
+      expect(result.stderr).to.include('1 re-encrypted, 1 skipped, 0 failed');
+
+      const { summary, files } = JSON.parse(await readFile(report, 'utf8'));
+      expect(summary).to.deep.equal({ reencrypted: 1, skipped: 1, failed: 0 });
+      expect(
+        files.find((file) => file.path.endsWith('password.json'))
+      ).to.deep.include({
+        status: 'skipped',
+        reason: 'password-encrypted messages cannot be rekeyed',
+      });
+
+      const rekeyed = await readFile(join(messages, 'key.json'), 'utf8');
+      expect(await decrypt(rekeyed, newKeys.privateKey)).to.equal(
+        'for the key'
+      );
+    });
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * @fileoverview Tests for the contacts address book
+ * Testing Framework: Mocha with Chai
+ */
+
+import { expect } from 'chai';
+import { mkdtemp, rm, stat, readFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { Contacts } from '../src/contacts.js';
+import { generateKeyPair, exportKeyPair } from '../src/key-manager.js';
+
+describe('Contacts', () => {
+  let directory;
+  let contacts;
+  let alice;
+
+  before(async () => {
+    alice = await generateKeyPair('ML-KEM-768');
+  });
+
+  beforeEach(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'quantum-contacts-'));
+    contacts = new Contacts({ directory });
+  });
+
+  afterEach(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it('should start empty', async () => {
+    expect(await contacts.list()).to.deep.equal([]);
+    expect(await contacts.get('alice')).to.be.null;
+  });
+
+  it('should add and persist contacts with fingerprints', async () => {
+    const contact = await contacts.add('alice', alice);
+
+    expect(contact).to.include({
+      name: 'alice',
+      algorithm: 'ML-KEM-768',
+      publicKey: alice.publicKey,
+    });
+    expect(contact.fingerprint).to.match(/^([0-9A-F]{4} ){15}[0-9A-F]{4}$/);
+    expect(contact.addedAt).to.be.a('number');
+
+    const reopened = new Contacts({ directory });
+    expect(await reopened.get('alice')).to.deep.equal(contact);
+  });
+
+  it('should store only the public key of an exported key pair', async () => {
+    await contacts.add('alice', await exportKeyPair(alice));
+
+    const stored = await readFile(contacts.path, 'utf8');
+    expect(stored).to.include(alice.publicKey);
+    expect(stored).to.not.include(alice.privateKey);
+    expect((await stat(contacts.path)).mode & 0o777).to.equal(0o600);
+  });
+
+  it('should accept a bare public key with an algorithm', async () => {
+    const contact = await contacts.add('bob@example.com', alice.publicKey, {
+      algorithm: 'ML-KEM-768',
+    });
+    expect(contact.algorithm).to.equal('ML-KEM-768');
+  });
+
+  it('should keep the expiry and usage of the key', async () => {
+    const expiresAt = Date.UTC(2020, 0, 1);
+    const contact = await contacts.add('alice', {
+      ...(await exportKeyPair(alice)),
+      expiresAt,
+      owner: 'alice@example.com',
+    });
+
+    expect(contact).to.include({ expiresAt, status: 'expired' });
+    expect(contact).to.not.have.property('owner');
+    expect((await contacts.add('bob', alice)).status).to.equal('active');
+  });
+
+  it('should reject invalid names and keys', async () => {
+    try {
+      await contacts.add('not a name', alice);
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error.message).to.include('Invalid contact name');
+    }
+
+    try {
+      await contacts.add('alice', alice.publicKey);
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error.message).to.include('Invalid ML-KEM-1024 public key');
+    }
+  });
+
+  it('should refuse to overwrite a contact unless asked', async () => {
+    await contacts.add('alice', alice);
+    const other = await generateKeyPair('X-Wing');
+
+    try {
+      await contacts.add('alice', other);
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error.message).to.include('Contact already exists: alice');
+    }
+
+    const replaced = await contacts.add('alice', other, { replace: true });
+    expect(replaced.algorithm).to.equal('X-Wing');
+    expect(await contacts.list()).to.have.lengthOf(1);
+  });
+
+  it('should track verification', async () => {
+    const added = await contacts.add('alice', alice);
+    expect(added).to.include({ verified: false, verifiedAt: null });
+
+    const verified = await contacts.setVerified('alice');
+    expect(verified.verified).to.be.true;
+    expect(verified.verifiedAt).to.be.a('number');
+    expect((await contacts.get('alice')).verified).to.be.true;
+
+    // A new key for the same name has to be verified again
+    const replaced = await contacts.add('alice', alice, { replace: true });
+    expect(replaced.verified).to.be.false;
+
+    await contacts.setVerified('alice');
+    expect((await contacts.setVerified('alice', false)).verified).to.be.false;
+
+    try {
+      await contacts.setVerified('mallory');
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error.message).to.include('Unknown contact: mallory');
+    }
+  });
+
+  it('should list contacts by name and remove them', async () => {
+    await contacts.add('carol', alice);
+    await contacts.add('alice', alice);
+
+    const names = (await contacts.list()).map((contact) => contact.name);
+    expect(names).to.deep.equal(['alice', 'carol']);
+
+    expect(await contacts.remove('carol')).to.be.true;
+    expect(await contacts.remove('carol')).to.be.false;
+    expect(await contacts.list()).to.have.lengthOf(1);
+  });
+});
@@ -7,7 +7,9 @@ import { expect } from 'chai';
 import {
   Base64,
   HKDF,
+  Scrypt,
   ChaCha20Poly1305,
+  AEAD,
   SecureRandom,
   CryptoUtils,
 } from '../src/crypto-utils.js';
@@ -106,6 +108,75 @@ describe('HKDF', () => {
   });
 });
 
+describe('Scrypt', () => {
+  describe('derive', () => {
+    const params = { N: 2 ** 14, r: 8, p: 1 };
+    const salt = new Uint8Array(32).fill(7);
+
+    it('should match the RFC 7914 test vector', async () => {
+      const derived = await Scrypt.derive(
+        'pleaseletmein',
+        new TextEncoder().encode('SodiumChloride'),
+        params,
+        64
+      );
+
+      expect(Buffer.from(derived).toString('hex')).to.equal(
+        '7023bdcb3afd7348461c06cd81fd38ebfda8fbba904f8e3ea9b543f6545da1f2' +
+          'd5432955613f0fcf62d49705242a9af9e61e85dc0d651e40dfcf017b45575887'
+      );
+    });
+
+    it('should be deterministic for the same passphrase and salt', async () => {
+      const key1 = await Scrypt.derive('passphrase', salt, params);
+      const key2 = await Scrypt.derive('passphrase', salt, params);
+
+      expect(key1.length).to.equal(32);
+      expect(Array.from(key1)).to.deep.equal(Array.from(key2));
+    });
+
+    it('should reject empty passphrases', async () => {
+      try {
+        await Scrypt.derive('', salt, params);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include(
+          'Passphrase must be a non-empty string'
+        );
+      }
+    });
+
+    it('should reject weak or excessive cost parameters', () => {
+      expect(() => Scrypt.validateParams({ N: 1024, r: 8, p: 1 })).to.throw();
+      expect(() =>
+        Scrypt.validateParams({ N: 3 * 2 ** 14, r: 8, p: 1 })
+      ).to.throw();
+      expect(() =>
+        Scrypt.validateParams({ N: 2 ** 21, r: 8, p: 1 })
+      ).to.throw();
+      expect(() =>
+        Scrypt.validateParams({ N: 2 ** 14, r: 0, p: 1 })
+      ).to.throw();
+      expect(() => Scrypt.validateParams(Scrypt.DEFAULT_PARAMS)).to.not.throw();
+    });
+
+    it('should reject parameters that exceed the memory or CPU limits', () => {
+      expect(() => Scrypt.validateParams({ N: 2 ** 20, r: 32, p: 1 })).to.throw(
+        '256 MiB memory limit'
+      );
+      expect(() => Scrypt.validateParams({ N: 2 ** 19, r: 8, p: 1 })).to.throw(
+        '256 MiB memory limit'
+      );
+      expect(() => Scrypt.validateParams({ N: 2 ** 14, r: 8, p: 16 })).to.throw(
+        'scrypt p must be an integer between 1 and 4'
+      );
+      expect(() =>
+        Scrypt.validateParams({ N: 2 ** 18, r: 8, p: 4 })
+      ).to.not.throw();
+    });
+  });
+});
+
 describe('ChaCha20Poly1305', () => {
   describe('encrypt and decrypt', () => {
     it('should encrypt and decrypt data successfully', async () => {
@@ -171,6 +242,93 @@ describe('ChaCha20Poly1305', () => {
   });
 });
 
+describe('AEAD', () => {
+  const plaintext = new TextEncoder().encode('Cipher agility');
+  const aad = new TextEncoder().encode('header');
+
+  it('should list the built-in ciphers with ChaCha20-Poly1305 as default', () => {
+    expect(AEAD.DEFAULT).to.equal('ChaCha20-Poly1305');
+    expect(AEAD.list()).to.include.members([
+      'ChaCha20-Poly1305',
+      'XChaCha20-Poly1305',
+      'AES-256-GCM',
+      'AES-256-GCM-SIV',
+    ]);
+  });
+
+  it('should round-trip data with every cipher', async () => {
+    for (const name of AEAD.list()) {
+      const key = SecureRandom.getRandomBytes(32);
+      const nonce = AEAD.generateNonce(name);
+
+      const ciphertext = await AEAD.encrypt(name, key, nonce, plaintext, aad);
+      const decrypted = await AEAD.decrypt(name, key, nonce, ciphertext, aad);
+
+      expect(ciphertext.length).to.equal(plaintext.length + 16);
+      expect(new TextDecoder().decode(decrypted)).to.equal('Cipher agility');
+    }
+  });
+
+  it('should generate nonces of the cipher size', () => {
+    expect(AEAD.generateNonce('ChaCha20-Poly1305')).to.have.lengthOf(12);
+    expect(AEAD.generateNonce('XChaCha20-Poly1305')).to.have.lengthOf(24);
+    expect(AEAD.generateNonce('AES-256-GCM')).to.have.lengthOf(12);
+    expect(AEAD.generateNonce('AES-256-GCM-SIV')).to.have.lengthOf(12);
+  });
+
+  it('should match ChaCha20Poly1305 for the default cipher', async () => {
+    const key = SecureRandom.getRandomBytes(32);
+    const nonce = SecureRandom.generateNonce();
+
+    const ciphertext = await AEAD.encrypt(AEAD.DEFAULT, key, nonce, plaintext);
+    const decrypted = await ChaCha20Poly1305.decrypt(key, nonce, ciphertext);
+
+    expect(new TextDecoder().decode(decrypted)).to.equal('Cipher agility');
+  });
+
+  it('should reject tampered associated data with every cipher', async () => {
+    for (const name of AEAD.list()) {
+      const key = SecureRandom.getRandomBytes(32);
+      const nonce = AEAD.generateNonce(name);
+      const ciphertext = await AEAD.encrypt(name, key, nonce, plaintext, aad);
+
+      try {
+        await AEAD.decrypt(name, key, nonce, ciphertext, new Uint8Array(1));
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include(`${name} decryption failed`);
+      }
+    }
+  });
+
+  it('should reject unknown ciphers', async () => {
+    expect(() => AEAD.get('ROT13')).to.throw(
+      'Unsupported cipher: ROT13. Supported: ChaCha20-Poly1305'
+    );
+
+    try {
+      await AEAD.encrypt(
+        'ROT13',
+        new Uint8Array(32),
+        new Uint8Array(12),
+        plaintext
+      );
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error.message).to.include('Unsupported cipher: ROT13');
+    }
+  });
+
+  it('should not register a cipher twice or without a usable nonce', () => {
+    expect(() =>
+      AEAD.register('AES-256-GCM', { create: () => {}, nonceSize: 12 })
+    ).to.throw('already registered');
+    expect(() =>
+      AEAD.register('Short-Nonce', { create: () => {}, nonceSize: 8 })
+    ).to.throw('nonce size of at least 12 bytes');
+  });
+});
+
 describe('SecureRandom', () => {
   describe('getRandomBytes', () => {
     it('should generate random bytes of specified length', () => {
@@ -236,4 +394,19 @@ describe('CryptoUtils', () => {
       expect(CryptoUtils.constantTimeEqual(a, b)).to.be.false;
     });
   });
+
+  describe('concatenate', () => {
+    it('should concatenate byte arrays in order', () => {
+      const result = CryptoUtils.concatenate(
+        new Uint8Array([1, 2]),
+        new Uint8Array([]),
+        new Uint8Array([3])
+      );
+      expect(Array.from(result)).to.deep.equal([1, 2, 3]);
+    });
+
+    it('should return an empty array with no input', () => {
+      expect(CryptoUtils.concatenate().length).to.equal(0);
+    });
+  });
 });
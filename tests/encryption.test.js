@@ -4,8 +4,263 @@
  */
 
 import { expect } from 'chai';
-import { encrypt, decrypt } from '../src/encryptor.js';
+import { readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { MlKem1024 } from 'mlkem';
+import { chacha20 } from '@noble/ciphers/chacha.js';
+import {
+  encrypt,
+  encryptForRecipients,
+  encryptThreshold,
+  decrypt,
+  partialDecrypt,
+  combinePartialDecryptions,
+  encryptWithPassword,
+  decryptWithPassword,
+  reencrypt,
+  isValidEncryptedMessage,
+} from '../src/encryptor.js';
+import { serializeEnvelope, isBinaryEnvelope } from '../src/envelope.js';
+import { armorMessage, isArmored } from '../src/armor.js';
 import { generateKeyPair } from '../src/key-manager.js';
+import { generateSigningKeyPair } from '../src/signer.js';
+import { getKeyId } from '../src/fingerprint.js';
+import { encapsulateKey, getKeyInfo } from '../src/kem.js';
+import {
+  Base64,
+  HKDF,
+  ChaCha20Poly1305,
+  AEAD,
+  SecureRandom,
+  CryptoUtils,
+} from '../src/crypto-utils.js';
+
+/**
+ * Produce a v3 envelope (no associated data) as older releases did
+ * @param {string} message - Plain text message
+ * @param {string} publicKey - ML-KEM-1024 public key (Base64)
+ * @returns {Promise<string>} v3 envelope JSON
+ */
+async function encryptLegacyV3(message, publicKey) {
+  const [kemCiphertext, sharedSecret] = await new MlKem1024().encap(
+    Base64.decode(publicKey)
+  );
+  const salt = SecureRandom.generateSalt();
+  const nonce = SecureRandom.generateNonce();
+  const key = await HKDF.derive(sharedSecret, salt, 'ChaCha20-Poly1305', 32);
+  const ciphertext = await ChaCha20Poly1305.encrypt(
+    key,
+    nonce,
+    new TextEncoder().encode(message)
+  );
+
+  return JSON.stringify({
+    v: 3,
+    alg: 'ML-KEM-1024',
+    kem: Base64.encode(kemCiphertext),
+    s: Base64.encode(salt),
+    n: Base64.encode(nonce),
+    c: Base64.encode(ciphertext),
+    t: Date.now(),
+  });
+}
+
+// A v3 envelope and its ML-KEM-768 private key, written by release 1.0.0
+const V3_FIXTURE = JSON.parse(
+  readFileSync(
+    join(
+      dirname(fileURLToPath(import.meta.url)),
+      'fixtures',
+      'v3-envelope.json'
+    ),
+    'utf8'
+  )
+);
+
+// Poly1305 field prime 2^130 - 5
+const POLY1305_PRIME = 2n ** 130n - 5n;
+const TWO_128 = 2n ** 128n;
+
+/**
+ * Read a little-endian unsigned integer
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {bigint} Integer
+ */
+function readLittleEndian(bytes) {
+  return bytes.reduceRight((value, byte) => (value << 8n) | BigInt(byte), 0n);
+}
+
+/**
+ * Write a little-endian unsigned integer
+ * @param {bigint} value - Integer
+ * @param {number} length - Length in bytes
+ * @returns {Uint8Array} Bytes
+ */
+function writeLittleEndian(value, length) {
+  return Uint8Array.from({ length }, (_, i) =>
+    Number((value >> BigInt(8 * i)) & 0xffn)
+  );
+}
+
+/**
+ * Raise to a power modulo the Poly1305 prime
+ * @param {bigint} base - Base
+ * @param {bigint} exponent - Exponent
+ * @returns {bigint} base^exponent mod p
+ */
+function powMod(base, exponent) {
+  let result = 1n;
+  base %= POLY1305_PRIME;
+  for (; exponent > 0n; exponent >>= 1n) {
+    if (exponent & 1n) {
+      result = (result * base) % POLY1305_PRIME;
+    }
+    base = (base * base) % POLY1305_PRIME;
+  }
+  return result;
+}
+
+/**
+ * Craft one ChaCha20-Poly1305 ciphertext that authenticates under two keys
+ * Poly1305 is linear in the message, so one free ciphertext block can be
+ * solved for to make both tags equal (the invisible salamanders attack).
+ * @param {Uint8Array[]} keys - Two 256-bit keys
+ * @param {Uint8Array} nonce - 12-byte nonce
+ * @param {Uint8Array} associatedData - Associated data
+ * @returns {Uint8Array} Ciphertext with tag, valid under both keys
+ */
+function craftMultiKeyCiphertext(keys, nonce, associatedData) {
+  const oneTimeKeys = keys.map((key) => {
+    const block = chacha20(key, nonce, new Uint8Array(32));
+    return {
+      r:
+        readLittleEndian(block.subarray(0, 16)) &
+        0x0ffffffc0ffffffc0ffffffc0fffffffn,
+      s: readLittleEndian(block.subarray(16, 32)),
+    };
+  });
+
+  const adLength = Math.ceil(associatedData.length / 16) * 16;
+  for (let attempt = 0; attempt < 100; attempt++) {
+    // MAC input: AD, padding, two ciphertext blocks, the lengths
+    const ciphertext = new Uint8Array(32);
+    ciphertext.set(SecureRandom.getRandomBytes(16));
+    const macInput = new Uint8Array(adLength + 48);
+    macInput.set(associatedData);
+    macInput.set(ciphertext, adLength);
+    macInput.set(
+      writeLittleEndian(BigInt(associatedData.length), 8),
+      adLength + 32
+    );
+    macInput.set(writeLittleEndian(32n, 8), adLength + 40);
+
+    // h = sum of (block + 2^128) * r^(n - i); the second ciphertext block is free
+    const blockCount = macInput.length / 16;
+    const freeBlock = adLength / 16 + 1;
+    const [first, second] = oneTimeKeys.map(({ r }) => {
+      let base = 0n;
+      for (let i = 0; i < blockCount; i++) {
+        const block = readLittleEndian(macInput.subarray(16 * i, 16 * i + 16));
+        base += (block + TWO_128) * powMod(r, BigInt(blockCount - i));
+      }
+      return {
+        base: base % POLY1305_PRIME,
+        factor: powMod(r, BigInt(blockCount - freeBlock)),
+      };
+    });
+
+    // Equal tags need h1 - h2 = s2 - s1 (mod 2^128), with |h1 - h2| < p
+    const difference =
+      (oneTimeKeys[1].s - oneTimeKeys[0].s + TWO_128) % TWO_128;
+    const inverse = powMod(
+      (first.factor - second.factor + POLY1305_PRIME) % POLY1305_PRIME,
+      POLY1305_PRIME - 2n
+    );
+    for (let wrap = -4n; wrap <= 3n; wrap++) {
+      const target = difference + wrap * TWO_128;
+      const x =
+        ((((target - first.base + second.base) % POLY1305_PRIME) +
+          POLY1305_PRIME) *
+          inverse) %
+        POLY1305_PRIME;
+      if (x >= TWO_128) {
+        continue;
+      }
+
+      const [h1, h2] = [first, second].map(
+        ({ base, factor }) => (base + x * factor) % POLY1305_PRIME
+      );
+      if (h1 - h2 !== target) {
+        continue;
+      }
+
+      ciphertext.set(writeLittleEndian(x, 16), 16);
+      const tag = writeLittleEndian((h1 + oneTimeKeys[0].s) % TWO_128, 16);
+      return CryptoUtils.concatenate(ciphertext, tag);
+    }
+  }
+
+  throw new Error('No multi-key ciphertext found');
+}
+
+/**
+ * Build a two-recipient envelope whose payload decrypts under a different
+ * content key for each recipient, as a malicious sender would
+ * @param {string[]} publicKeys - Two ML-KEM-1024 public keys
+ * @param {boolean} commit - Commit the envelope to the first recipient's key
+ * @returns {Promise<{encrypted: string, ciphertext: Uint8Array, keys: Uint8Array[], nonce: Uint8Array, associatedData: Uint8Array}>} Envelope and its parts
+ */
+async function encryptToTwoKeys(publicKeys, commit) {
+  const keys = publicKeys.map(() => SecureRandom.getRandomBytes(32));
+  const envelope = { v: 4, alg: 'ML-KEM-1024', ct: 'binary', t: Date.now() };
+  if (commit) {
+    envelope.kc = Base64.encode(
+      await HKDF.derive(
+        keys[0],
+        new TextEncoder().encode('post-quantum-helper/key-commitment'),
+        'ChaCha20-Poly1305',
+        32
+      )
+    );
+  }
+
+  // Canonical header: [name, value] pairs, inserted above in header order
+  const associatedData = new TextEncoder().encode(
+    JSON.stringify(Object.entries(envelope))
+  );
+
+  envelope.r = [];
+  for (const [i, publicKey] of publicKeys.entries()) {
+    const { kemCiphertext, salt, key } = await encapsulateKey(
+      'ML-KEM-1024',
+      Base64.decode(publicKey),
+      getKeyInfo(undefined, 'ChaCha20-Poly1305-KeyWrap')
+    );
+    const nonce = SecureRandom.generateNonce();
+    envelope.r.push({
+      kem: Base64.encode(kemCiphertext),
+      s: Base64.encode(salt),
+      n: Base64.encode(nonce),
+      w: Base64.encode(
+        await ChaCha20Poly1305.encrypt(key, nonce, keys[i], associatedData)
+      ),
+    });
+  }
+
+  const nonce = SecureRandom.generateNonce();
+  const ciphertext = craftMultiKeyCiphertext(keys, nonce, associatedData);
+  envelope.n = Base64.encode(nonce);
+  envelope.c = Base64.encode(ciphertext);
+
+  return {
+    encrypted: JSON.stringify(envelope),
+    ciphertext,
+    keys,
+    nonce,
+    associatedData,
+  };
+}
 
 describe('Encryption and Decryption', () => {
   describe('encrypt', () => {
@@ -206,17 +461,1437 @@ describe('Encryption and Decryption', () => {
         expect(error).to.exist;
       }
     });
+
+    it('should reject unknown algorithms instead of using a default', async () => {
+      const recipientKeys = await generateKeyPair();
+
+      try {
+        await encrypt('x', recipientKeys.publicKey, 'ML-KEM-1O24');
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('Unsupported algorithm: ML-KEM-1O24');
+      }
+
+      const encrypted = await encrypt('x', recipientKeys.publicKey);
+      const parsed = JSON.parse(encrypted);
+      parsed.alg = 'ML-KEM-512';
+      for (const [message, algorithm] of [
+        [JSON.stringify(parsed), undefined],
+        [encrypted, 'Kyber'],
+      ]) {
+        try {
+          await decrypt(message, recipientKeys.privateKey, algorithm);
+          expect.fail('Should have thrown an error');
+        } catch (error) {
+          expect(error.message).to.include('Unsupported algorithm');
+        }
+      }
+    });
   });
 
-  describe('end-to-end encryption', () => {
-    it('should work for multiple messages with same keys', async () => {
+  describe('binary payloads', () => {
+    it('should round-trip Uint8Array messages as bytes', async () => {
       const recipientKeys = await generateKeyPair();
-      const messages = ['Message 1', 'Message 2', 'Message 3'];
+      const message = new Uint8Array([0, 255, 128, 1, 0xc3, 0x28, 0xff]);
 
-      for (const message of messages) {
-        const encrypted = await encrypt(message, recipientKeys.publicKey);
-        const decrypted = await decrypt(encrypted, recipientKeys.privateKey);
-        expect(decrypted).to.equal(message);
+      const encrypted = await encrypt(message, recipientKeys.publicKey);
+      const decrypted = await decrypt(encrypted, recipientKeys.privateKey);
+
+      expect(JSON.parse(encrypted).ct).to.equal('binary');
+      expect(decrypted).to.be.instanceOf(Uint8Array);
+      expect(Array.from(decrypted)).to.deep.equal(Array.from(message));
+    });
+
+    it('should accept Buffer input', async () => {
+      const recipientKeys = await generateKeyPair('ML-KEM-768');
+      const message = Buffer.from('%PDF-1.7\n\x00\x01', 'binary');
+
+      const encrypted = await encrypt(
+        message,
+        recipientKeys.publicKey,
+        'ML-KEM-768'
+      );
+      const decrypted = await decrypt(encrypted, recipientKeys.privateKey);
+
+      expect(Buffer.from(decrypted).equals(message)).to.be.true;
+    });
+
+    it('should handle empty binary payloads', async () => {
+      const recipientKeys = await generateKeyPair();
+
+      const encrypted = await encrypt(
+        new Uint8Array(0),
+        recipientKeys.publicKey
+      );
+      const decrypted = await decrypt(encrypted, recipientKeys.privateKey);
+
+      expect(decrypted).to.be.instanceOf(Uint8Array);
+      expect(decrypted.length).to.equal(0);
+    });
+
+    it('should mark text payloads and return strings', async () => {
+      const recipientKeys = await generateKeyPair();
+
+      const encrypted = await encrypt('text', recipientKeys.publicKey);
+      const decrypted = await decrypt(encrypted, recipientKeys.privateKey);
+
+      expect(JSON.parse(encrypted).ct).to.equal('text');
+      expect(decrypted).to.equal('text');
+    });
+
+    it('should treat messages without a content type as text', async () => {
+      const recipientKeys = await generateKeyPair();
+
+      const legacy = await encryptLegacyV3('legacy', recipientKeys.publicKey);
+      const decrypted = await decrypt(legacy, recipientKeys.privateKey, {
+        requireKeyCommitment: false,
+      });
+
+      expect(decrypted).to.equal('legacy');
+    });
+
+    it('should reject unsupported message types', async () => {
+      const recipientKeys = await generateKeyPair();
+
+      try {
+        await encrypt(12345, recipientKeys.publicKey);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('string or Uint8Array');
+      }
+    });
+  });
+
+  describe('header authentication', () => {
+    /**
+     * Encrypt a message, apply a change to the envelope and decrypt it
+     * @param {function(Object): void} mutate - Envelope modification
+     */
+    async function expectTamperRejected(mutate) {
+      const recipientKeys = await generateKeyPair();
+      const parsed = JSON.parse(
+        await encrypt('Secret', recipientKeys.publicKey)
+      );
+      mutate(parsed);
+
+      try {
+        await decrypt(JSON.stringify(parsed), recipientKeys.privateKey);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('Decryption failed');
+      }
+    }
+
+    it('should produce version 4 envelopes', async () => {
+      const recipientKeys = await generateKeyPair();
+      const parsed = JSON.parse(await encrypt('x', recipientKeys.publicKey));
+
+      expect(parsed.v).to.equal(4);
+      expect(parsed.t).to.be.a('number');
+    });
+
+    it('should reject a modified timestamp', async () => {
+      await expectTamperRejected((parsed) => {
+        parsed.t += 1;
+      });
+    });
+
+    it('should reject a modified content type', async () => {
+      await expectTamperRejected((parsed) => {
+        parsed.ct = 'binary';
+      });
+    });
+
+    it('should reject a removed header field', async () => {
+      await expectTamperRejected((parsed) => {
+        delete parsed.t;
+      });
+    });
+
+    it('should reject a downgraded version', async () => {
+      await expectTamperRejected((parsed) => {
+        parsed.v = 3;
+      });
+    });
+
+    it('should reject unknown versions', async () => {
+      await expectTamperRejected((parsed) => {
+        parsed.v = 99;
+      });
+    });
+
+    it('should authenticate the recipient key ID', async () => {
+      const recipientKeys = await generateKeyPair();
+      const parsed = JSON.parse(
+        await encrypt('Named', recipientKeys.publicKey, { includeKeyId: true })
+      );
+      expect(parsed.kid).to.equal(getKeyId(recipientKeys));
+
+      for (const mutate of [
+        (envelope) => (envelope.kid = '0000000000000000'),
+        (envelope) => delete envelope.kid,
+      ]) {
+        const tampered = { ...parsed };
+        mutate(tampered);
+
+        try {
+          await decrypt(JSON.stringify(tampered), recipientKeys.privateKey);
+          expect.fail('Should have thrown an error');
+        } catch (error) {
+          expect(error.message).to.include('Decryption failed');
+        }
+      }
+    });
+
+    it('should accept reordered envelope keys', async () => {
+      const recipientKeys = await generateKeyPair();
+      const parsed = JSON.parse(
+        await encrypt('Reordered', recipientKeys.publicKey)
+      );
+      const reordered = Object.fromEntries(Object.entries(parsed).reverse());
+
+      const decrypted = await decrypt(
+        JSON.stringify(reordered),
+        recipientKeys.privateKey
+      );
+      expect(decrypted).to.equal('Reordered');
+    });
+
+    it('should still decrypt version 3 envelopes on request', async () => {
+      const recipientKeys = await generateKeyPair();
+      const legacy = await encryptLegacyV3('Old', recipientKeys.publicKey);
+
+      const decrypted = await decrypt(legacy, recipientKeys.privateKey, {
+        requireKeyCommitment: false,
+      });
+      expect(decrypted).to.equal('Old');
+    });
+
+    it('should decrypt envelopes written by release 1.0.0 with the opt-out', async () => {
+      const { message, privateKey } = V3_FIXTURE;
+      const legacy = JSON.stringify(message);
+
+      try {
+        await decrypt(legacy, privateKey);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('does not commit to its key');
+      }
+
+      const decrypted = await decrypt(legacy, privateKey, {
+        requireKeyCommitment: false,
+      });
+      expect(decrypted).to.equal('Written by release 1.0.0');
+    });
+  });
+
+  describe('associated data and context', () => {
+    it('should round-trip with matching aad and context', async () => {
+      const recipientKeys = await generateKeyPair();
+      const options = { aad: 'conversation:42', context: 'chat' };
+
+      const encrypted = await encrypt('Hi', recipientKeys.publicKey, options);
+      const decrypted = await decrypt(
+        encrypted,
+        recipientKeys.privateKey,
+        options
+      );
+
+      expect(decrypted).to.equal('Hi');
+      expect(encrypted).to.not.include('conversation:42');
+    });
+
+    it('should accept the algorithm inside the options object', async () => {
+      const recipientKeys = await generateKeyPair('ML-KEM-768');
+
+      const encrypted = await encrypt('Hi', recipientKeys.publicKey, {
+        algorithm: 'ML-KEM-768',
+        aad: new Uint8Array([1, 2, 3]),
+      });
+      const decrypted = await decrypt(encrypted, recipientKeys.privateKey, {
+        aad: new Uint8Array([1, 2, 3]),
+      });
+
+      expect(JSON.parse(encrypted).alg).to.equal('ML-KEM-768');
+      expect(decrypted).to.equal('Hi');
+    });
+
+    it('should fail when the ciphertext is moved to another record', async () => {
+      const recipientKeys = await generateKeyPair();
+      const encrypted = await encrypt('Hi', recipientKeys.publicKey, {
+        aad: 'conversation:1',
+      });
+
+      try {
+        await decrypt(encrypted, recipientKeys.privateKey, {
+          aad: 'conversation:2',
+        });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('Decryption failed');
+      }
+    });
+
+    it('should fail when the aad is omitted', async () => {
+      const recipientKeys = await generateKeyPair();
+      const encrypted = await encrypt('Hi', recipientKeys.publicKey, {
+        aad: 'record:7',
+      });
+
+      try {
+        await decrypt(encrypted, recipientKeys.privateKey);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('Decryption failed');
+      }
+    });
+
+    it('should fail with a different context label', async () => {
+      const recipientKeys = await generateKeyPair();
+      const encrypted = await encrypt('Hi', recipientKeys.publicKey, {
+        context: 'tenant-a',
+      });
+
+      try {
+        await decrypt(encrypted, recipientKeys.privateKey, {
+          context: 'tenant-b',
+        });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('Decryption failed');
+      }
+    });
+
+    it('should reject non-string context labels', async () => {
+      const recipientKeys = await generateKeyPair();
+
+      try {
+        await encrypt('Hi', recipientKeys.publicKey, { context: 42 });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('Context must be a string');
+      }
+    });
+  });
+
+  describe('ciphers', () => {
+    it('should round-trip messages with every cipher', async () => {
+      const recipientKeys = await generateKeyPair('ML-KEM-768');
+
+      for (const cipher of AEAD.list()) {
+        const encrypted = await encrypt('Agile', recipientKeys.publicKey, {
+          algorithm: 'ML-KEM-768',
+          cipher,
+        });
+
+        expect(await decrypt(encrypted, recipientKeys.privateKey)).to.equal(
+          'Agile'
+        );
+      }
+    });
+
+    it('should record non-default ciphers in the envelope', async () => {
+      const recipientKeys = await generateKeyPair();
+      const plain = JSON.parse(await encrypt('x', recipientKeys.publicKey));
+      const extended = JSON.parse(
+        await encrypt('x', recipientKeys.publicKey, {
+          cipher: 'XChaCha20-Poly1305',
+        })
+      );
+
+      expect(plain).to.not.have.property('aead');
+      expect(extended.aead).to.equal('XChaCha20-Poly1305');
+      expect(Base64.decode(extended.n)).to.have.lengthOf(24);
+    });
+
+    it('should authenticate the cipher name', async () => {
+      const recipientKeys = await generateKeyPair();
+      const parsed = JSON.parse(
+        await encrypt('Pinned', recipientKeys.publicKey, {
+          cipher: 'AES-256-GCM-SIV',
+        })
+      );
+
+      for (const mutate of [
+        (envelope) => (envelope.aead = 'AES-256-GCM'),
+        (envelope) => delete envelope.aead,
+      ]) {
+        const tampered = { ...parsed };
+        mutate(tampered);
+
+        try {
+          await decrypt(JSON.stringify(tampered), recipientKeys.privateKey);
+          expect.fail('Should have thrown an error');
+        } catch (error) {
+          expect(error.message).to.include('Decryption failed');
+        }
+      }
+    });
+
+    it('should use the cipher for recipient and threshold slots', async () => {
+      const keys = await Promise.all([generateKeyPair(), generateKeyPair()]);
+      const publicKeys = keys.map(({ publicKey }) => publicKey);
+
+      const shared = await encryptForRecipients('Team', publicKeys, {
+        cipher: 'AES-256-GCM',
+      });
+      const vault = await encryptThreshold('Vault', publicKeys, 2, {
+        cipher: 'XChaCha20-Poly1305',
+      });
+
+      expect(JSON.parse(shared).r.every(({ n }) => n.length === 16)).to.be.true;
+      expect(JSON.parse(vault).r.every(({ n }) => n.length === 32)).to.be.true;
+      expect(await decrypt(shared, keys[1].privateKey)).to.equal('Team');
+      expect(
+        await combinePartialDecryptions(
+          vault,
+          await Promise.all(
+            keys.map(({ privateKey }) => partialDecrypt(vault, privateKey))
+          )
+        )
+      ).to.equal('Vault');
+    });
+
+    it('should use the cipher for password encryption', async () => {
+      const encrypted = await encryptWithPassword('Pw', 'secret', {
+        cost: { N: 2 ** 14, r: 8, p: 1 },
+        cipher: 'AES-256-GCM-SIV',
+      });
+
+      expect(JSON.parse(encrypted).aead).to.equal('AES-256-GCM-SIV');
+      expect(await decryptWithPassword(encrypted, 'secret')).to.equal('Pw');
+    });
+
+    it('should reject unknown ciphers', async () => {
+      const recipientKeys = await generateKeyPair();
+
+      try {
+        await encrypt('x', recipientKeys.publicKey, { cipher: 'ROT13' });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('Unsupported cipher: ROT13');
+      }
+
+      const parsed = JSON.parse(await encrypt('x', recipientKeys.publicKey));
+      parsed.aead = 'ROT13';
+      try {
+        await decrypt(JSON.stringify(parsed), recipientKeys.privateKey);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('Unsupported cipher: ROT13');
+      }
+    });
+
+    it('should keep the cipher when re-encrypting', async () => {
+      const oldKeys = await generateKeyPair();
+      const newKeys = await generateKeyPair();
+      const encrypted = await encrypt('Moved', oldKeys.publicKey, {
+        cipher: 'AES-256-GCM',
+      });
+
+      const kept = await reencrypt(
+        encrypted,
+        oldKeys.privateKey,
+        newKeys.publicKey
+      );
+      const changed = await reencrypt(
+        encrypted,
+        oldKeys.privateKey,
+        newKeys.publicKey,
+        { cipher: AEAD.DEFAULT }
+      );
+
+      expect(JSON.parse(kept).aead).to.equal('AES-256-GCM');
+      expect(JSON.parse(changed)).to.not.have.property('aead');
+      expect(await decrypt(kept, newKeys.privateKey)).to.equal('Moved');
+    });
+  });
+
+  describe('key commitment', () => {
+    it('should commit new envelopes to their payload key', async () => {
+      const recipientKeys = await generateKeyPair();
+      const keys = [
+        recipientKeys.publicKey,
+        (await generateKeyPair()).publicKey,
+      ];
+
+      for (const encrypted of [
+        await encrypt('x', recipientKeys.publicKey),
+        await encryptForRecipients('x', keys),
+        await encryptThreshold('x', keys, 2),
+        await encryptWithPassword('x', 'pw', {
+          cost: { N: 2 ** 14, r: 8, p: 1 },
+        }),
+      ]) {
+        expect(Base64.decode(JSON.parse(encrypted).kc)).to.have.lengthOf(32);
+      }
+    });
+
+    it('should leave the commitment out on request', async () => {
+      const recipientKeys = await generateKeyPair();
+      const encrypted = await encrypt('Compatible', recipientKeys.publicKey, {
+        keyCommitment: false,
+      });
+
+      expect(JSON.parse(encrypted)).to.not.have.property('kc');
+      expect(
+        await decrypt(encrypted, recipientKeys.privateKey, {
+          requireKeyCommitment: false,
+        })
+      ).to.equal('Compatible');
+    });
+
+    it('should refuse envelopes without a commitment unless told otherwise', async () => {
+      const recipientKeys = await generateKeyPair();
+      const uncommitted = await encrypt('Loose', recipientKeys.publicKey, {
+        keyCommitment: false,
+      });
+      const legacy = await encryptLegacyV3('Old', recipientKeys.publicKey);
+      const password = await encryptWithPassword('Pw', 'secret', {
+        cost: { N: 2 ** 14, r: 8, p: 1 },
+        keyCommitment: false,
+      });
+
+      for (const attempt of [
+        () => decrypt(uncommitted, recipientKeys.privateKey),
+        () => decrypt(legacy, recipientKeys.privateKey),
+        () => decryptWithPassword(password, 'secret'),
+      ]) {
+        try {
+          await attempt();
+          expect.fail('Should have thrown an error');
+        } catch (error) {
+          expect(error.message).to.include(
+            'Decryption failed: Message does not commit to its key'
+          );
+        }
+      }
+
+      const options = { requireKeyCommitment: false };
+      expect(await decrypt(legacy, recipientKeys.privateKey, options)).to.equal(
+        'Old'
+      );
+      expect(await decryptWithPassword(password, 'secret', options)).to.equal(
+        'Pw'
+      );
+    });
+
+    it('should reject a ciphertext that authenticates under two keys', async () => {
+      const recipients = [await generateKeyPair(), await generateKeyPair()];
+      const publicKeys = recipients.map(({ publicKey }) => publicKey);
+
+      // Without a commitment each recipient reads a different message
+      const forged = await encryptToTwoKeys(publicKeys, false);
+      for (const key of forged.keys) {
+        await AEAD.decrypt(
+          AEAD.DEFAULT,
+          key,
+          forged.nonce,
+          forged.ciphertext,
+          forged.associatedData
+        );
+      }
+      const [first, second] = await Promise.all(
+        recipients.map(({ privateKey }) =>
+          decrypt(forged.encrypted, privateKey, {
+            requireKeyCommitment: false,
+          })
+        )
+      );
+      expect(Array.from(first)).to.not.deep.equal(Array.from(second));
+
+      // By default such an envelope is refused outright
+      try {
+        await decrypt(forged.encrypted, recipients[1].privateKey);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('does not commit to its key');
+      }
+
+      // With a commitment only the committed key opens it
+      const committed = await encryptToTwoKeys(publicKeys, true);
+      for (const key of committed.keys) {
+        await AEAD.decrypt(
+          AEAD.DEFAULT,
+          key,
+          committed.nonce,
+          committed.ciphertext,
+          committed.associatedData
+        );
+      }
+      expect(
+        await decrypt(committed.encrypted, recipients[0].privateKey)
+      ).to.be.instanceOf(Uint8Array);
+
+      try {
+        await decrypt(committed.encrypted, recipients[1].privateKey);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.equal(
+          'Decryption failed: Key commitment mismatch'
+        );
+      }
+    });
+
+    it('should check the commitment before decrypting threshold payloads', async () => {
+      const custodians = [await generateKeyPair(), await generateKeyPair()];
+      const encrypted = await encryptThreshold('Vault', custodians, 2);
+      const [genuine, tampered] = await Promise.all(
+        custodians.map(({ privateKey }) =>
+          partialDecrypt(encrypted, privateKey)
+        )
+      );
+
+      const parsed = JSON.parse(tampered);
+      const share = Base64.decode(parsed.d);
+      share[0] ^= 1;
+      parsed.d = Base64.encode(share);
+
+      try {
+        await combinePartialDecryptions(encrypted, [
+          genuine,
+          JSON.stringify(parsed),
+        ]);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.equal(
+          'Decryption failed: Key commitment mismatch'
+        );
+      }
+    });
+
+    it('should add a commitment when re-encrypting', async () => {
+      const oldKeys = await generateKeyPair();
+      const newKeys = await generateKeyPair();
+      const encrypted = await encrypt('Moved', oldKeys.publicKey, {
+        keyCommitment: false,
+      });
+
+      const migrated = await reencrypt(
+        encrypted,
+        oldKeys.privateKey,
+        newKeys.publicKey,
+        { requireKeyCommitment: false }
+      );
+
+      expect(JSON.parse(migrated)).to.have.property('kc');
+      expect(await decrypt(migrated, newKeys.privateKey)).to.equal('Moved');
+    });
+  });
+
+  describe('encryptForRecipients', () => {
+    it('should let every recipient decrypt the same envelope', async () => {
+      const recipients = await Promise.all([
+        generateKeyPair(),
+        generateKeyPair(),
+        generateKeyPair(),
+      ]);
+      const message = 'Hello group';
+
+      const encrypted = await encryptForRecipients(
+        message,
+        recipients.map((keys) => keys.publicKey)
+      );
+
+      const parsed = JSON.parse(encrypted);
+      expect(parsed.r).to.have.lengthOf(3);
+      expect(parsed).to.not.have.property('kem');
+
+      for (const keys of recipients) {
+        const decrypted = await decrypt(encrypted, keys.privateKey);
+        expect(decrypted).to.equal(message);
+      }
+    });
+
+    it('should support ML-KEM-768, binary payloads and options', async () => {
+      const recipients = await Promise.all([
+        generateKeyPair('ML-KEM-768'),
+        generateKeyPair('ML-KEM-768'),
+      ]);
+      const message = new Uint8Array([9, 8, 7]);
+      const options = { algorithm: 'ML-KEM-768', aad: 'group:1' };
+
+      const encrypted = await encryptForRecipients(
+        message,
+        recipients.map((keys) => keys.publicKey),
+        options
+      );
+      const decrypted = await decrypt(
+        encrypted,
+        recipients[1].privateKey,
+        options
+      );
+
+      expect(Array.from(decrypted)).to.deep.equal([9, 8, 7]);
+    });
+
+    it('should reject a non-recipient', async () => {
+      const recipient = await generateKeyPair();
+      const outsider = await generateKeyPair();
+
+      const encrypted = await encryptForRecipients('Hi', [recipient.publicKey]);
+
+      try {
+        await decrypt(encrypted, outsider.privateKey);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('No recipient slot');
+      }
+    });
+
+    it('should reject a tampered header', async () => {
+      const recipient = await generateKeyPair();
+      const parsed = JSON.parse(
+        await encryptForRecipients('Hi', [recipient.publicKey])
+      );
+      parsed.t += 1;
+
+      try {
+        await decrypt(JSON.stringify(parsed), recipient.privateKey);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('Decryption failed');
+      }
+    });
+
+    it('should name every recipient when asked', async () => {
+      const recipients = await Promise.all([
+        generateKeyPair(),
+        generateKeyPair(),
+      ]);
+
+      const encrypted = await encryptForRecipients(
+        'Hi',
+        recipients.map((keys) => keys.publicKey),
+        { includeKeyId: true }
+      );
+
+      const parsed = JSON.parse(encrypted);
+      expect(parsed.r.map((slot) => slot.kid)).to.deep.equal(
+        recipients.map((keys) => getKeyId(keys))
+      );
+      expect(await decrypt(encrypted, recipients[1].privateKey)).to.equal('Hi');
+    });
+
+    it('should require at least one recipient', async () => {
+      try {
+        await encryptForRecipients('Hi', []);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('At least one recipient');
+      }
+    });
+
+    it('should be recognized as a valid encrypted message', async () => {
+      const recipient = await generateKeyPair();
+      const encrypted = await encryptForRecipients('Hi', [recipient.publicKey]);
+
+      expect(isValidEncryptedMessage(encrypted)).to.be.true;
+
+      const parsed = JSON.parse(encrypted);
+      parsed.r = [];
+      expect(isValidEncryptedMessage(JSON.stringify(parsed))).to.be.false;
+    });
+  });
+
+  describe('encryptThreshold', () => {
+    let custodians;
+
+    before(async () => {
+      custodians = [];
+      for (let i = 0; i < 4; i++) {
+        custodians.push(await generateKeyPair('ML-KEM-768'));
+      }
+    });
+
+    /**
+     * Collect partial decryptions from the given custodians
+     * @param {string} encrypted - Threshold-encrypted message
+     * @param {number[]} indices - Custodian positions
+     * @returns {Promise<string[]>} Partial decryptions
+     */
+    function collectPartials(encrypted, indices) {
+      return Promise.all(
+        indices.map((i) => partialDecrypt(encrypted, custodians[i].privateKey))
+      );
+    }
+
+    it('should decrypt with any threshold of custodians', async () => {
+      const encrypted = await encryptThreshold('Archive', custodians, 3);
+      const parsed = JSON.parse(encrypted);
+
+      expect(parsed.k).to.equal(3);
+      expect(parsed.r).to.have.lengthOf(4);
+      expect(parsed.alg).to.equal('ML-KEM-768');
+
+      for (const indices of [
+        [0, 1, 2],
+        [3, 1, 0],
+        [0, 1, 2, 3],
+      ]) {
+        const partials = await collectPartials(encrypted, indices);
+        expect(await combinePartialDecryptions(encrypted, partials)).to.equal(
+          'Archive'
+        );
+      }
+    });
+
+    it('should require the threshold number of partial decryptions', async () => {
+      const encrypted = await encryptThreshold('Archive', custodians, 3);
+      const partials = await collectPartials(encrypted, [0, 2]);
+
+      try {
+        await combinePartialDecryptions(encrypted, partials);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.equal(
+          'Decryption failed: 3 partial decryptions are required, got 2'
+        );
+      }
+    });
+
+    it('should refuse decryption by a single custodian', async () => {
+      const encrypted = await encryptThreshold('Archive', custodians, 2);
+
+      try {
+        await decrypt(encrypted, custodians[0].privateKey);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('Message needs 2 of 4 custodians');
+      }
+    });
+
+    it('should keep binary payloads, associated data and signatures', async () => {
+      const sender = await generateSigningKeyPair('ML-DSA-65');
+      const encrypted = await encryptThreshold(
+        new Uint8Array([9, 8, 7]),
+        custodians,
+        2,
+        { aad: 'case-7', context: 'vault', signingKey: sender }
+      );
+
+      const partials = await Promise.all(
+        [1, 3].map((i) =>
+          partialDecrypt(encrypted, custodians[i].privateKey, {
+            context: 'vault',
+          })
+        )
+      );
+      const decrypted = await combinePartialDecryptions(encrypted, partials, {
+        aad: 'case-7',
+        senderPublicKey: sender.publicKey,
+      });
+      expect(Array.from(decrypted)).to.deep.equal([9, 8, 7]);
+
+      try {
+        await combinePartialDecryptions(encrypted, partials, { aad: 'other' });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('Decryption failed');
+      }
+    });
+
+    it('should reject partial decryptions of another message', async () => {
+      const first = await encryptThreshold('One', custodians, 2);
+      const second = await encryptThreshold('Two', custodians, 2);
+
+      const partials = [
+        await partialDecrypt(first, custodians[0].privateKey),
+        await partialDecrypt(second, custodians[1].privateKey),
+      ];
+
+      try {
+        await combinePartialDecryptions(first, partials);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('belongs to a different message');
+      }
+    });
+
+    it('should reject the same custodian twice', async () => {
+      const encrypted = await encryptThreshold('Archive', custodians, 2);
+      const partial = await partialDecrypt(encrypted, custodians[0].privateKey);
+
+      try {
+        await combinePartialDecryptions(encrypted, [partial, partial]);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('same custodian twice');
+      }
+    });
+
+    it('should fail with a tampered partial decryption', async () => {
+      const encrypted = await encryptThreshold('Archive', custodians, 2);
+      const [genuine, tampered] = await collectPartials(encrypted, [0, 1]);
+
+      const parsed = JSON.parse(tampered);
+      const share = Base64.decode(parsed.d);
+      share[0] ^= 1;
+      parsed.d = Base64.encode(share);
+
+      try {
+        await combinePartialDecryptions(encrypted, [
+          genuine,
+          JSON.stringify(parsed),
+        ]);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('Decryption failed');
+      }
+    });
+
+    it('should reject non-custodians and other messages', async () => {
+      const outsider = await generateKeyPair('ML-KEM-768');
+      const encrypted = await encryptThreshold('Archive', custodians, 2);
+
+      try {
+        await partialDecrypt(encrypted, outsider.privateKey);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.equal(
+          'Partial decryption failed: No recipient slot matches the private key'
+        );
+      }
+
+      const plain = await encrypt('Plain', custodians[0]);
+      try {
+        await partialDecrypt(plain, custodians[0].privateKey);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('not threshold-encrypted');
+      }
+    });
+
+    it('should reject invalid thresholds', async () => {
+      for (const threshold of [1, 5, 2.5]) {
+        try {
+          await encryptThreshold('Archive', custodians, threshold);
+          expect.fail('Should have thrown an error');
+        } catch (error) {
+          expect(error.message).to.include(
+            'Threshold must be an integer from 2 to the number of custodians'
+          );
+        }
+      }
+    });
+  });
+
+  describe('password encryption', () => {
+    // Minimum cost keeps the tests fast
+    const cost = { N: 2 ** 14, r: 8, p: 1 };
+
+    it('should round-trip text and binary messages', async () => {
+      const text = await encryptWithPassword('Quick share', 'correct horse', {
+        cost,
+      });
+      const binary = await encryptWithPassword(
+        new Uint8Array([1, 2, 3]),
+        'correct horse',
+        { cost }
+      );
+
+      expect(await decryptWithPassword(text, 'correct horse')).to.equal(
+        'Quick share'
+      );
+      expect(
+        Array.from(await decryptWithPassword(binary, 'correct horse'))
+      ).to.deep.equal([1, 2, 3]);
+    });
+
+    it('should store the scrypt parameters and salt in the envelope', async () => {
+      const encrypted = JSON.parse(
+        await encryptWithPassword('Hi', 'pw', {
+          cost: { N: 2 ** 15, r: 4, p: 2 },
+        })
+      );
+
+      expect(encrypted.v).to.equal(4);
+      expect(encrypted.alg).to.equal('password');
+      expect(encrypted.kdf).to.equal('$scrypt$ln=15,r=4,p=2');
+      expect(Base64.decode(encrypted.s)).to.have.lengthOf(32);
+      expect(encrypted).to.not.have.property('kem');
+    });
+
+    it('should default to the Scrypt default cost', async function () {
+      this.timeout(10000);
+
+      const encrypted = await encryptWithPassword('Hi', 'pw');
+      expect(JSON.parse(encrypted).kdf).to.equal('$scrypt$ln=17,r=8,p=1');
+    });
+
+    it('should fail with the wrong password', async () => {
+      const encrypted = await encryptWithPassword('Secret', 'right', { cost });
+
+      try {
+        await decryptWithPassword(encrypted, 'wrong');
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.equal(
+          'Decryption failed: Incorrect password or corrupted message'
+        );
+      }
+    });
+
+    it('should authenticate the cost parameters and associated data', async () => {
+      const encrypted = await encryptWithPassword('Secret', 'pw', {
+        cost,
+        aad: 'ticket-9',
+      });
+      expect(
+        await decryptWithPassword(encrypted, 'pw', { aad: 'ticket-9' })
+      ).to.equal('Secret');
+
+      const downgraded = JSON.parse(encrypted);
+      downgraded.kdf = '$scrypt$ln=14,r=1,p=1';
+
+      for (const [content, options] of [
+        [encrypted, { aad: 'ticket-10' }],
+        [JSON.stringify(downgraded), { aad: 'ticket-9' }],
+      ]) {
+        try {
+          await decryptWithPassword(content, 'pw', options);
+          expect.fail('Should have thrown an error');
+        } catch (error) {
+          expect(error.message).to.include('Incorrect password');
+        }
+      }
+    });
+
+    it('should refuse cost parameters outside the safe range', async () => {
+      try {
+        await encryptWithPassword('Hi', 'pw', {
+          cost: { N: 2 ** 10, r: 8, p: 1 },
+        });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('scrypt N must be a power of two');
+      }
+
+      const encrypted = JSON.parse(
+        await encryptWithPassword('Hi', 'pw', { cost })
+      );
+      encrypted.kdf = '$scrypt$ln=30,r=8,p=1';
+
+      try {
+        await decryptWithPassword(JSON.stringify(encrypted), 'pw');
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('scrypt N must be a power of two');
+      }
+    });
+
+    it('should support the binary and armored forms', async () => {
+      const encrypted = await encryptWithPassword('Form', 'pw', { cost });
+
+      expect(
+        await decryptWithPassword(serializeEnvelope(encrypted), 'pw')
+      ).to.equal('Form');
+      expect(await decryptWithPassword(armorMessage(encrypted), 'pw')).to.equal(
+        'Form'
+      );
+    });
+
+    it('should not be mixed up with key-encrypted messages', async () => {
+      const keys = await generateKeyPair('ML-KEM-768');
+      const byPassword = await encryptWithPassword('A', 'pw', { cost });
+      const byKey = await encrypt('B', keys);
+
+      expect(isValidEncryptedMessage(byPassword)).to.be.true;
+
+      try {
+        await decrypt(byPassword, keys.privateKey);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('use decryptWithPassword()');
+      }
+
+      try {
+        await decryptWithPassword(byKey, 'pw');
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include(
+          'encrypted to an ML-KEM-768 key, not a password'
+        );
+      }
+    });
+  });
+
+  describe('signed messages', () => {
+    it('should verify the expected sender', async () => {
+      const recipient = await generateKeyPair();
+      const sender = await generateSigningKeyPair();
+
+      const encrypted = await encrypt('From Alice', recipient.publicKey, {
+        signingKey: sender,
+      });
+      const decrypted = await decrypt(encrypted, recipient.privateKey, {
+        senderPublicKey: sender.publicKey,
+      });
+
+      expect(JSON.parse(encrypted).sg).to.equal('ML-DSA-87');
+      expect(decrypted).to.equal('From Alice');
+    });
+
+    it('should accept a raw private key string', async () => {
+      const recipient = await generateKeyPair();
+      const sender = await generateSigningKeyPair();
+
+      const encrypted = await encrypt(
+        new Uint8Array([1, 2]),
+        recipient.publicKey,
+        { signingKey: sender.privateKey }
+      );
+      const decrypted = await decrypt(encrypted, recipient.privateKey, {
+        senderPublicKey: sender.publicKey,
+      });
+
+      expect(Array.from(decrypted)).to.deep.equal([1, 2]);
+    });
+
+    it('should decrypt signed messages without checking the sender', async () => {
+      const recipient = await generateKeyPair();
+      const sender = await generateSigningKeyPair('ML-DSA-65');
+
+      const encrypted = await encrypt('Hi', recipient.publicKey, {
+        signingKey: sender,
+      });
+
+      expect(await decrypt(encrypted, recipient.privateKey)).to.equal('Hi');
+    });
+
+    it('should fail for an unexpected sender', async () => {
+      const recipient = await generateKeyPair();
+      const sender = await generateSigningKeyPair();
+      const impostor = await generateSigningKeyPair();
+
+      const encrypted = await encrypt('Hi', recipient.publicKey, {
+        signingKey: impostor,
+      });
+
+      try {
+        await decrypt(encrypted, recipient.privateKey, {
+          senderPublicKey: sender.publicKey,
+        });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('Sender signature verification');
+      }
+    });
+
+    it('should fail when an expected signature is missing', async () => {
+      const recipient = await generateKeyPair();
+      const sender = await generateSigningKeyPair();
+
+      const encrypted = await encrypt('Hi', recipient.publicKey);
+
+      try {
+        await decrypt(encrypted, recipient.privateKey, {
+          senderPublicKey: sender.publicKey,
+        });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('not signed');
+      }
+    });
+
+    it('should bind the signature to every recipient slot', async () => {
+      const recipients = await Promise.all([
+        generateKeyPair(),
+        generateKeyPair(),
+      ]);
+      const sender = await generateSigningKeyPair();
+
+      const encrypted = await encryptForRecipients(
+        'Group hello',
+        recipients.map((keys) => keys.publicKey),
+        { signingKey: sender }
+      );
+
+      for (const keys of recipients) {
+        const decrypted = await decrypt(encrypted, keys.privateKey, {
+          senderPublicKey: sender.publicKey,
+        });
+        expect(decrypted).to.equal('Group hello');
+      }
+    });
+  });
+
+  describe('recipient key metadata', () => {
+    let keyPair;
+
+    before(async () => {
+      keyPair = await generateKeyPair('ML-KEM-768');
+    });
+
+    it('should encrypt to key objects using their algorithm', async () => {
+      const encrypted = await encrypt('hello', {
+        ...keyPair,
+        expiresAt: Date.now() + 60000,
+      });
+
+      expect(JSON.parse(encrypted).alg).to.equal('ML-KEM-768');
+      expect(await decrypt(encrypted, keyPair.privateKey)).to.equal('hello');
+    });
+
+    it('should refuse expired recipient keys', async () => {
+      const expired = { ...keyPair, expiresAt: Date.UTC(2020, 0, 1) };
+
+      try {
+        await encrypt('hello', expired);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include(
+          'Recipient key expired on 2020-01-01T00:00:00.000Z'
+        );
+      }
+
+      try {
+        await encryptForRecipients(
+          'hello',
+          [keyPair.publicKey, expired],
+          'ML-KEM-768'
+        );
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('Recipient key expired');
+      }
+    });
+
+    it('should refuse decrypt-only recipient keys', async () => {
+      try {
+        await encrypt('hello', { ...keyPair, usage: ['decrypt'] });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('Recipient key is decrypt-only');
+      }
+    });
+
+    it('should refuse key objects for another algorithm', async () => {
+      try {
+        await encrypt('hello', keyPair, 'ML-KEM-1024');
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include(
+          'Recipient key is an ML-KEM-768 key, not ML-KEM-1024'
+        );
+      }
+    });
+
+    it('should still decrypt with expired keys', async () => {
+      const encrypted = await encrypt('hello', keyPair);
+      const expired = { ...keyPair, expiresAt: Date.UTC(2020, 0, 1) };
+
+      expect(await decrypt(encrypted, expired.privateKey)).to.equal('hello');
+    });
+  });
+
+  describe('reencrypt', () => {
+    let oldKeys;
+    let newKeys;
+
+    before(async () => {
+      oldKeys = await generateKeyPair('ML-KEM-768');
+      newKeys = await generateKeyPair('ML-KEM-1024');
+    });
+
+    it('should move a message to a new key', async () => {
+      const encrypted = await encrypt('Archived', oldKeys);
+      const reencrypted = await reencrypt(
+        encrypted,
+        oldKeys.privateKey,
+        newKeys
+      );
+
+      expect(JSON.parse(reencrypted).alg).to.equal('ML-KEM-1024');
+      expect(await decrypt(reencrypted, newKeys.privateKey)).to.equal(
+        'Archived'
+      );
+
+      try {
+        await decrypt(reencrypted, oldKeys.privateKey, 'ML-KEM-768');
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('Decryption failed');
+      }
+    });
+
+    it("should keep the message's algorithm for Base64 keys", async () => {
+      const successor = await generateKeyPair('ML-KEM-768');
+      const encrypted = await encrypt('Same size', oldKeys);
+
+      const reencrypted = await reencrypt(
+        encrypted,
+        oldKeys.privateKey,
+        successor.publicKey
+      );
+
+      expect(JSON.parse(reencrypted).alg).to.equal('ML-KEM-768');
+      expect(await decrypt(reencrypted, successor.privateKey)).to.equal(
+        'Same size'
+      );
+    });
+
+    it('should keep binary payloads, associated data and context', async () => {
+      const message = new Uint8Array([0, 1, 2, 255]);
+      const options = { aad: 'invoice-42', context: 'billing' };
+      const encrypted = await encrypt(message, oldKeys, options);
+
+      const reencrypted = await reencrypt(
+        encrypted,
+        oldKeys.privateKey,
+        newKeys,
+        options
+      );
+      const decrypted = await decrypt(reencrypted, newKeys.privateKey, options);
+
+      expect(Array.from(decrypted)).to.deep.equal([0, 1, 2, 255]);
+    });
+
+    it('should keep the binary and armored forms', async () => {
+      const json = await encrypt('Form', oldKeys);
+
+      const binary = await reencrypt(
+        serializeEnvelope(json),
+        oldKeys.privateKey,
+        newKeys
+      );
+      const armored = await reencrypt(
+        armorMessage(json),
+        oldKeys.privateKey,
+        newKeys
+      );
+
+      expect(isBinaryEnvelope(binary)).to.be.true;
+      expect(isArmored(armored)).to.be.true;
+      expect(await decrypt(binary, newKeys.privateKey)).to.equal('Form');
+      expect(await decrypt(armored, newKeys.privateKey)).to.equal('Form');
+    });
+
+    it('should keep recipient key IDs only if the original had them', async () => {
+      const named = await encrypt('Named', oldKeys, { includeKeyId: true });
+      const anonymous = await encrypt('Anonymous', oldKeys);
+
+      const fromNamed = await reencrypt(named, oldKeys.privateKey, newKeys);
+      const fromAnonymous = await reencrypt(
+        anonymous,
+        oldKeys.privateKey,
+        newKeys
+      );
+
+      expect(JSON.parse(fromNamed).kid).to.equal(getKeyId(newKeys));
+      expect(JSON.parse(fromAnonymous)).to.not.have.property('kid');
+    });
+
+    it('should re-encrypt for several recipients', async () => {
+      const other = await generateKeyPair('ML-KEM-1024');
+      const encrypted = await encrypt('Team', oldKeys);
+
+      const reencrypted = await reencrypt(encrypted, oldKeys.privateKey, [
+        newKeys,
+        other,
+      ]);
+
+      expect(await decrypt(reencrypted, newKeys.privateKey)).to.equal('Team');
+      expect(await decrypt(reencrypted, other.privateKey)).to.equal('Team');
+    });
+
+    it('should upgrade legacy v3 messages', async () => {
+      const legacyKeys = await generateKeyPair('ML-KEM-1024');
+      const legacy = await encryptLegacyV3('Old', legacyKeys.publicKey);
+
+      const reencrypted = await reencrypt(
+        legacy,
+        legacyKeys.privateKey,
+        newKeys,
+        { requireKeyCommitment: false }
+      );
+
+      expect(JSON.parse(reencrypted).v).to.equal(4);
+      expect(await decrypt(reencrypted, newKeys.privateKey)).to.equal('Old');
+    });
+
+    it('should refuse signed messages unless the signature is dropped', async () => {
+      const sender = await generateSigningKeyPair();
+      const encrypted = await encrypt('Signed', oldKeys, {
+        signingKey: sender,
+      });
+
+      try {
+        await reencrypt(encrypted, oldKeys.privateKey, newKeys);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('Re-encryption failed');
+        expect(error.message).to.include('dropSignature');
+      }
+
+      const reencrypted = await reencrypt(
+        encrypted,
+        oldKeys.privateKey,
+        newKeys,
+        { senderPublicKey: sender.publicKey, dropSignature: true }
+      );
+
+      expect(JSON.parse(reencrypted)).to.not.have.property('sg');
+      expect(await decrypt(reencrypted, newKeys.privateKey)).to.equal('Signed');
+    });
+
+    it('should fail with the wrong old key', async () => {
+      const encrypted = await encrypt('Secret', oldKeys);
+
+      try {
+        await reencrypt(encrypted, newKeys.privateKey, newKeys);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('Re-encryption failed');
+      }
+    });
+
+    it('should reject content that is not an encrypted message', async () => {
+      try {
+        await reencrypt('not a message', oldKeys.privateKey, newKeys);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.equal(
+          'Re-encryption failed: Invalid encrypted message format'
+        );
+      }
+    });
+  });
+
+  describe('end-to-end encryption', () => {
+    it('should work for multiple messages with same keys', async () => {
+      const recipientKeys = await generateKeyPair();
+      const messages = ['Message 1', 'Message 2', 'Message 3'];
+
+      for (const message of messages) {
+        const encrypted = await encrypt(message, recipientKeys.publicKey);
+        const decrypted = await decrypt(encrypted, recipientKeys.privateKey);
+        expect(decrypted).to.equal(message);
+      }
+    });
+
+    it('should work with hybrid X-Wing keys', async () => {
+      const keys = await generateKeyPair('X-Wing');
+      const message = 'Hybrid test';
+
+      const encrypted = await encrypt(message, keys.publicKey, 'X-Wing');
+      expect(JSON.parse(encrypted).alg).to.equal('X-Wing');
+
+      const decrypted = await decrypt(encrypted, keys.privateKey);
+      expect(decrypted).to.equal(message);
+    });
+
+    it('should fail to decrypt X-Wing messages with the wrong key', async () => {
+      const keys = await generateKeyPair('X-Wing');
+      const otherKeys = await generateKeyPair('X-Wing');
+
+      const encrypted = await encrypt('Hybrid', keys.publicKey, 'X-Wing');
+
+      try {
+        await decrypt(encrypted, otherKeys.privateKey);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('Decryption failed');
       }
     });
 
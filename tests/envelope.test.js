@@ -0,0 +1,226 @@
+/**
+ * @fileoverview Tests for the binary envelope format
+ * Testing Framework: Mocha with Chai
+ */
+
+import { expect } from 'chai';
+import {
+  serializeEnvelope,
+  parseEnvelope,
+  isBinaryEnvelope,
+} from '../src/envelope.js';
+import {
+  encrypt,
+  encryptForRecipients,
+  encryptThreshold,
+  decrypt,
+  partialDecrypt,
+  combinePartialDecryptions,
+  isValidEncryptedMessage,
+} from '../src/encryptor.js';
+import { generateKeyPair } from '../src/key-manager.js';
+import { generateSigningKeyPair } from '../src/signer.js';
+
+describe('Binary envelopes', () => {
+  let keyPair;
+
+  before(async () => {
+    keyPair = await generateKeyPair();
+  });
+
+  it('should round-trip an envelope through the binary format', async () => {
+    const encrypted = await encrypt('Hello, binary!', keyPair.publicKey);
+
+    const binary = serializeEnvelope(encrypted);
+    expect(binary).to.be.instanceOf(Uint8Array);
+    expect(isBinaryEnvelope(binary)).to.be.true;
+    expect(JSON.parse(parseEnvelope(binary))).to.deep.equal(
+      JSON.parse(encrypted)
+    );
+  });
+
+  it('should be smaller than the JSON envelope', async () => {
+    const encrypted = await encrypt('x'.repeat(4096), keyPair.publicKey);
+    const binary = serializeEnvelope(encrypted);
+
+    expect(binary.length).to.be.below(encrypted.length * 0.8);
+  });
+
+  it('should be decrypted directly', async () => {
+    const encrypted = await encrypt('Direct binary', keyPair.publicKey, {
+      aad: 'record-1',
+    });
+    const binary = serializeEnvelope(encrypted);
+
+    const decrypted = await decrypt(binary, keyPair.privateKey, {
+      aad: 'record-1',
+    });
+    expect(decrypted).to.equal('Direct binary');
+  });
+
+  it('should be accepted as a Buffer', async () => {
+    const encrypted = await encrypt('From a file', keyPair.publicKey);
+    const buffer = Buffer.from(serializeEnvelope(encrypted));
+
+    expect(isValidEncryptedMessage(buffer)).to.be.true;
+    expect(await decrypt(buffer, keyPair.privateKey)).to.equal('From a file');
+  });
+
+  it('should preserve multi-recipient and signed envelopes', async () => {
+    const other = await generateKeyPair();
+    const sender = await generateSigningKeyPair();
+
+    const multi = await encryptForRecipients('Team', [
+      keyPair.publicKey,
+      other.publicKey,
+    ]);
+    expect(await decrypt(serializeEnvelope(multi), other.privateKey)).to.equal(
+      'Team'
+    );
+
+    const signed = await encrypt('Signed', keyPair.publicKey, {
+      signingKey: sender,
+    });
+    const decrypted = await decrypt(
+      serializeEnvelope(signed),
+      keyPair.privateKey,
+      { senderPublicKey: sender.publicKey }
+    );
+    expect(decrypted).to.equal('Signed');
+  });
+
+  it('should preserve recipient key IDs', async () => {
+    const other = await generateKeyPair();
+
+    const single = await encrypt('Named', keyPair.publicKey, {
+      includeKeyId: true,
+    });
+    const singleBinary = serializeEnvelope(single);
+    expect(singleBinary[4]).to.equal(1);
+    expect(JSON.parse(parseEnvelope(singleBinary))).to.deep.equal(
+      JSON.parse(single)
+    );
+
+    // Slot key IDs need format version 2; plain slots keep version 1
+    const multi = await encryptForRecipients(
+      'Team',
+      [keyPair.publicKey, other.publicKey],
+      { includeKeyId: true }
+    );
+    const multiBinary = serializeEnvelope(multi);
+    expect(multiBinary[4]).to.equal(2);
+    expect(JSON.parse(parseEnvelope(multiBinary))).to.deep.equal(
+      JSON.parse(multi)
+    );
+    expect(await decrypt(multiBinary, other.privateKey)).to.equal('Team');
+
+    const plain = await encryptForRecipients('Team', [keyPair.publicKey]);
+    expect(serializeEnvelope(plain)[4]).to.equal(1);
+  });
+
+  it('should preserve threshold envelopes', async () => {
+    const other = await generateKeyPair();
+    const encrypted = await encryptThreshold(
+      'Vault',
+      [keyPair.publicKey, other.publicKey],
+      2
+    );
+
+    const binary = serializeEnvelope(encrypted);
+    expect(JSON.parse(parseEnvelope(binary))).to.deep.equal(
+      JSON.parse(encrypted)
+    );
+
+    const partials = [
+      await partialDecrypt(binary, keyPair.privateKey),
+      await partialDecrypt(encrypted, other.privateKey),
+    ];
+    expect(await combinePartialDecryptions(binary, partials)).to.equal('Vault');
+  });
+
+  it('should preserve the cipher of the envelope', async () => {
+    const encrypted = await encrypt('Agile', keyPair.publicKey, {
+      cipher: 'AES-256-GCM-SIV',
+    });
+
+    const binary = serializeEnvelope(encrypted);
+    expect(JSON.parse(parseEnvelope(binary))).to.deep.equal(
+      JSON.parse(encrypted)
+    );
+    expect(await decrypt(binary, keyPair.privateKey)).to.equal('Agile');
+  });
+
+  it('should preserve the key commitment', async () => {
+    const encrypted = await encrypt('Pinned', keyPair.publicKey);
+    const parsed = JSON.parse(parseEnvelope(serializeEnvelope(encrypted)));
+
+    expect(parsed.kc).to.equal(JSON.parse(encrypted).kc);
+    expect(
+      await decrypt(serializeEnvelope(encrypted), keyPair.privateKey, {
+        requireKeyCommitment: true,
+      })
+    ).to.equal('Pinned');
+  });
+
+  it('should preserve binary payloads', async () => {
+    const payload = new Uint8Array([0, 1, 2, 254, 255]);
+    const encrypted = await encrypt(payload, keyPair.publicKey);
+
+    const decrypted = await decrypt(
+      serializeEnvelope(encrypted),
+      keyPair.privateKey
+    );
+    expect(Array.from(decrypted)).to.deep.equal(Array.from(payload));
+  });
+
+  it('should fail authentication when a field is modified', async () => {
+    const encrypted = await encrypt('Tamper me', keyPair.publicKey);
+    const binary = serializeEnvelope(encrypted);
+    binary[binary.length - 1] ^= 1;
+
+    try {
+      await decrypt(binary, keyPair.privateKey);
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error.message).to.include('Decryption failed');
+    }
+  });
+
+  it('should reject truncated envelopes', async () => {
+    const encrypted = await encrypt('Cut short', keyPair.publicKey);
+    const binary = serializeEnvelope(encrypted);
+
+    expect(() => parseEnvelope(binary.subarray(0, binary.length - 5))).to.throw(
+      'Binary envelope is truncated'
+    );
+    expect(isValidEncryptedMessage(binary.subarray(0, 40))).to.be.false;
+  });
+
+  it('should reject unknown format versions', async () => {
+    const binary = serializeEnvelope(
+      await encrypt('Future', keyPair.publicKey)
+    );
+    binary[4] = 99;
+
+    expect(() => parseEnvelope(binary)).to.throw(
+      'Unsupported binary envelope version'
+    );
+  });
+
+  it('should refuse to serialize unknown fields', async () => {
+    const parsed = JSON.parse(await encrypt('Extra', keyPair.publicKey));
+    parsed.extra = 'value';
+
+    expect(() => serializeEnvelope(parsed)).to.throw(
+      'Unsupported envelope field: extra'
+    );
+  });
+
+  it('should not detect JSON or random bytes as binary envelopes', async () => {
+    const encrypted = await encrypt('JSON', keyPair.publicKey);
+
+    expect(isBinaryEnvelope(encrypted)).to.be.false;
+    expect(isBinaryEnvelope(new TextEncoder().encode(encrypted))).to.be.false;
+    expect(isBinaryEnvelope(new Uint8Array(3))).to.be.false;
+  });
+});
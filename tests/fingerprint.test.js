@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Tests for public key fingerprints
+ * Testing Framework: Mocha with Chai
+ */
+
+import { expect } from 'chai';
+import { createHash } from 'node:crypto';
+import { wordlist } from '@scure/bip39/wordlists/english.js';
+import {
+  fingerprint,
+  getKeyId,
+  formatFingerprint,
+  computeSafetyNumber,
+} from '../src/fingerprint.js';
+import { generateKeyPair, exportKeyPair } from '../src/key-manager.js';
+import { generateSigningKeyPair } from '../src/signer.js';
+import { Base64 } from '../src/crypto-utils.js';
+
+describe('Fingerprints', () => {
+  let keyPair;
+
+  before(async () => {
+    keyPair = await generateKeyPair('ML-KEM-768');
+  });
+
+  it('should hash the algorithm and public key with SHA-256', () => {
+    const expected = createHash('sha256')
+      .update('ML-KEM-768')
+      .update(Base64.decode(keyPair.publicKey))
+      .digest('hex');
+
+    const result = fingerprint(keyPair.publicKey, 'ML-KEM-768');
+    expect(result.algorithm).to.equal('ML-KEM-768');
+    expect(result.hex).to.equal(expected);
+    expect(result.keyId).to.equal(expected.slice(0, 16));
+  });
+
+  it('should be stable across key representations', async () => {
+    const fromString = fingerprint(keyPair.publicKey, 'ML-KEM-768');
+
+    expect(fingerprint(keyPair)).to.deep.equal(fromString);
+    expect(fingerprint(await exportKeyPair(keyPair))).to.deep.equal(fromString);
+    expect(getKeyId(keyPair)).to.equal(fromString.keyId);
+  });
+
+  it('should render twelve words from the BIP39 English list', () => {
+    const { hex, words } = fingerprint(keyPair);
+    const list = words.split(' ');
+
+    expect(list).to.have.lengthOf(12);
+    list.forEach((word) => expect(wordlist).to.include(word));
+
+    // The first word encodes the leading 11 bits of the digest
+    expect(wordlist.indexOf(list[0])).to.equal(
+      parseInt(hex.slice(0, 3), 16) >> 1
+    );
+  });
+
+  it('should distinguish different keys', async () => {
+    const other = await generateKeyPair('ML-KEM-768');
+    expect(fingerprint(other).hex).to.not.equal(fingerprint(keyPair).hex);
+  });
+
+  it('should support signing public keys', async () => {
+    const signingKeyPair = await generateSigningKeyPair('ML-DSA-65');
+    const result = fingerprint(signingKeyPair);
+
+    expect(result.algorithm).to.equal('ML-DSA-65');
+    expect(result.hex).to.match(/^[0-9a-f]{64}$/);
+  });
+
+  it('should reject keys that do not match the algorithm', () => {
+    expect(() => fingerprint(keyPair.publicKey)).to.throw(
+      'Invalid ML-KEM-1024 public key'
+    );
+    expect(() => fingerprint('not a key', 'X-Wing')).to.throw(
+      'Invalid X-Wing public key'
+    );
+  });
+
+  it('should format fingerprints in groups of four', () => {
+    const { hex } = fingerprint(keyPair);
+    const formatted = formatFingerprint(hex);
+
+    expect(formatted).to.match(/^([0-9A-F]{4} ){15}[0-9A-F]{4}$/);
+    expect(formatted.replace(/ /g, '').toLowerCase()).to.equal(hex);
+  });
+
+  describe('computeSafetyNumber', () => {
+    let theirs;
+
+    before(async () => {
+      theirs = await generateKeyPair('ML-KEM-1024');
+    });
+
+    it('should produce sixty digits in groups of five', () => {
+      const { digits, formatted } = computeSafetyNumber(keyPair, theirs);
+
+      expect(digits).to.match(/^\d{60}$/);
+      expect(formatted).to.match(/^(\d{5} ){11}\d{5}$/);
+      expect(formatted.replace(/ /g, '')).to.equal(digits);
+    });
+
+    it('should be the same for both parties', () => {
+      expect(computeSafetyNumber(theirs, keyPair)).to.deep.equal(
+        computeSafetyNumber(keyPair, theirs)
+      );
+    });
+
+    it('should accept Base64 keys with an algorithm', async () => {
+      const other = await generateKeyPair('ML-KEM-768');
+
+      expect(
+        computeSafetyNumber(keyPair.publicKey, other.publicKey, 'ML-KEM-768')
+      ).to.deep.equal(computeSafetyNumber(keyPair, other));
+    });
+
+    it('should change when either key changes', async () => {
+      const impostor = await generateKeyPair('ML-KEM-1024');
+      const genuine = computeSafetyNumber(keyPair, theirs).digits;
+
+      expect(computeSafetyNumber(keyPair, impostor).digits).to.not.equal(
+        genuine
+      );
+      expect(computeSafetyNumber(impostor, theirs).digits).to.not.equal(
+        genuine
+      );
+    });
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * @fileoverview Tests for per-context key derivation
+ * Testing Framework: Mocha with Chai
+ */
+
+import { expect } from 'chai';
+import {
+  generateMasterSeed,
+  deriveContextSeed,
+  deriveContextKeyPair,
+} from '../src/key-derivation.js';
+import { mnemonicToMasterSeed } from '../src/mnemonic.js';
+import { exportKeyPair, importKeyPair } from '../src/key-manager.js';
+import { encrypt, decrypt } from '../src/encryptor.js';
+import { Base64 } from '../src/crypto-utils.js';
+
+describe('Per-context key derivation', () => {
+  let masterSeed;
+
+  before(() => {
+    masterSeed = generateMasterSeed();
+  });
+
+  it('should generate 32-byte master seeds', () => {
+    expect(masterSeed).to.be.instanceOf(Uint8Array);
+    expect(masterSeed).to.have.lengthOf(32);
+    expect(generateMasterSeed()).to.not.deep.equal(masterSeed);
+  });
+
+  it('should derive the same key pair for the same context', async () => {
+    const first = await deriveContextKeyPair(masterSeed, 'conversation-1');
+    const second = await deriveContextKeyPair(
+      Base64.encode(masterSeed),
+      'conversation-1'
+    );
+
+    expect(first.algorithm).to.equal('ML-KEM-1024');
+    expect(second).to.deep.equal(first);
+  });
+
+  it('should derive unrelated key pairs for different contexts', async () => {
+    const first = await deriveContextKeyPair(masterSeed, 'conversation-1');
+    const second = await deriveContextKeyPair(masterSeed, 'conversation-2');
+    const other = await deriveContextKeyPair(
+      generateMasterSeed(),
+      'conversation-1'
+    );
+
+    expect(second.publicKey).to.not.equal(first.publicKey);
+    expect(other.publicKey).to.not.equal(first.publicKey);
+  });
+
+  it('should separate algorithms', async () => {
+    const mlKem = await deriveContextSeed(masterSeed, 'conversation-1');
+    const xWing = await deriveContextSeed(
+      masterSeed,
+      'conversation-1',
+      'X-Wing'
+    );
+
+    expect(mlKem).to.have.lengthOf(64);
+    expect(xWing).to.have.lengthOf(32);
+    expect(Base64.encode(mlKem.subarray(0, 32))).to.not.equal(
+      Base64.encode(xWing)
+    );
+  });
+
+  it('should decrypt earlier messages with a re-derived key pair', async () => {
+    for (const algorithm of ['ML-KEM-768', 'X-Wing']) {
+      const keyPair = await deriveContextKeyPair(
+        masterSeed,
+        'conversation-1',
+        algorithm
+      );
+      const encrypted = await encrypt('hello again', keyPair.publicKey, {
+        algorithm,
+      });
+
+      // A fresh session only has the master seed and the context label
+      const restored = await deriveContextKeyPair(
+        masterSeed,
+        'conversation-1',
+        algorithm
+      );
+      expect(await decrypt(encrypted, restored.privateKey)).to.equal(
+        'hello again'
+      );
+    }
+  });
+
+  it('should support seed-only exports of derived key pairs', async () => {
+    const keyPair = await deriveContextKeyPair(masterSeed, 'conversation-1');
+    const imported = await importKeyPair(
+      await exportKeyPair(keyPair, { seedOnly: true })
+    );
+
+    expect(imported.privateKey).to.equal(keyPair.privateKey);
+  });
+
+  it('should derive master seeds from recovery phrases', async () => {
+    const mnemonic = `${'abandon '.repeat(23)}art`;
+    const fromPhrase = await mnemonicToMasterSeed(mnemonic);
+
+    expect(fromPhrase).to.have.lengthOf(32);
+    expect(await mnemonicToMasterSeed(mnemonic.toUpperCase())).to.deep.equal(
+      fromPhrase
+    );
+
+    const keyPair = await deriveContextKeyPair(fromPhrase, 'conversation-1');
+    expect(
+      (await deriveContextKeyPair(fromPhrase, 'conversation-1')).publicKey
+    ).to.equal(keyPair.publicKey);
+  });
+
+  it('should reject short master seeds and empty contexts', async () => {
+    const cases = [
+      [new Uint8Array(16), 'conversation-1', 'Master seed must be at least'],
+      ['not a seed', 'conversation-1', 'Master seed must be at least'],
+      [masterSeed, '', 'Context label must be a non-empty string'],
+      [masterSeed, 42, 'Context label must be a non-empty string'],
+    ];
+
+    for (const [seed, context, message] of cases) {
+      try {
+        await deriveContextKeyPair(seed, context);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include(message);
+      }
+    }
+  });
+});
@@ -9,6 +9,11 @@ import {
   exportKeyPair,
   importKeyPair,
   validatePublicKey,
+  checkPublicKey,
+  checkPrivateKey,
+  checkKeyPair,
+  getKeyStatus,
+  getKeySizes,
 } from '../src/key-manager.js';
 import { Base64 } from '../src/crypto-utils.js';
 
@@ -51,6 +56,14 @@ describe('Key Manager', () => {
       expect(privateKeyBytes.length).to.equal(2400); // ML-KEM-768 private key size
     });
 
+    it('should generate X-Wing key pair when specified', async () => {
+      const keyPair = await generateKeyPair('X-Wing');
+
+      expect(keyPair.algorithm).to.equal('X-Wing');
+      expect(Base64.decode(keyPair.publicKey).length).to.equal(1216); // ML-KEM-768 || X25519
+      expect(Base64.decode(keyPair.privateKey).length).to.equal(32); // X-Wing seed
+    });
+
     it('should generate different key pairs each time', async () => {
       const keyPair1 = await generateKeyPair();
       const keyPair2 = await generateKeyPair();
@@ -70,9 +83,22 @@ describe('Key Manager', () => {
   });
 
   describe('exportKeyPair', () => {
+    it('should return a Promise for every input', async () => {
+      const keyPair = await generateKeyPair('ML-KEM-768');
+      const exported = exportKeyPair(keyPair);
+
+      expect(exported).to.be.an.instanceof(Promise);
+      expect(importKeyPair(await exported)).to.be.an.instanceof(Promise);
+
+      // Invalid input rejects rather than throwing synchronously
+      const invalid = importKeyPair(null);
+      expect(invalid).to.be.an.instanceof(Promise);
+      await invalid.catch(() => {});
+    });
+
     it('should export key pair with metadata', async () => {
       const keyPair = await generateKeyPair('ML-KEM-1024');
-      const exported = exportKeyPair(keyPair);
+      const exported = await exportKeyPair(keyPair);
 
       expect(exported).to.have.property('publicKey');
       expect(exported).to.have.property('privateKey');
@@ -89,7 +115,7 @@ describe('Key Manager', () => {
 
     it('should be JSON serializable', async () => {
       const keyPair = await generateKeyPair();
-      const exported = exportKeyPair(keyPair);
+      const exported = await exportKeyPair(keyPair);
 
       const json = JSON.stringify(exported);
       const parsed = JSON.parse(json);
@@ -103,15 +129,15 @@ describe('Key Manager', () => {
   describe('importKeyPair', () => {
     it('should import exported key pair', async () => {
       const original = await generateKeyPair('ML-KEM-1024');
-      const exported = exportKeyPair(original);
-      const imported = importKeyPair(exported);
+      const exported = await exportKeyPair(original);
+      const imported = await importKeyPair(exported);
 
       expect(imported.publicKey).to.equal(original.publicKey);
       expect(imported.privateKey).to.equal(original.privateKey);
       expect(imported.algorithm).to.equal(original.algorithm);
     });
 
-    it('should validate required fields', () => {
+    it('should validate required fields', async () => {
       const invalidData = {
         publicKey: 'test',
         // missing privateKey
@@ -119,14 +145,14 @@ describe('Key Manager', () => {
       };
 
       try {
-        importKeyPair(invalidData);
+        await importKeyPair(invalidData);
         expect.fail('Should have thrown an error');
       } catch (error) {
         expect(error.message).to.include('Invalid key pair data');
       }
     });
 
-    it('should validate algorithm', () => {
+    it('should validate algorithm', async () => {
       const invalidData = {
         publicKey: 'test',
         privateKey: 'test',
@@ -134,22 +160,372 @@ describe('Key Manager', () => {
       };
 
       try {
-        importKeyPair(invalidData);
+        await importKeyPair(invalidData);
         expect.fail('Should have thrown an error');
       } catch (error) {
         expect(error.message).to.include('Unsupported algorithm');
       }
     });
 
-    it('should handle legacy format without algorithm field', () => {
-      const legacyData = {
-        publicKey: 'dGVzdA==', // base64 "test"
-        privateKey: 'dGVzdA==',
-      };
+    it('should handle legacy format without algorithm field', async () => {
+      const { publicKey, privateKey } = await generateKeyPair('ML-KEM-1024');
+      const legacyData = { publicKey, privateKey };
 
-      const imported = importKeyPair(legacyData);
+      const imported = await importKeyPair(legacyData);
       expect(imported.algorithm).to.equal('ML-KEM-1024'); // Default
     });
+
+    it('should reject key pairs that do not belong together', async () => {
+      const first = await generateKeyPair('ML-KEM-768');
+      const second = await generateKeyPair('ML-KEM-768');
+
+      try {
+        await importKeyPair({
+          ...(await exportKeyPair(first)),
+          publicKey: second.publicKey,
+        });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('Invalid key pair data');
+        expect(error.reason).to.equal('mismatch');
+      }
+    });
+
+    it('should reject placeholder keys with a reason', async () => {
+      try {
+        await importKeyPair({ publicKey: 'dGVzdA==', privateKey: 'dGVzdA==' });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.reason).to.equal('length');
+      }
+    });
+  });
+
+  describe('key checks', () => {
+    /**
+     * Flip bits in a Base64 key
+     * @param {string} key - Base64 key
+     * @param {number} offset - Byte to modify
+     * @param {number} mask - XOR mask
+     * @returns {string} Modified key
+     */
+    function tamper(key, offset, mask) {
+      const bytes = Base64.decode(key);
+      bytes[offset] ^= mask;
+      return Base64.encode(bytes);
+    }
+
+    /**
+     * Set the first coefficient of an encoded key to q = 3329
+     * @param {string} key - Base64 key
+     * @returns {string} Key failing the modulus check
+     */
+    function unreduced(key) {
+      const bytes = Base64.decode(key);
+      bytes[0] = 3329 & 0xff;
+      bytes[1] = (bytes[1] & 0xf0) | (3329 >> 8);
+      return Base64.encode(bytes);
+    }
+
+    let mlKem;
+    let xWing;
+
+    before(async () => {
+      mlKem = await generateKeyPair('ML-KEM-768');
+      xWing = await generateKeyPair('X-Wing');
+    });
+
+    it('should accept generated keys', async () => {
+      for (const keyPair of [mlKem, xWing]) {
+        expect(
+          checkPublicKey(keyPair.publicKey, keyPair.algorithm)
+        ).to.deep.equal({ valid: true });
+        expect(
+          checkPrivateKey(keyPair.privateKey, keyPair.algorithm)
+        ).to.deep.equal({ valid: true });
+        expect(await checkKeyPair(keyPair)).to.deep.equal({ valid: true });
+      }
+    });
+
+    it('should apply the FIPS 203 modulus check', () => {
+      const result = checkPublicKey(unreduced(mlKem.publicKey), 'ML-KEM-768');
+
+      expect(result).to.include({ valid: false, reason: 'modulus' });
+      expect(result.message).to.be.a('string');
+      expect(
+        checkPublicKey(unreduced(xWing.publicKey), 'X-Wing').reason
+      ).to.equal('modulus');
+      expect(validatePublicKey(unreduced(mlKem.publicKey), 'ML-KEM-768')).to.be
+        .false;
+    });
+
+    it('should apply the FIPS 203 hash check', () => {
+      // The stored H(ek) starts after dkPKE (1152 bytes) and ek (1184 bytes)
+      const result = checkPrivateKey(
+        tamper(mlKem.privateKey, 2336, 0x01),
+        'ML-KEM-768'
+      );
+      expect(result).to.include({ valid: false, reason: 'hash' });
+    });
+
+    it('should report encoding, size and algorithm problems', () => {
+      expect(checkPublicKey('not base64!', 'ML-KEM-768').reason).to.equal(
+        'encoding'
+      );
+      expect(checkPublicKey(mlKem.publicKey, 'ML-KEM-1024').reason).to.equal(
+        'length'
+      );
+      expect(
+        checkPublicKey(Base64.encode(new Uint8Array(1184)), 'ML-KEM-768').reason
+      ).to.equal('zero');
+      expect(checkPublicKey(mlKem.publicKey, 'ML-KEM-512').reason).to.equal(
+        'algorithm'
+      );
+    });
+
+    it('should detect key pairs that do not belong together', async () => {
+      const other = await generateKeyPair('X-Wing');
+
+      expect(
+        (await checkKeyPair({ ...xWing, publicKey: other.publicKey })).reason
+      ).to.equal('mismatch');
+    });
+
+    it('should fail the pairwise test for a corrupted secret vector', async () => {
+      // dkPKE is not covered by the hash check
+      const corrupted = {
+        ...mlKem,
+        privateKey: tamper(mlKem.privateKey, 0, 0x01),
+      };
+
+      expect(checkPrivateKey(corrupted.privateKey, 'ML-KEM-768').valid).to.be
+        .true;
+      expect((await checkKeyPair(corrupted)).reason).to.equal('pairwise');
+      try {
+        await importKeyPair(corrupted);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('pairwise consistency test failed');
+      }
+    });
+  });
+
+  describe('passphrase protection', () => {
+    let original;
+    let exported;
+
+    before(async () => {
+      original = await generateKeyPair('ML-KEM-768');
+      exported = await exportKeyPair(original, {
+        passphrase: 'correct horse battery staple',
+      });
+    });
+
+    it('should replace the private key with an encrypted container', () => {
+      expect(exported).to.not.have.property('privateKey');
+      expect(exported.publicKey).to.equal(original.publicKey);
+      expect(exported.algorithm).to.equal('ML-KEM-768');
+      expect(exported.encryptedPrivateKey).to.include({
+        v: 1,
+        kdf: 'scrypt',
+        N: 131072,
+        r: 8,
+        p: 1,
+      });
+      expect(JSON.stringify(exported)).to.not.include(original.privateKey);
+    });
+
+    it('should import with the correct passphrase', async () => {
+      const imported = await importKeyPair(exported, {
+        passphrase: 'correct horse battery staple',
+      });
+
+      expect(imported).to.deep.equal(original);
+    });
+
+    it('should reject a wrong passphrase', async () => {
+      try {
+        await importKeyPair(exported, { passphrase: 'wrong' });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('Incorrect passphrase');
+      }
+    });
+
+    it('should require a passphrase', async () => {
+      try {
+        await importKeyPair(exported);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('passphrase required');
+      }
+    });
+
+    it('should bind the private key to its public key', async () => {
+      const other = await generateKeyPair('ML-KEM-768');
+      const swapped = { ...exported, publicKey: other.publicKey };
+
+      try {
+        await importKeyPair(swapped, {
+          passphrase: 'correct horse battery staple',
+        });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('Incorrect passphrase');
+      }
+    });
+
+    it('should reject unsafe scrypt parameters', async () => {
+      const tampered = {
+        ...exported,
+        encryptedPrivateKey: { ...exported.encryptedPrivateKey, N: 2 ** 30 },
+      };
+
+      try {
+        await importKeyPair(tampered, {
+          passphrase: 'correct horse battery staple',
+        });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('scrypt N');
+      }
+    });
+  });
+
+  describe('deterministic generation', () => {
+    const seed64 = Uint8Array.from({ length: 64 }, (_, i) => i);
+
+    it('should derive the same key pair from the same seed', async () => {
+      for (const algorithm of ['ML-KEM-1024', 'ML-KEM-768', 'X-Wing']) {
+        const seed = seed64.slice(0, getKeySizes(algorithm).seedSize);
+        const first = await generateKeyPair(algorithm, { seed });
+        const second = await generateKeyPair(algorithm, {
+          seed: Base64.encode(seed),
+        });
+
+        expect(first).to.deep.equal(second);
+        expect(first.seed).to.equal(Base64.encode(seed));
+        expect(validatePublicKey(first.publicKey, algorithm)).to.be.true;
+      }
+    });
+
+    it('should derive different key pairs from different seeds', async () => {
+      const other = seed64.slice();
+      other[0] ^= 1;
+
+      const first = await generateKeyPair('ML-KEM-768', { seed: seed64 });
+      const second = await generateKeyPair('ML-KEM-768', { seed: other });
+      expect(first.publicKey).to.not.equal(second.publicKey);
+    });
+
+    it('should reject seeds of the wrong size', async () => {
+      try {
+        await generateKeyPair('ML-KEM-1024', { seed: seed64.slice(0, 32) });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('ML-KEM-1024 seed must be 64 bytes');
+      }
+    });
+
+    it('should export and import seed-only key pairs', async () => {
+      const keyPair = await generateKeyPair('ML-KEM-768', { seed: seed64 });
+      const exported = await exportKeyPair(keyPair, { seedOnly: true });
+
+      expect(exported).to.not.have.property('privateKey');
+      expect(exported.seed).to.equal(keyPair.seed);
+      expect(await importKeyPair(exported)).to.deep.equal(keyPair);
+    });
+
+    it('should reject a seed that does not match the public key', async () => {
+      const keyPair = await generateKeyPair('ML-KEM-768', { seed: seed64 });
+      const other = await generateKeyPair('ML-KEM-768');
+      const exported = {
+        ...(await exportKeyPair(keyPair, { seedOnly: true })),
+        publicKey: other.publicKey,
+      };
+
+      try {
+        await importKeyPair(exported);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('seed does not match publicKey');
+      }
+    });
+
+    it('should require a seed for seed-only export', async () => {
+      const keyPair = await generateKeyPair('ML-KEM-768');
+      try {
+        await exportKeyPair(keyPair, { seedOnly: true });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('generated from a seed');
+      }
+    });
+  });
+
+  describe('key metadata', () => {
+    const metadata = {
+      expiresAt: Date.UTC(2030, 0, 1),
+      label: 'work',
+      owner: 'alice@example.com',
+      usage: ['encrypt', 'decrypt'],
+    };
+
+    it('should carry metadata through export and import', async () => {
+      const keyPair = await generateKeyPair('ML-KEM-768', metadata);
+      expect(keyPair).to.deep.include(metadata);
+
+      const exported = await exportKeyPair(keyPair);
+      expect(exported).to.include({ owner: 'alice@example.com' });
+      expect(await importKeyPair(exported)).to.deep.equal(keyPair);
+
+      const seeded = await generateKeyPair('X-Wing', {
+        ...metadata,
+        seed: new Uint8Array(32).fill(1),
+      });
+      expect(
+        await importKeyPair(await exportKeyPair(seeded, { seedOnly: true }))
+      ).to.deep.equal(seeded);
+    });
+
+    it('should normalize expiry dates to milliseconds', async () => {
+      const keyPair = await generateKeyPair('ML-KEM-768', {
+        expiresAt: '2030-01-01T00:00:00Z',
+        usage: ['decrypt', 'encrypt'],
+      });
+
+      expect(keyPair.expiresAt).to.equal(metadata.expiresAt);
+      expect(keyPair.usage).to.deep.equal(['encrypt', 'decrypt']);
+    });
+
+    it('should reject invalid metadata', async () => {
+      const cases = [
+        [{ expiresAt: 'someday' }, 'expiresAt must be a date'],
+        [{ owner: 42 }, 'owner must be a non-empty string'],
+        [{ usage: ['sign'] }, 'usage must be a non-empty list'],
+        [{ usage: [] }, 'usage must be a non-empty list'],
+      ];
+
+      for (const [options, message] of cases) {
+        try {
+          await generateKeyPair('ML-KEM-768', options);
+          expect.fail('Should have thrown an error');
+        } catch (error) {
+          expect(error.message).to.include(`Invalid key metadata: ${message}`);
+        }
+      }
+    });
+
+    it('should report the key status', () => {
+      const now = Date.UTC(2029, 0, 1);
+
+      expect(getKeyStatus({}, now)).to.equal('active');
+      expect(getKeyStatus(metadata, now)).to.equal('active');
+      expect(getKeyStatus(metadata, metadata.expiresAt)).to.equal('expired');
+      expect(getKeyStatus({ usage: ['decrypt'] }, now)).to.equal(
+        'decrypt-only'
+      );
+    });
   });
 
   describe('validatePublicKey', () => {
@@ -165,6 +541,12 @@ describe('Key Manager', () => {
       expect(isValid).to.be.true;
     });
 
+    it('should validate X-Wing public key', async () => {
+      const keyPair = await generateKeyPair('X-Wing');
+      expect(validatePublicKey(keyPair.publicKey, 'X-Wing')).to.be.true;
+      expect(validatePublicKey(keyPair.publicKey, 'ML-KEM-768')).to.be.false;
+    });
+
     it('should reject invalid Base64', () => {
       const isValid = validatePublicKey('not-valid-base64!!!', 'ML-KEM-1024');
       expect(isValid).to.be.false;
@@ -187,4 +569,18 @@ describe('Key Manager', () => {
       expect(validatePublicKey(undefined, 'ML-KEM-1024')).to.be.false;
     });
   });
+
+  describe('getKeySizes', () => {
+    it('should report sizes for every algorithm', () => {
+      expect(getKeySizes('ML-KEM-1024').publicKeySize).to.equal(1568);
+      expect(getKeySizes('ML-KEM-768').privateKeySize).to.equal(2400);
+      expect(getKeySizes('ML-KEM-1024').seedSize).to.equal(64);
+      expect(getKeySizes('X-Wing')).to.deep.equal({
+        publicKeySize: 1216,
+        privateKeySize: 32,
+        seedSize: 32,
+      });
+      expect(() => getKeySizes('RSA')).to.throw('Unknown algorithm');
+    });
+  });
 });
@@ -0,0 +1,194 @@
+/**
+ * @fileoverview Tests for private key backup shares
+ * Testing Framework: Mocha with Chai
+ */
+
+import { expect } from 'chai';
+import { splitPrivateKey, combineShares } from '../src/key-shares.js';
+import { generateKeyPair } from '../src/key-manager.js';
+import { getKeyId } from '../src/fingerprint.js';
+import { armor, dearmor, ARMOR_TYPES } from '../src/armor.js';
+import { Base64, SecureRandom } from '../src/crypto-utils.js';
+
+describe('Key shares', () => {
+  let keyPair;
+
+  before(async () => {
+    keyPair = await generateKeyPair('ML-KEM-768');
+  });
+
+  it('should armor shares with the key ID and share number', async () => {
+    const shares = await splitPrivateKey(keyPair, 2, 3);
+    const { headers } = dearmor(shares[1], ARMOR_TYPES.KEY_SHARE);
+
+    expect(shares).to.have.lengthOf(3);
+    expect(headers).to.deep.equal({
+      Algorithm: 'ML-KEM-768',
+      'Key-ID': getKeyId(keyPair),
+      Share: '2 of 3',
+      Threshold: '2',
+    });
+  });
+
+  it('should restore the key pair from a quorum of shares', async () => {
+    const shares = await splitPrivateKey(keyPair, 3, 5);
+    const restored = await combineShares([shares[4], shares[1], shares[2]]);
+
+    expect(restored).to.deep.equal({
+      publicKey: keyPair.publicKey,
+      privateKey: keyPair.privateKey,
+      algorithm: 'ML-KEM-768',
+    });
+  });
+
+  it('should support every algorithm', async () => {
+    for (const algorithm of ['ML-KEM-1024', 'X-Wing']) {
+      const original = await generateKeyPair(algorithm);
+      const shares = await splitPrivateKey(original, 2, 2);
+      const restored = await combineShares(shares);
+
+      expect(restored.publicKey).to.equal(original.publicKey);
+      expect(restored.privateKey).to.equal(original.privateKey);
+    }
+  });
+
+  it('should accept a private key on its own', async () => {
+    for (const algorithm of ['ML-KEM-1024', 'ML-KEM-768', 'X-Wing']) {
+      const original = await generateKeyPair(algorithm);
+      const shares = await splitPrivateKey(original.privateKey, 2, 3);
+
+      expect(dearmor(shares[0], ARMOR_TYPES.KEY_SHARE).headers).to.include({
+        Algorithm: algorithm,
+        'Key-ID': getKeyId(original),
+      });
+      expect(await combineShares(shares.slice(1))).to.deep.equal({
+        publicKey: original.publicKey,
+        privateKey: original.privateKey,
+        algorithm,
+      });
+    }
+  });
+
+  it('should share the seed of seeded key pairs', async () => {
+    const seeded = await generateKeyPair('ML-KEM-1024', {
+      seed: SecureRandom.getRandomBytes(64),
+    });
+
+    const shares = await splitPrivateKey(seeded, 2, 3);
+    const restored = await combineShares(shares.slice(1));
+
+    // Seed shares are far smaller than private key shares
+    expect(shares[0].length).to.be.below(
+      (await splitPrivateKey({ ...seeded, seed: undefined }, 2, 3))[0].length /
+        10
+    );
+    expect(restored.seed).to.equal(seeded.seed);
+    expect(restored.privateKey).to.equal(seeded.privateKey);
+  });
+
+  it('should require the threshold number of shares', async () => {
+    const shares = await splitPrivateKey(keyPair, 3, 5);
+
+    try {
+      await combineShares(shares.slice(0, 2));
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error.message).to.equal('3 key shares are required, got 2');
+    }
+  });
+
+  it('should reject the same share twice', async () => {
+    const shares = await splitPrivateKey(keyPair, 2, 3);
+
+    try {
+      await combineShares([shares[0], shares[0]]);
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error.message).to.include('same share twice');
+    }
+  });
+
+  it('should reject shares of different keys', async () => {
+    const other = await generateKeyPair('ML-KEM-768');
+    const shares = await splitPrivateKey(keyPair, 2, 2);
+    const otherShares = await splitPrivateKey(other, 2, 2);
+
+    try {
+      await combineShares([shares[0], otherShares[1]]);
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error.message).to.include('different keys');
+    }
+  });
+
+  it('should detect corrupted shares by their checksum', async () => {
+    const shares = await splitPrivateKey(keyPair, 2, 2);
+    const { headers, data } = dearmor(shares[1]);
+    data[100] ^= 1;
+
+    try {
+      await combineShares([
+        shares[0],
+        armor(data, ARMOR_TYPES.KEY_SHARE, headers),
+      ]);
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error.message).to.equal(
+        'Key share 2: Invalid key share: checksum mismatch'
+      );
+    }
+  });
+
+  it('should detect shares from different splits of the same key', async () => {
+    const first = await splitPrivateKey(keyPair, 2, 2);
+    const second = await splitPrivateKey(keyPair, 2, 2);
+
+    try {
+      await combineShares([first[0], second[1]]);
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error.message).to.include('does not match the key share');
+    }
+  });
+
+  it('should reject invalid key pairs and parameters', async () => {
+    const other = await generateKeyPair('ML-KEM-768');
+
+    const invalid = [
+      [
+        { publicKey: keyPair.publicKey },
+        'Splitting requires a key pair with a private key',
+      ],
+      [
+        { ...keyPair, privateKey: other.privateKey },
+        'Cannot split an invalid key pair',
+      ],
+      ['AAAA', 'Private key has an unsupported size (3 bytes)'],
+    ];
+    // Corrupting the embedded public key breaks the FIPS 203 hash check
+    const corrupted = Base64.decode(keyPair.privateKey);
+    corrupted[1200] ^= 1;
+    invalid.push([
+      Base64.encode(corrupted),
+      'Cannot split an invalid key pair',
+    ]);
+
+    for (const [privateKey, message] of invalid) {
+      try {
+        await splitPrivateKey(privateKey, 2, 3);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include(message);
+      }
+    }
+
+    try {
+      await splitPrivateKey(keyPair, 1, 3);
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error.message).to.include(
+        'Threshold must be an integer of at least 2'
+      );
+    }
+  });
+});
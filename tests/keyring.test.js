@@ -0,0 +1,392 @@
+/**
+ * @fileoverview Tests for the on-disk keyring
+ * Testing Framework: Mocha with Chai
+ */
+
+import { expect } from 'chai';
+import {
+  mkdtemp,
+  rm,
+  stat,
+  readdir,
+  writeFile,
+  utimes,
+} from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { setImmediate, setTimeout as delay } from 'node:timers/promises';
+import { Keyring } from '../src/keyring.js';
+import { withFileLock } from '../src/storage.js';
+import { generateKeyPair, exportKeyPair } from '../src/key-manager.js';
+import { encrypt, decrypt } from '../src/encryptor.js';
+
+describe('Keyring', () => {
+  let directory;
+  let keyring;
+
+  beforeEach(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'quantum-keyring-'));
+    keyring = new Keyring({ directory });
+  });
+
+  afterEach(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it('should start empty', async () => {
+    expect(await keyring.list()).to.deep.equal([]);
+    expect(await keyring.getDefault()).to.be.null;
+  });
+
+  it('should generate and persist labelled keys', async () => {
+    const stored = await keyring.generate({
+      algorithm: 'ML-KEM-768',
+      label: 'work',
+    });
+
+    expect(stored.id).to.match(/^[0-9a-f]{16}$/);
+    expect(stored).to.include({
+      label: 'work',
+      algorithm: 'ML-KEM-768',
+      protected: false,
+      isDefault: true,
+    });
+    expect(stored.createdAt).to.be.a('number');
+    expect(stored).to.not.have.property('privateKey');
+
+    const reopened = new Keyring({ directory });
+    expect(await reopened.list()).to.deep.equal([stored]);
+  });
+
+  it('should derive the same ID for the same key', async () => {
+    const keyPair = await generateKeyPair();
+    const first = await keyring.add(keyPair);
+
+    const other = new Keyring({ directory: join(directory, 'other') });
+    const second = await other.add(await exportKeyPair(keyPair));
+
+    expect(second.id).to.equal(first.id);
+  });
+
+  it('should accept seed-only exports', async () => {
+    const keyPair = await generateKeyPair('X-Wing', {
+      seed: new Uint8Array(32).fill(7),
+    });
+    await keyring.add(await exportKeyPair(keyPair, { seedOnly: true }));
+
+    const stored = await keyring.getKeyPair();
+    expect(stored.privateKey).to.equal(keyPair.privateKey);
+  });
+
+  it('should reject duplicate keys and labels', async () => {
+    const keyPair = await generateKeyPair();
+    await keyring.add(keyPair, { label: 'personal' });
+
+    try {
+      await keyring.add(keyPair);
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error.message).to.include('Key already in keyring');
+    }
+
+    try {
+      await keyring.add(await generateKeyPair(), { label: 'personal' });
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error.message).to.include('Label already in use');
+    }
+  });
+
+  it('should return stored key pairs by ID or label', async () => {
+    const keyPair = await generateKeyPair();
+    const stored = await keyring.add(keyPair, { label: 'backup' });
+    const expected = { ...keyPair, label: 'backup' };
+
+    expect(await keyring.getKeyPair('backup')).to.deep.equal(expected);
+    expect(await keyring.getKeyPair(stored.id)).to.deep.equal(expected);
+    expect(await keyring.getKeyPair()).to.deep.equal(expected);
+    expect(await keyring.get('missing')).to.be.null;
+  });
+
+  it('should track the default key', async () => {
+    const first = await keyring.generate({ label: 'first' });
+    const second = await keyring.generate({ label: 'second' });
+
+    expect((await keyring.getDefault()).id).to.equal(first.id);
+
+    await keyring.setDefault('second');
+    expect((await keyring.getDefault()).id).to.equal(second.id);
+
+    expect(await keyring.remove('second')).to.be.true;
+    expect((await keyring.getDefault()).id).to.equal(first.id);
+    expect(await keyring.remove('second')).to.be.false;
+  });
+
+  it('should keep key metadata', async () => {
+    const expiresAt = Date.UTC(2030, 0, 1);
+    const key = await keyring.generate({
+      label: 'work',
+      owner: 'alice@example.com',
+      expiresAt,
+    });
+
+    expect(key).to.include({
+      label: 'work',
+      owner: 'alice@example.com',
+      expiresAt,
+      status: 'active',
+    });
+    expect((await keyring.getKeyPair('work')).owner).to.equal(
+      'alice@example.com'
+    );
+  });
+
+  it('should rotate keys and keep the old key for decryption', async () => {
+    const old = await keyring.generate({ label: 'work' });
+    const oldKeyPair = await keyring.getKeyPair('work');
+    const oldMessage = await encrypt('before rotation', oldKeyPair);
+
+    const successor = await keyring.rotate('work');
+    expect(successor).to.include({
+      label: 'work',
+      replaces: old.id,
+      isDefault: true,
+      status: 'active',
+    });
+
+    const previous = await keyring.get(old.id);
+    expect(previous).to.include({
+      label: null,
+      supersededBy: successor.id,
+      status: 'decrypt-only',
+    });
+    expect(await decrypt(oldMessage, keyring)).to.equal('before rotation');
+
+    try {
+      await keyring.rotate(old.id);
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error.message).to.include('Key already rotated');
+    }
+  });
+
+  it('should store the keyring with owner-only permissions', async () => {
+    await keyring.generate();
+
+    const dirStat = await stat(directory);
+    const fileStat = await stat(keyring.path);
+    expect(fileStat.mode & 0o777).to.equal(0o600);
+    expect(dirStat.mode & 0o077).to.equal(0);
+
+    // No temporary or lock files are left behind
+    expect(await readdir(directory)).to.deep.equal(['keyring.json']);
+  });
+
+  it('should serialize concurrent updates', async () => {
+    await Promise.all(
+      ['a', 'b', 'c', 'd'].map((label) => keyring.generate({ label }))
+    );
+
+    const labels = (await keyring.list()).map((key) => key.label).sort();
+    expect(labels).to.deep.equal(['a', 'b', 'c', 'd']);
+  });
+
+  it('should time out on a held lock and clear stale locks', async () => {
+    const held = withFileLock(keyring.path, async () => {
+      const blocked = new Keyring({ directory, lockTimeout: 100 });
+      try {
+        await blocked.generate();
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('Timed out waiting for lock');
+      }
+    });
+    await held;
+
+    // A lock left by a crashed process is removed once it is stale
+    await writeFile(`${keyring.path}.lock`, '12345');
+    const result = await withFileLock(keyring.path, async () => 'ok', {
+      staleAge: -1,
+    });
+    expect(result).to.equal('ok');
+  });
+
+  it('should let only one waiter replace a stale lock', async () => {
+    const lockPath = `${keyring.path}.lock`;
+    await writeFile(lockPath, '12345');
+    const past = new Date(Date.now() - 60000);
+    await utimes(lockPath, past, past);
+
+    // Waiters arrive a few event loop turns apart, so some find the stale
+    // lock while others have already replaced it
+    let active = 0;
+    let overlaps = 0;
+    const waiters = Array.from({ length: 10 }, async (_, index) => {
+      for (let turn = 0; turn < index; turn++) {
+        await setImmediate();
+      }
+      return withFileLock(
+        keyring.path,
+        async () => {
+          active++;
+          overlaps += active > 1 ? 1 : 0;
+          await delay(5);
+          active--;
+        },
+        { staleAge: 10000 }
+      );
+    });
+    await Promise.all(waiters);
+
+    expect(overlaps).to.equal(0);
+    expect(await readdir(directory)).to.deep.equal([]);
+  });
+
+  it('should wait and time out while another waiter clears a stale lock', async () => {
+    const lockPath = `${keyring.path}.lock`;
+    await writeFile(lockPath, '12345');
+    const past = new Date(Date.now() - 60000);
+    await utimes(lockPath, past, past);
+    await writeFile(`${lockPath}.stale`, '');
+
+    const started = Date.now();
+    try {
+      await withFileLock(keyring.path, async () => 'ok', {
+        timeout: 200,
+        staleAge: 10000,
+      });
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error.message).to.include('Timed out waiting for lock');
+    }
+    expect(Date.now() - started).to.be.below(1000);
+  });
+
+  it('should store passphrase-protected keys', async () => {
+    const keyPair = await generateKeyPair('ML-KEM-768');
+    const stored = await keyring.add(keyPair, { passphrase: 'hunter2' });
+
+    expect(stored.protected).to.be.true;
+    expect(
+      await keyring.getKeyPair(stored.id, { passphrase: 'hunter2' })
+    ).to.deep.equal(keyPair);
+
+    try {
+      await keyring.getKeyPair(stored.id);
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error.message).to.include('passphrase required');
+    }
+  });
+
+  it('should check protected exports when they are added', async () => {
+    const exported = await exportKeyPair(await generateKeyPair('ML-KEM-768'), {
+      passphrase: 'hunter2',
+    });
+    const container = exported.encryptedPrivateKey;
+
+    const invalid = [
+      [{ ...container, v: 2 }, 'Unsupported encrypted private key format'],
+      [
+        { ...container, c: container.c.slice(8) },
+        'invalid encryptedPrivateKey',
+      ],
+      [{ ...container, n: undefined }, 'invalid encryptedPrivateKey'],
+      [{ ...container, N: 2 ** 20, r: 32 }, 'memory limit'],
+      [{ ...container, p: 16 }, 'scrypt p must be'],
+    ];
+    for (const [encryptedPrivateKey, message] of invalid) {
+      try {
+        await keyring.add({ ...exported, encryptedPrivateKey });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include(message);
+      }
+    }
+
+    try {
+      await keyring.add({ ...exported, algorithm: 'ML-KEM-1024' });
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error.message).to.include('invalid encryptedPrivateKey');
+    }
+
+    expect(await keyring.list()).to.deep.equal([]);
+    expect((await keyring.add(exported)).protected).to.be.true;
+  });
+
+  describe('decrypt() with a keyring', () => {
+    it('should find the matching private key', async () => {
+      await keyring.generate({ label: 'old' });
+      const current = await keyring.generate({ label: 'current' });
+      await keyring.generate({ algorithm: 'ML-KEM-768' });
+
+      const encrypted = await encrypt('Find my key', current.publicKey);
+      expect(await decrypt(encrypted, keyring)).to.equal('Find my key');
+    });
+
+    it('should unlock protected keys with a passphrase', async () => {
+      const keyPair = await generateKeyPair('ML-KEM-768');
+      await keyring.add(keyPair, { passphrase: 'hunter2' });
+
+      const encrypted = await encrypt(
+        'Locked',
+        keyPair.publicKey,
+        'ML-KEM-768'
+      );
+      expect(
+        await decrypt(encrypted, keyring, { passphrase: 'hunter2' })
+      ).to.equal('Locked');
+
+      try {
+        await decrypt(encrypted, keyring);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('passphrase-protected');
+      }
+    });
+
+    it('should only use the keys a message names', async () => {
+      const locked = await generateKeyPair();
+      await keyring.add(locked, { passphrase: 'hunter2' });
+      const named = await keyring.generate();
+
+      const candidates = await keyring.getDecryptionKeys({
+        algorithm: 'ML-KEM-1024',
+        keyIds: [named.id],
+      });
+      expect(candidates).to.have.lengthOf(1);
+
+      // The protected key is skipped, so no passphrase is needed
+      const encrypted = await encrypt('Direct', named.publicKey, {
+        includeKeyId: true,
+      });
+      expect(await decrypt(encrypted, keyring)).to.equal('Direct');
+
+      const forLocked = await encrypt('Locked', locked.publicKey, {
+        includeKeyId: true,
+      });
+      try {
+        await decrypt(forLocked, keyring);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('passphrase-protected');
+      }
+    });
+
+    it('should fail when no key matches', async () => {
+      await keyring.generate();
+      const stranger = await generateKeyPair();
+      const encrypted = await encrypt('Not for you', stranger.publicKey);
+
+      try {
+        await decrypt(encrypted, keyring);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include(
+          'No key in the keyring can decrypt this message'
+        );
+      }
+    });
+  });
+});
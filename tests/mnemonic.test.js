@@ -0,0 +1,83 @@
+/**
+ * @fileoverview Tests for recovery phrases
+ * Testing Framework: Mocha with Chai
+ */
+
+import { expect } from 'chai';
+import { wordlist } from '@scure/bip39/wordlists/english.js';
+import {
+  generateMnemonic,
+  validateMnemonic,
+  mnemonicToSeed,
+  keyPairFromMnemonic,
+} from '../src/mnemonic.js';
+import { exportKeyPair, importKeyPair } from '../src/key-manager.js';
+import { encrypt, decrypt } from '../src/encryptor.js';
+
+// BIP39 test vector: 256 bits of zero entropy
+const ZERO_MNEMONIC = `${'abandon '.repeat(23)}art`;
+
+describe('Recovery phrases', () => {
+  it('should generate 24-word phrases from the BIP39 English list', () => {
+    const mnemonic = generateMnemonic();
+    const words = mnemonic.split(' ');
+
+    expect(words).to.have.lengthOf(24);
+    words.forEach((word) => expect(wordlist).to.include(word));
+    expect(validateMnemonic(mnemonic)).to.be.true;
+    expect(generateMnemonic()).to.not.equal(mnemonic);
+  });
+
+  it('should validate words, length and checksum', () => {
+    expect(validateMnemonic(ZERO_MNEMONIC)).to.be.true;
+    expect(validateMnemonic(`  ${ZERO_MNEMONIC.toUpperCase()}\n`)).to.be.true;
+
+    expect(validateMnemonic(`${'abandon '.repeat(23)}abandon`)).to.be.false;
+    expect(validateMnemonic(`${'abandon '.repeat(11)}about`)).to.be.false;
+    expect(validateMnemonic(ZERO_MNEMONIC.replace('art', 'arty'))).to.be.false;
+    expect(validateMnemonic(null)).to.be.false;
+  });
+
+  it('should derive a seed of the right size for each algorithm', async () => {
+    const mlKemSeed = await mnemonicToSeed(ZERO_MNEMONIC, 'ML-KEM-768');
+    const xWingSeed = await mnemonicToSeed(ZERO_MNEMONIC, 'X-Wing');
+
+    expect(mlKemSeed).to.have.lengthOf(64);
+    expect(xWingSeed).to.have.lengthOf(32);
+    expect(
+      Array.from(await mnemonicToSeed(ZERO_MNEMONIC, 'ML-KEM-1024'))
+    ).to.not.deep.equal(Array.from(mlKemSeed));
+  });
+
+  it('should reject invalid phrases', async () => {
+    try {
+      await mnemonicToSeed('not a recovery phrase');
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error.message).to.include('Invalid recovery phrase');
+    }
+  });
+
+  it('should restore the same key pair from the same phrase', async () => {
+    const mnemonic = generateMnemonic();
+    const original = await keyPairFromMnemonic(mnemonic, 'ML-KEM-768');
+    const restored = await keyPairFromMnemonic(
+      mnemonic.toUpperCase(),
+      'ML-KEM-768'
+    );
+
+    expect(restored).to.deep.equal(original);
+
+    const encrypted = await encrypt('Recovered', original.publicKey, {
+      algorithm: 'ML-KEM-768',
+    });
+    expect(await decrypt(encrypted, restored.privateKey)).to.equal('Recovered');
+  });
+
+  it('should support seed-only backups of restored key pairs', async () => {
+    const keyPair = await keyPairFromMnemonic(ZERO_MNEMONIC, 'X-Wing');
+    const backup = await exportKeyPair(keyPair, { seedOnly: true });
+
+    expect(await importKeyPair(backup)).to.deep.equal(keyPair);
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * @fileoverview Tests for key rotation
+ * Testing Framework: Mocha with Chai
+ */
+
+import { expect } from 'chai';
+import { rotateKeyPair, needsRotation } from '../src/rotation.js';
+import { generateKeyPair } from '../src/key-manager.js';
+import { encrypt, decrypt } from '../src/encryptor.js';
+import { getKeyId } from '../src/fingerprint.js';
+
+describe('Key rotation', () => {
+  let keyPair;
+
+  before(async () => {
+    keyPair = await generateKeyPair('ML-KEM-768', {
+      label: 'work',
+      owner: 'alice@example.com',
+      expiresAt: Date.now() + 60000,
+    });
+  });
+
+  it('should link the successor and its predecessor', async () => {
+    const { keyPair: successor, previous } = await rotateKeyPair(keyPair);
+
+    expect(successor.publicKey).to.not.equal(keyPair.publicKey);
+    expect(successor).to.include({
+      algorithm: 'ML-KEM-768',
+      label: 'work',
+      owner: 'alice@example.com',
+      replaces: getKeyId(keyPair),
+    });
+    expect(successor).to.not.have.property('expiresAt');
+    expect(successor.usage).to.deep.equal(['encrypt', 'decrypt']);
+
+    expect(previous).to.include({
+      publicKey: keyPair.publicKey,
+      privateKey: keyPair.privateKey,
+      supersededBy: getKeyId(successor),
+    });
+    expect(previous.usage).to.deep.equal(['decrypt']);
+  });
+
+  it('should keep the predecessor decrypt-only', async () => {
+    const oldMessage = await encrypt('before rotation', keyPair);
+    const { keyPair: successor, previous } = await rotateKeyPair(keyPair);
+
+    expect(await decrypt(oldMessage, previous.privateKey)).to.equal(
+      'before rotation'
+    );
+
+    try {
+      await encrypt('after rotation', previous);
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error.message).to.include('Recipient key is decrypt-only');
+    }
+
+    const newMessage = await encrypt('after rotation', successor);
+    expect(await decrypt(newMessage, successor.privateKey)).to.equal(
+      'after rotation'
+    );
+  });
+
+  it('should apply successor options', async () => {
+    const expiresAt = Date.UTC(2031, 0, 1);
+    const { keyPair: successor } = await rotateKeyPair(keyPair, {
+      algorithm: 'X-Wing',
+      expiresAt,
+      label: 'work-2031',
+    });
+
+    expect(successor).to.include({
+      algorithm: 'X-Wing',
+      expiresAt,
+      label: 'work-2031',
+    });
+  });
+
+  it('should require a private key', async () => {
+    try {
+      await rotateKeyPair({ publicKey: keyPair.publicKey });
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error.message).to.include(
+        'requires a key pair with a private key'
+      );
+    }
+  });
+
+  describe('needsRotation', () => {
+    const now = Date.UTC(2030, 0, 1);
+    const day = 24 * 60 * 60 * 1000;
+
+    it('should flag expired and soon-expiring keys', () => {
+      expect(needsRotation({}, { now })).to.be.false;
+      expect(needsRotation({ expiresAt: now - day }, { now })).to.be.true;
+      expect(needsRotation({ expiresAt: now + 10 * day }, { now })).to.be.false;
+      expect(
+        needsRotation({ expiresAt: now + 10 * day }, { now, within: 30 * day })
+      ).to.be.true;
+    });
+
+    it('should not flag keys that were already replaced', () => {
+      expect(
+        needsRotation(
+          { expiresAt: now - day, usage: ['decrypt'], supersededBy: 'abc' },
+          { now }
+        )
+      ).to.be.false;
+    });
+  });
+});
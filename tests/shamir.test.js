@@ -0,0 +1,94 @@
+/**
+ * @fileoverview Tests for Shamir secret sharing
+ * Testing Framework: Mocha with Chai
+ */
+
+import { expect } from 'chai';
+import { splitSecret, combineSecret } from '../src/shamir.js';
+import { SecureRandom } from '../src/crypto-utils.js';
+
+describe('Shamir secret sharing', () => {
+  const secret = SecureRandom.getRandomBytes(64);
+
+  it('should create the requested number of shares', () => {
+    const shares = splitSecret(secret, 3, 5);
+
+    expect(shares.map(({ index }) => index)).to.deep.equal([1, 2, 3, 4, 5]);
+    shares.forEach(({ data }) => expect(data).to.have.lengthOf(64));
+  });
+
+  it('should recover the secret from any threshold shares', () => {
+    const shares = splitSecret(secret, 3, 5);
+
+    for (const subset of [
+      [0, 1, 2],
+      [4, 2, 0],
+      [1, 3, 4],
+    ]) {
+      const recovered = combineSecret(subset.map((i) => shares[i]));
+      expect(Array.from(recovered)).to.deep.equal(Array.from(secret));
+    }
+  });
+
+  it('should recover the secret from more than threshold shares', () => {
+    const shares = splitSecret(secret, 2, 4);
+    expect(Array.from(combineSecret(shares))).to.deep.equal(Array.from(secret));
+  });
+
+  it('should not recover the secret from fewer shares', () => {
+    const shares = splitSecret(secret, 3, 5);
+    const recovered = combineSecret(shares.slice(0, 2));
+
+    expect(Array.from(recovered)).to.not.deep.equal(Array.from(secret));
+  });
+
+  it('should use fresh randomness for every split', () => {
+    const first = splitSecret(secret, 2, 2);
+    const second = splitSecret(secret, 2, 2);
+
+    expect(Array.from(first[0].data)).to.not.deep.equal(
+      Array.from(second[0].data)
+    );
+  });
+
+  it('should support n-of-n and the maximum share count', () => {
+    const small = new Uint8Array([0, 1, 255]);
+
+    const all = splitSecret(small, 4, 4);
+    expect(Array.from(combineSecret(all))).to.deep.equal([0, 1, 255]);
+
+    const many = splitSecret(small, 2, 255);
+    expect(many[254].index).to.equal(255);
+    expect(Array.from(combineSecret([many[254], many[100]]))).to.deep.equal([
+      0, 1, 255,
+    ]);
+  });
+
+  it('should reject invalid parameters', () => {
+    expect(() => splitSecret(new Uint8Array(0), 2, 3)).to.throw(
+      'Secret must be a non-empty Uint8Array'
+    );
+    expect(() => splitSecret(secret, 1, 3)).to.throw(
+      'Threshold must be an integer of at least 2'
+    );
+    expect(() => splitSecret(secret, 3, 2)).to.throw('Share count must be');
+    expect(() => splitSecret(secret, 2, 256)).to.throw('Share count must be');
+  });
+
+  it('should reject duplicate and mismatched shares', () => {
+    const shares = splitSecret(secret, 2, 3);
+
+    expect(() => combineSecret([shares[0]])).to.throw(
+      'At least 2 shares are required'
+    );
+    expect(() => combineSecret([shares[0], shares[0]])).to.throw(
+      'Duplicate share index: 1'
+    );
+    expect(() =>
+      combineSecret([shares[0], { index: 2, data: new Uint8Array(3) }])
+    ).to.throw('Shares must have the same length');
+    expect(() =>
+      combineSecret([shares[0], { index: 0, data: shares[1].data }])
+    ).to.throw('Invalid share index: 0');
+  });
+});
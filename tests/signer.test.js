@@ -0,0 +1,215 @@
+/**
+ * @fileoverview Tests for ML-DSA signing and verification
+ * Testing Framework: Mocha with Chai
+ */
+
+import { expect } from 'chai';
+import {
+  generateSigningKeyPair,
+  exportSigningKeyPair,
+  importSigningKeyPair,
+  validateSigningPublicKey,
+  getSignatureSizes,
+  sign,
+  verify,
+  signDetached,
+  verifyDetached,
+} from '../src/signer.js';
+import { Base64 } from '../src/crypto-utils.js';
+
+describe('Signer', () => {
+  describe('generateSigningKeyPair', () => {
+    it('should generate ML-DSA-87 key pair by default', async () => {
+      const keyPair = await generateSigningKeyPair();
+
+      expect(keyPair.algorithm).to.equal('ML-DSA-87');
+      expect(Base64.decode(keyPair.publicKey).length).to.equal(2592);
+      expect(Base64.decode(keyPair.privateKey).length).to.equal(4896);
+    });
+
+    it('should generate ML-DSA-65 key pair when specified', async () => {
+      const keyPair = await generateSigningKeyPair('ML-DSA-65');
+
+      expect(keyPair.algorithm).to.equal('ML-DSA-65');
+      expect(Base64.decode(keyPair.publicKey).length).to.equal(1952);
+      expect(Base64.decode(keyPair.privateKey).length).to.equal(4032);
+    });
+
+    it('should throw error for unsupported algorithm', async () => {
+      try {
+        await generateSigningKeyPair('ML-DSA-44');
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('Unsupported algorithm');
+      }
+    });
+  });
+
+  describe('exportSigningKeyPair / importSigningKeyPair', () => {
+    it('should round-trip a key pair with metadata', async () => {
+      const keyPair = await generateSigningKeyPair('ML-DSA-65');
+      const exported = exportSigningKeyPair(keyPair);
+
+      expect(exported.timestamp).to.be.a('number');
+      expect(exported.version).to.equal('1.0.0');
+
+      const imported = importSigningKeyPair(
+        JSON.parse(JSON.stringify(exported))
+      );
+      expect(imported).to.deep.equal(keyPair);
+    });
+
+    it('should validate required fields and algorithm', () => {
+      expect(() => importSigningKeyPair({ publicKey: 'dGVzdA==' })).to.throw(
+        'Invalid key pair data'
+      );
+      expect(() =>
+        importSigningKeyPair({
+          publicKey: 'dGVzdA==',
+          privateKey: 'dGVzdA==',
+          algorithm: 'ML-KEM-1024',
+        })
+      ).to.throw('Unsupported algorithm');
+    });
+  });
+
+  describe('validateSigningPublicKey', () => {
+    it('should accept keys of the right size and reject others', async () => {
+      const keyPair = await generateSigningKeyPair('ML-DSA-65');
+
+      expect(validateSigningPublicKey(keyPair.publicKey, 'ML-DSA-65')).to.be
+        .true;
+      expect(validateSigningPublicKey(keyPair.publicKey, 'ML-DSA-87')).to.be
+        .false;
+      expect(validateSigningPublicKey('not base64!', 'ML-DSA-65')).to.be.false;
+    });
+  });
+
+  describe('getSignatureSizes', () => {
+    it('should report signature sizes', () => {
+      expect(getSignatureSizes('ML-DSA-87').signatureSize).to.equal(4627);
+      expect(getSignatureSizes('ML-DSA-65').signatureSize).to.equal(3309);
+      expect(() => getSignatureSizes('RSA')).to.throw('Unknown algorithm');
+    });
+  });
+
+  describe('detached signatures', () => {
+    it('should verify a valid signature', async () => {
+      const keyPair = await generateSigningKeyPair();
+      const signature = await signDetached('Hello', keyPair.privateKey);
+
+      expect(Base64.decode(signature).length).to.equal(4627);
+      expect(await verifyDetached('Hello', signature, keyPair.publicKey)).to.be
+        .true;
+    });
+
+    it('should reject a modified message', async () => {
+      const keyPair = await generateSigningKeyPair();
+      const signature = await signDetached('Hello', keyPair.privateKey);
+
+      expect(await verifyDetached('Hellp', signature, keyPair.publicKey)).to.be
+        .false;
+    });
+
+    it('should reject a different signer', async () => {
+      const signer = await generateSigningKeyPair('ML-DSA-65');
+      const other = await generateSigningKeyPair('ML-DSA-65');
+      const message = new Uint8Array([1, 2, 3]);
+
+      const signature = await signDetached(
+        message,
+        signer.privateKey,
+        'ML-DSA-65'
+      );
+
+      expect(
+        await verifyDetached(message, signature, other.publicKey, 'ML-DSA-65')
+      ).to.be.false;
+    });
+
+    it('should bind the context string', async () => {
+      const keyPair = await generateSigningKeyPair();
+      const signature = await signDetached('Hello', keyPair.privateKey, {
+        context: 'invoice',
+      });
+
+      expect(
+        await verifyDetached('Hello', signature, keyPair.publicKey, {
+          context: 'invoice',
+        })
+      ).to.be.true;
+      expect(
+        await verifyDetached('Hello', signature, keyPair.publicKey, {
+          context: 'receipt',
+        })
+      ).to.be.false;
+    });
+
+    it('should return false for malformed input', async () => {
+      const keyPair = await generateSigningKeyPair();
+
+      expect(await verifyDetached('Hello', null, keyPair.publicKey)).to.be
+        .false;
+      expect(await verifyDetached('Hello', 'AAAA', keyPair.publicKey)).to.be
+        .false;
+    });
+  });
+
+  describe('sign / verify', () => {
+    it('should round-trip text messages', async () => {
+      const keyPair = await generateSigningKeyPair();
+      const signed = await sign('Signed text', keyPair.privateKey);
+
+      const parsed = JSON.parse(signed);
+      expect(parsed.alg).to.equal('ML-DSA-87');
+      expect(parsed.ct).to.equal('text');
+
+      expect(await verify(signed, keyPair.publicKey)).to.equal('Signed text');
+    });
+
+    it('should round-trip binary messages', async () => {
+      const keyPair = await generateSigningKeyPair('ML-DSA-65');
+      const message = new Uint8Array([0, 1, 255]);
+
+      const signed = await sign(message, keyPair.privateKey, 'ML-DSA-65');
+      const verified = await verify(signed, keyPair.publicKey);
+
+      expect(verified).to.be.instanceOf(Uint8Array);
+      expect(Array.from(verified)).to.deep.equal([0, 1, 255]);
+    });
+
+    it('should reject tampered content or header', async () => {
+      const keyPair = await generateSigningKeyPair();
+      const parsed = JSON.parse(await sign('Pay 10', keyPair.privateKey));
+
+      for (const mutate of [
+        (msg) => (msg.m = Base64.encode(new TextEncoder().encode('Pay 99'))),
+        (msg) => (msg.t += 1),
+        (msg) => (msg.ct = 'binary'),
+      ]) {
+        const tampered = { ...parsed };
+        mutate(tampered);
+
+        try {
+          await verify(JSON.stringify(tampered), keyPair.publicKey);
+          expect.fail('Should have thrown an error');
+        } catch (error) {
+          expect(error.message).to.include('Verification failed');
+        }
+      }
+    });
+
+    it('should reject the wrong public key', async () => {
+      const keyPair = await generateSigningKeyPair();
+      const other = await generateSigningKeyPair();
+      const signed = await sign('Hi', keyPair.privateKey);
+
+      try {
+        await verify(signed, other.publicKey);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('Invalid signature');
+      }
+    });
+  });
+});
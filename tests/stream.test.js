@@ -0,0 +1,209 @@
+/**
+ * @fileoverview Tests for streaming encryption
+ * Testing Framework: Mocha with Chai
+ */
+
+import { expect } from 'chai';
+import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import { createEncryptStream, createDecryptStream } from '../src/stream.js';
+import { generateKeyPair } from '../src/key-manager.js';
+import { SecureRandom } from '../src/crypto-utils.js';
+
+/**
+ * Run chunks through a transform and collect the output
+ * @param {Array<Uint8Array>} chunks - Input chunks
+ * @param {Transform} transform - Stream under test
+ * @returns {Promise<Buffer>} Concatenated output
+ */
+async function runThrough(chunks, transform) {
+  const output = [];
+  await pipeline(Readable.from(chunks), transform, async (source) => {
+    for await (const chunk of source) {
+      output.push(chunk);
+    }
+  });
+  return Buffer.concat(output);
+}
+
+/**
+ * Split bytes into pieces of a fixed size
+ * @param {Uint8Array} bytes - Bytes to split
+ * @param {number} size - Piece size
+ * @returns {Array<Uint8Array>} Pieces
+ */
+function split(bytes, size) {
+  const pieces = [];
+  for (let i = 0; i < bytes.length; i += size) {
+    pieces.push(bytes.subarray(i, i + size));
+  }
+  return pieces;
+}
+
+describe('Streaming encryption', () => {
+  let keys;
+
+  before(async () => {
+    keys = await generateKeyPair();
+  });
+
+  it('should round-trip data spanning many segments', async () => {
+    const data = SecureRandom.getRandomBytes(10000);
+
+    const encrypted = await runThrough(
+      split(data, 777),
+      createEncryptStream(keys.publicKey, { chunkSize: 1024 })
+    );
+    expect(encrypted.subarray(0, 4).toString()).to.equal('PQHS');
+
+    const decrypted = await runThrough(
+      split(encrypted, 333),
+      createDecryptStream(keys.privateKey)
+    );
+    expect(decrypted.equals(Buffer.from(data))).to.be.true;
+  });
+
+  it('should split one large chunk in linear time', async function () {
+    this.timeout(10000);
+
+    // 32768 segments: copying the rest of the chunk after each one would
+    // take far longer than the timeout
+    const data = SecureRandom.getRandomBytes(2 * 1024 * 1024);
+
+    const encrypted = await runThrough(
+      [data],
+      createEncryptStream(keys.publicKey, { chunkSize: 64 })
+    );
+    const decrypted = await runThrough(
+      [encrypted],
+      createDecryptStream(keys.privateKey)
+    );
+    expect(decrypted.equals(Buffer.from(data))).to.be.true;
+  });
+
+  it('should round-trip an empty stream', async () => {
+    const encrypted = await runThrough([], createEncryptStream(keys.publicKey));
+    const decrypted = await runThrough(
+      [encrypted],
+      createDecryptStream(keys.privateKey)
+    );
+
+    expect(decrypted.length).to.equal(0);
+  });
+
+  it('should handle input that is an exact multiple of the chunk size', async () => {
+    const data = SecureRandom.getRandomBytes(2048);
+
+    const encrypted = await runThrough(
+      [data],
+      createEncryptStream(keys.publicKey, { chunkSize: 512 })
+    );
+    const decrypted = await runThrough(
+      [encrypted],
+      createDecryptStream(keys.privateKey)
+    );
+
+    expect(decrypted.equals(Buffer.from(data))).to.be.true;
+  });
+
+  it('should work with ML-KEM-768 and a context label', async () => {
+    const keys768 = await generateKeyPair('ML-KEM-768');
+    const options = { algorithm: 'ML-KEM-768', context: 'backup-2024' };
+
+    const encrypted = await runThrough(
+      [Buffer.from('nightly backup')],
+      createEncryptStream(keys768.publicKey, options)
+    );
+    const decrypted = await runThrough(
+      [encrypted],
+      createDecryptStream(keys768.privateKey, { context: 'backup-2024' })
+    );
+
+    expect(decrypted.toString()).to.equal('nightly backup');
+  });
+
+  describe('integrity', () => {
+    let encrypted;
+
+    before(async () => {
+      encrypted = await runThrough(
+        [SecureRandom.getRandomBytes(3000)],
+        createEncryptStream(keys.publicKey, { chunkSize: 1000 })
+      );
+    });
+
+    /**
+     * Expect decryption of the given bytes to fail
+     * @param {Uint8Array} bytes - Encrypted stream bytes
+     * @param {string} [privateKey] - Private key to use
+     * @returns {Promise<Error>} The raised error
+     */
+    async function expectFailure(bytes, privateKey = keys.privateKey) {
+      try {
+        await runThrough([bytes], createDecryptStream(privateKey));
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('Decryption failed');
+        return error;
+      }
+    }
+
+    it('should detect truncation at a segment boundary', async () => {
+      const headerLength = encrypted.readUInt32BE(4) + 8;
+      const segmentLength = encrypted.readUInt32BE(headerLength) + 4;
+
+      const error = await expectFailure(
+        encrypted.subarray(0, headerLength + segmentLength)
+      );
+      expect(error.message).to.include('truncated');
+    });
+
+    it('should detect a flipped ciphertext bit', async () => {
+      const tampered = Buffer.from(encrypted);
+      tampered[tampered.length - 20] ^= 1;
+
+      await expectFailure(tampered);
+    });
+
+    it('should detect a modified header', async () => {
+      const tampered = Buffer.from(encrypted);
+      const index = tampered.indexOf('"t":');
+      tampered[index + 5] = tampered[index + 5] === 0x31 ? 0x32 : 0x31;
+
+      await expectFailure(tampered);
+    });
+
+    it('should detect appended data', async () => {
+      await expectFailure(
+        Buffer.concat([encrypted, encrypted.subarray(-1020)])
+      );
+    });
+
+    it('should reject the wrong private key', async () => {
+      const otherKeys = await generateKeyPair();
+      await expectFailure(encrypted, otherKeys.privateKey);
+    });
+
+    it('should reject data that is not an encrypted stream', async () => {
+      await expectFailure(Buffer.from('definitely not encrypted'));
+    });
+  });
+
+  it('should reject unknown algorithms', async () => {
+    try {
+      await runThrough(
+        [Buffer.from('x')],
+        createEncryptStream(keys.publicKey, 'Kyber')
+      );
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error.message).to.include('Unsupported algorithm: Kyber');
+    }
+  });
+
+  it('should reject invalid chunk sizes', () => {
+    expect(() =>
+      createEncryptStream(keys.publicKey, { chunkSize: 0 })
+    ).to.throw('Chunk size');
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * @fileoverview Tests for the X-Wing hybrid KEM
+ * Testing Framework: Mocha with Chai
+ */
+
+import { expect } from 'chai';
+import { ml_kem768_x25519 } from '@noble/post-quantum/hybrid.js';
+import { XWing } from '../src/x-wing.js';
+
+describe('XWing', () => {
+  const xWing = new XWing();
+
+  it('should generate 1216-byte public keys and 32-byte private keys', async () => {
+    const [publicKey, privateKey] = await xWing.generateKeyPair();
+
+    expect(publicKey.length).to.equal(1216);
+    expect(privateKey.length).to.equal(32);
+  });
+
+  it('should agree on the shared secret', async () => {
+    const [publicKey, privateKey] = await xWing.generateKeyPair();
+
+    const [ciphertext, sharedSecret] = await xWing.encap(publicKey);
+    const recovered = await xWing.decap(ciphertext, privateKey);
+
+    expect(ciphertext.length).to.equal(1120);
+    expect(Array.from(recovered)).to.deep.equal(Array.from(sharedSecret));
+  });
+
+  it('should derive the same keys as an independent X-Wing implementation', async () => {
+    const seed = new Uint8Array(32).map((_, i) => i);
+
+    const [publicKey] = await xWing.deriveKeyPair(seed);
+    const reference = ml_kem768_x25519.keygen(seed);
+
+    expect(Array.from(publicKey)).to.deep.equal(
+      Array.from(reference.publicKey)
+    );
+  });
+
+  it('should interoperate with an independent X-Wing implementation', async () => {
+    const seed = new Uint8Array(32).fill(42);
+    const [publicKey, privateKey] = await xWing.deriveKeyPair(seed);
+
+    const [ciphertext, sharedSecret] = await xWing.encap(publicKey);
+    const theirSecret = ml_kem768_x25519.decapsulate(ciphertext, seed);
+    expect(Array.from(theirSecret)).to.deep.equal(Array.from(sharedSecret));
+
+    const theirs = ml_kem768_x25519.encapsulate(publicKey);
+    const ourSecret = await xWing.decap(theirs.cipherText, privateKey);
+    expect(Array.from(ourSecret)).to.deep.equal(
+      Array.from(theirs.sharedSecret)
+    );
+  });
+
+  it('should derive a different secret with the wrong private key', async () => {
+    const [publicKey] = await xWing.generateKeyPair();
+    const [, otherPrivateKey] = await xWing.generateKeyPair();
+
+    const [ciphertext, sharedSecret] = await xWing.encap(publicKey);
+    const recovered = await xWing.decap(ciphertext, otherPrivateKey);
+
+    expect(Array.from(recovered)).to.not.deep.equal(Array.from(sharedSecret));
+  });
+
+  it('should reject malformed inputs', async () => {
+    try {
+      await xWing.encap(new Uint8Array(1184));
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error.message).to.include('Invalid X-Wing public key size');
+    }
+
+    try {
+      await xWing.decap(new Uint8Array(1120), new Uint8Array(16));
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error.message).to.include('seed must be 32 bytes');
+    }
+  });
+});